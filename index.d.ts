@@ -1,4 +1,4 @@
-import { FastifyInstance, FastifyReply } from 'fastify'
+import { FastifyInstance, FastifyReply, FastifyRequest } from 'fastify'
 import { MercuriusContext, MercuriusPlugin, MercuriusOptions, PreExecutionHookResponse } from 'mercurius'
 import { IncomingHttpHeaders, OutgoingHttpHeaders } from "http"
 
@@ -12,9 +12,214 @@ interface ServiceConfig {
   setSchema: (schema: string) => ServiceConfig;
 }
 
+/**
+ * A request sent by the gateway to a federated service
+ */
+export interface QueryPlanStep {
+  id: number;
+  service: string;
+  operation: string;
+  variables: Record<string, any>;
+  dependsOn: number[];
+  path?: string;
+  representations?: {
+    typenames: string[];
+    fields: string;
+  };
+}
+
+/**
+ * A problem found in the composition of the service schemas
+ */
+export interface CompositionError {
+  code: 'ENTITY_WITHOUT_OWNER' | 'ORPHAN_EXTENSION' | 'MISSING_REQUIRED_FIELD' | 'FIELD_TYPE_CONFLICT' | 'VALUE_TYPE_MISMATCH';
+  message: string;
+  type: string;
+  field?: string;
+  /**
+   * The argument of the field of a `VALUE_TYPE_MISMATCH`
+   */
+  argument?: string;
+  /**
+   * The enum value of a `VALUE_TYPE_MISMATCH`
+   */
+  value?: string;
+  services: string[];
+  /**
+   * The definition of each service, `null` when a value type member is missing
+   */
+  definitions?: Record<string, string | null>;
+}
+
+export interface CompositionReport {
+  valid: boolean;
+  errors: CompositionError[];
+}
+
+export interface WarmupError {
+  /**
+   * The name of the operation, `null` for anonymous operations and syntax errors
+   */
+  operationName: string | null;
+  message: string;
+}
+
+export interface WarmupReport {
+  valid: boolean;
+  errors: WarmupError[];
+}
+
+/**
+ * A store of the entity cache, the methods can return a promise
+ */
+export interface EntityCacheStore {
+  get(key: string): any;
+  /**
+   * @param ttl The time to live of the value, in seconds
+   */
+  set(key: string, value: any, ttl: number): any;
+  delete(key: string): any;
+}
+
+export interface EntityCacheOptions {
+  /**
+   * The time to live of the entities of each type, in seconds.
+   * The types without a TTL use the `maxAge` of their `@cacheControl` directive
+   */
+  ttl?: Record<string, number>;
+  /**
+   * The store of the entities, an in-memory store by default
+   */
+  store?: EntityCacheStore;
+  /**
+   * The maximum number of entities kept by the in-memory store
+   */
+  max?: number;
+}
+
+export interface ResponseCacheOptions {
+  /**
+   * The time to live of the responses, in seconds
+   */
+  ttl?: number;
+  /**
+   * The request headers whose values are part of the cache key
+   */
+  headers?: string[];
+  /**
+   * The time to live of the responses selecting a field, in seconds, e.g. `{ 'Query.me': 0 }`
+   */
+  policies?: Record<string, number>;
+  /**
+   * The maximum number of cached responses
+   */
+  max?: number;
+  /**
+   * Returns whether the request comes from an anonymous client, only their responses are cached
+   */
+  isAnonymous?: (request: FastifyRequest) => boolean;
+}
+
+export interface CircuitBreakerOptions {
+  /**
+   * The consecutive failed requests opening the circuit
+   */
+  threshold?: number;
+  /**
+   * The time the circuit stays open before probing the service, in milliseconds
+   */
+  resetTimeout?: number;
+}
+
+export interface RetryOptions {
+  /**
+   * The maximum number of attempts of a request, the first one included
+   */
+  maxAttempts?: number;
+  /**
+   * The delay before the first retry, in milliseconds
+   */
+  minTimeout?: number;
+  /**
+   * The maximum delay between two attempts, in milliseconds
+   */
+  maxTimeout?: number;
+  /**
+   * The status codes of the responses to retry
+   */
+  statusCodes?: number[];
+  /**
+   * The codes of the network errors to retry
+   */
+  errorCodes?: string[];
+}
+
+/**
+ * A store of the automatic persisted queries, the methods can return a promise
+ */
+export interface PersistedQueryStore {
+  get(hash: string): any;
+  set(hash: string, query: string): any;
+}
+
+export interface PersistedQueriesOptions {
+  /**
+   * The store of the queries, an in-memory store by default
+   */
+  store?: PersistedQueryStore;
+  /**
+   * The maximum number of queries kept by the in-memory store
+   */
+  max?: number;
+}
+
+/**
+ * A store of the cache of the gateway resolvers and query plans, the methods are sync
+ */
+export interface GatewayCacheStore {
+  get(key: string): any;
+  set(key: string, value: any): void;
+  clear(): void;
+}
+
+export interface GatewayCacheStats {
+  hits: number;
+  misses: number;
+}
+
 interface Gateway {
   refresh: (isRetry?: boolean) => Promise<GraphQLSchema | null>;
   serviceMap: Record<string, ServiceConfig>;
+  /**
+   * The report of the last composition of the service schemas
+   */
+  compositionReport: CompositionReport;
+  /**
+   * The report of the last warmup of the known operations with the gateway schema
+   */
+  warmupReport: WarmupReport;
+  /**
+   * Returns the requests sent to the federated services to resolve the query, without sending them.
+   * It requires the `queryPlanner` option
+   */
+  explain: (
+    query: string | DocumentNode,
+    variables?: Record<string, any>,
+    operationName?: string
+  ) => QueryPlanStep[];
+  /**
+   * Removes an entity from the entity cache, for all the services and selections,
+   * under the key and the other keys of the entity
+   */
+  invalidateEntity: (typeName: string, key: Record<string, any>) => Promise<void>;
+  /**
+   * Removes from the response cache the responses selecting any of the types
+   */
+  invalidateResponses: (tags: string | string[]) => void;
+  /**
+   * The hits and misses of the cache of the gateway resolvers and query plans
+   */
+  cacheStats: () => GatewayCacheStats;
 
   /**
    * `preGatewayExecution` is the hook to be executed in the GraphQL gateway request lifecycle.
@@ -39,6 +244,15 @@ interface Gateway {
    *  - `schema` - The new schema that has been built from the gateway refresh.
    */
   addHook(name: 'onGatewayReplaceSchema', hook: onGatewayReplaceSchemaHookHandler): void;
+
+  /**
+   * `onServiceCircuitChange` is an application lifecycle hook, triggered when the circuit breaker of a service changes of state.
+   * It has the following parameters:
+   *  - `instance` - The gateway server `FastifyInstance`.
+   *  - `service` - The service metadata, with its `name`.
+   *  - `state` - The new state of the circuit.
+   */
+  addHook(name: 'onServiceCircuitChange', hook: onServiceCircuitChangeHookHandler): void;
 }
 
 declare module "fastify" {
@@ -119,6 +333,27 @@ export interface MercuriusGatewayService {
   setResponseHeaders?: (reply: FastifyReply) => void;
   collectors?: Collectors;
   allowBatchedQueries?: boolean;
+  maxEntitiesPerRequest?: number;
+  /**
+   * Sends the hash of the queries to the service, the queries are sent when the service does not know them
+   */
+  persistedQueries?: boolean;
+  /**
+   * Stops sending requests to the service while it is failing
+   */
+  circuitBreaker?: boolean | CircuitBreakerOptions;
+  /**
+   * Retries the queries which failed to reach the service, the mutations are never retried
+   */
+  retry?: boolean | RetryOptions;
+  /**
+   * Sends the query operations to the service with GET requests
+   */
+  useGETForQueries?: boolean;
+  /**
+   * The maximum length of the URL of the GET requests, the longer queries are sent with POST
+   */
+  maxUrlLength?: number;
 }
 
 export interface MercuriusGatewayOptions {
@@ -128,6 +363,21 @@ export interface MercuriusGatewayOptions {
     errorHandler?(error: Error, service: MercuriusGatewayService): void;
     retryServicesCount?: number;
     retryServicesInterval?: number;
+    cache?: boolean | number | GatewayCacheStore | { max?: number; maxBytes?: number };
+    queryPlanner?: boolean;
+    /**
+     * The documents of the known operations, validated and planned against the gateway schema before it is served
+     */
+    warmupOperations?: string[];
+    explainHeader?: string;
+    rejectInvalidComposition?: boolean;
+    entityCache?: EntityCacheOptions;
+    responseCache?: ResponseCacheOptions;
+    cacheControl?: boolean;
+    /**
+     * Accepts automatic persisted queries, stored under their hash
+     */
+    persistedQueries?: boolean | PersistedQueriesOptions;
   };
 }
 
@@ -200,3 +450,20 @@ export interface onGatewayReplaceSchemaHookHandler {
     schema: GraphQLSchema
   ): Promise<void> | void;
 }
+
+export type CircuitState = 'closed' | 'open' | 'half-open';
+
+/**
+ * `onServiceCircuitChange` is an application lifecycle hook, triggered when the circuit breaker of a service changes of state.
+ * It has the following parameters:
+ *  - `instance` - The gateway server `FastifyInstance`.
+ *  - `service` - The service metadata, with its `name`.
+ *  - `state` - The new state of the circuit.
+ */
+export interface onServiceCircuitChangeHookHandler {
+  (
+    instance: FastifyInstance,
+    service: MercuriusServiceMetadata,
+    state: CircuitState
+  ): Promise<void> | void;
+}
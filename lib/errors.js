@@ -111,6 +111,20 @@ const errors = {
   MER_ERR_GQL_GATEWAY_DUPLICATE_DIRECTIVE: createError(
     'MER_ERR_GQL_GATEWAY_DUPLICATE_DIRECTIVE',
     'Directive with a different definition but the same name "%s" already exists in the gateway schema'
+  ),
+  MER_ERR_GQL_GATEWAY_INVALID_COMPOSITION: createError(
+    'MER_ERR_GQL_GATEWAY_INVALID_COMPOSITION',
+    'Invalid schema composition: %s'
+  ),
+  MER_ERR_GQL_GATEWAY_EXPLAIN: createError(
+    'MER_ERR_GQL_GATEWAY_EXPLAIN',
+    'Unable to explain the query: %s',
+    400
+  ),
+  MER_ERR_GQL_GATEWAY_SERVICE_UNAVAILABLE: createError(
+    'MER_ERR_GQL_GATEWAY_SERVICE_UNAVAILABLE',
+    'Service "%s" is unavailable, its circuit breaker is open',
+    503
   )
 }
 
@@ -1,5 +1,6 @@
 'use strict'
 
+const { Kind } = require('graphql')
 const buildGateway = require('./gateway/build-gateway')
 const {
   MER_ERR_INVALID_OPTS,
@@ -8,16 +9,64 @@ const {
 } = require('./errors')
 
 const {
-  onGatewayReplaceSchemaHandler
+  onGatewayReplaceSchemaHandler,
+  onServiceCircuitChangeHandler
 } = require('./handlers')
-const { buildCache } = require('./util')
+const { buildCache, setQueryKey } = require('./util')
+const buildResponseCache = require('./gateway/response-cache')
+const {
+  getMaxAge,
+  getCacheControlHeader,
+  getCachedCacheControlHeader
+} = require('./gateway/cache-control')
+const { getRequestPersistedQueryHash } = require('./gateway/persisted-queries')
+const { recordSentRequests } = require('./gateway/explain-query-plan')
 const { Hooks, assignLifeCycleHooksToContext, assignApplicationLifecycleHooksToContext } = require('./hooks')
 
 const kGatewayHooks = Symbol('mercurius.gateway.hooks')
+const kQueryPlanExplanation = Symbol('mercurius.gateway.query-plan-explanation')
+const kResponseCacheEntry = Symbol('mercurius.gateway.response-cache-entry')
+const kMutation = Symbol('mercurius.gateway.mutation')
 
 function validateGateway (opts) {
   const gateway = opts
 
+  if (gateway.entityCache && gateway.entityCache.store) {
+    const { store } = gateway.entityCache
+    if (!['get', 'set', 'delete'].every(method => typeof store[method] === 'function')) {
+      throw new MER_ERR_INVALID_OPTS(
+        'gateway: the "entityCache.store" must have the "get", "set" and "delete" methods'
+      )
+    }
+  }
+
+  if (
+    gateway.responseCache &&
+    gateway.responseCache.isAnonymous !== undefined &&
+    typeof gateway.responseCache.isAnonymous !== 'function'
+  ) {
+    throw new MER_ERR_INVALID_OPTS('gateway: the "responseCache.isAnonymous" must be a function')
+  }
+
+  if (gateway.persistedQueries && gateway.persistedQueries.store) {
+    const { store } = gateway.persistedQueries
+    if (!['get', 'set'].every(method => typeof store[method] === 'function')) {
+      throw new MER_ERR_INVALID_OPTS(
+        'gateway: the "persistedQueries.store" must have the "get" and "set" methods'
+      )
+    }
+  }
+
+  if (
+    gateway.warmupOperations !== undefined &&
+    (!Array.isArray(gateway.warmupOperations) ||
+      !gateway.warmupOperations.every(operation => typeof operation === 'string'))
+  ) {
+    throw new MER_ERR_INVALID_OPTS(
+      'gateway: the "warmupOperations" must be an Array of String'
+    )
+  }
+
   if (typeof gateway.services === 'function') return
 
   if (Array.isArray(gateway.services)) {
@@ -49,6 +98,47 @@ function validateGateway (opts) {
           'gateway: all "services" must have an "url" String, or a non-empty Array of String, property'
         )
       }
+      if (service.circuitBreaker && service.circuitBreaker !== true) {
+        const { threshold, resetTimeout } = service.circuitBreaker
+        if (
+          (threshold !== undefined && !(Number.isInteger(threshold) && threshold > 0)) ||
+          (resetTimeout !== undefined && !(typeof resetTimeout === 'number' && resetTimeout > 0))
+        ) {
+          throw new MER_ERR_INVALID_OPTS(
+            `gateway: the "circuitBreaker" of the "${service.name}" service must have a positive integer "threshold" and a positive "resetTimeout"`
+          )
+        }
+      }
+      if (service.retry && service.retry !== true) {
+        const { maxAttempts, minTimeout, maxTimeout, statusCodes, errorCodes } = service.retry
+        if (
+          (maxAttempts !== undefined && !(Number.isInteger(maxAttempts) && maxAttempts > 0)) ||
+          (minTimeout !== undefined && !(typeof minTimeout === 'number' && minTimeout >= 0)) ||
+          (maxTimeout !== undefined && !(typeof maxTimeout === 'number' && maxTimeout >= 0)) ||
+          (statusCodes !== undefined && !Array.isArray(statusCodes)) ||
+          (errorCodes !== undefined && !Array.isArray(errorCodes))
+        ) {
+          throw new MER_ERR_INVALID_OPTS(
+            `gateway: the "retry" of the "${service.name}" service must have a positive integer "maxAttempts", positive "minTimeout" and "maxTimeout", and Array "statusCodes" and "errorCodes"`
+          )
+        }
+      }
+      if (
+        service.maxUrlLength !== undefined &&
+        !(Number.isInteger(service.maxUrlLength) && service.maxUrlLength > 0)
+      ) {
+        throw new MER_ERR_INVALID_OPTS(
+          `gateway: the "maxUrlLength" of the "${service.name}" service must be a positive integer`
+        )
+      }
+      if (
+        service.maxEntitiesPerRequest !== undefined &&
+        !(Number.isInteger(service.maxEntitiesPerRequest) && service.maxEntitiesPerRequest > 0)
+      ) {
+        throw new MER_ERR_INVALID_OPTS(
+          `gateway: the "maxEntitiesPerRequest" of the "${service.name}" service must be a positive integer`
+        )
+      }
     }
   } else {
     throw new MER_ERR_GQL_GATEWAY_INIT(
@@ -57,7 +147,7 @@ function validateGateway (opts) {
   }
 }
 
-async function createGateway (gatewayOpts, app) {
+async function createGateway (gatewayOpts, app, graphqlPath = '/graphql') {
   validateGateway(gatewayOpts)
 
   const retryServicesCount =
@@ -68,18 +158,44 @@ async function createGateway (gatewayOpts, app) {
   const retryInterval = gatewayOpts.retryServicesInterval || 3000
 
   const lruGatewayResolvers = buildCache(gatewayOpts)
+  const responseCache = buildResponseCache(gatewayOpts.responseCache)
 
   const serviceMap = {}
+  const hooks = new Hooks()
+
+  // reports the state changes of the circuit breakers of the services
+  function onCircuitChange (service, state) {
+    if (state === 'open') {
+      app.log.warn(`Circuit breaker of service "${service}" is open`)
+    } else {
+      app.log.info(`Circuit breaker of service "${service}" is ${state}`)
+    }
+
+    const context = assignApplicationLifecycleHooksToContext({}, hooks)
+    if (context.onServiceCircuitChange !== null) {
+      onServiceCircuitChangeHandler(context, {
+        instance: app,
+        service: { name: service },
+        state
+      }).catch(error => app.log.error(error))
+    }
+  }
 
   try {
     const gateway = await buildGateway(
       serviceMap,
       gatewayOpts,
       app,
-      lruGatewayResolvers
+      lruGatewayResolvers,
+      onCircuitChange
     )
 
-    gateway[kGatewayHooks] = new Hooks()
+    gateway[kGatewayHooks] = hooks
+
+    // The hits and misses of the cache of the gateway resolvers and query plans
+    gateway.cacheStats = function () {
+      return lruGatewayResolvers ? lruGatewayResolvers.stats() : { hits: 0, misses: 0 }
+    }
 
     // Wrapper that we expose to the user for GraphQL hooks handling
     gateway.addHook = function (name, fn) {
@@ -155,10 +271,6 @@ async function createGateway (gatewayOpts, app) {
                 })
               }
 
-              /* istanbul ignore else */
-              if (lruGatewayResolvers) {
-                lruGatewayResolvers.clear()
-              }
               fastifyGraphQl.replaceSchema(schema)
             }
           } catch (error) {
@@ -212,10 +324,6 @@ async function createGateway (gatewayOpts, app) {
                 schema
               })
             }
-            /* istanbul ignore else */
-            if (lruGatewayResolvers) {
-              lruGatewayResolvers.clear()
-            }
             fastifyGraphQl.replaceSchema(schema)
           }
         } catch (error) {
@@ -228,6 +336,131 @@ async function createGateway (gatewayOpts, app) {
       context.gateway = assignApplicationLifecycleHooksToContext(assignLifeCycleHooksToContext(gateway, gateway[kGatewayHooks]), gateway[kGatewayHooks])
     })
 
+    if (gatewayOpts.persistedQueries) {
+      // the hash of a persisted query is its key in the gateway cache
+      fastifyGraphQl.addHook('preExecution', async (schema, document, context) => {
+        const hash = getRequestPersistedQueryHash(context)
+        if (hash !== null) {
+          setQueryKey(context, hash)
+        }
+      })
+    }
+
+    if (gatewayOpts.explainHeader) {
+      const explainHeader = gatewayOpts.explainHeader.toLowerCase()
+
+      fastifyGraphQl.addHook('preExecution', async (schema, document, context, variables) => {
+        const request = context.reply && context.reply.request
+        if (!request || request.headers[explainHeader] === undefined) {
+          return
+        }
+
+        // the field resolvers only know their requests when they send them
+        if (!gatewayOpts.queryPlanner) {
+          context[kQueryPlanExplanation] = recordSentRequests(context)
+          return
+        }
+
+        const params = request.body && !Array.isArray(request.body) ? request.body : request.query
+        try {
+          context[kQueryPlanExplanation] = gateway.explain(document, variables, params.operationName)
+        } catch (err) {
+          request.log.warn({ err }, 'unable to explain the query plan')
+        }
+      })
+
+      fastifyGraphQl.addHook('onResolution', async (execution, context) => {
+        if (context[kQueryPlanExplanation]) {
+          execution.extensions = {
+            ...execution.extensions,
+            queryPlan: context[kQueryPlanExplanation]
+          }
+        }
+      })
+    }
+
+    if (gatewayOpts.cacheControl !== false) {
+      fastifyGraphQl.addHook('preExecution', async (schema, document, context) => {
+        context[kMutation] = document.definitions.some(
+          definition => definition.kind === Kind.OPERATION_DEFINITION && definition.operation === 'mutation'
+        )
+      })
+
+      fastifyGraphQl.addHook('onResolution', async (execution, context) => {
+        const { reply } = context
+        // the responses of the mutations are never cached
+        if (!reply || context[kMutation] || reply.hasHeader('cache-control')) {
+          return
+        }
+
+        const cacheControl = getCacheControlHeader(context)
+        if (cacheControl !== null) {
+          // the responses with errors must not be cached
+          reply.header('cache-control', execution.errors ? 'no-store' : cacheControl)
+        }
+      })
+    }
+
+    if (responseCache !== null) {
+      const responseCacheUrl = app.prefix + graphqlPath
+      const explainHeader = gatewayOpts.explainHeader && gatewayOpts.explainHeader.toLowerCase()
+
+      gateway.invalidateResponses = function (tags) {
+        responseCache.invalidate(tags)
+      }
+
+      // the cached responses were built with the previous schema
+      gateway.addHook('onGatewayReplaceSchema', async () => {
+        responseCache.clear()
+      })
+
+      app.addHook('preHandler', async (request, reply) => {
+        if (
+          request.routeOptions.url !== responseCacheUrl ||
+          (explainHeader && request.headers[explainHeader] !== undefined)
+        ) {
+          return
+        }
+
+        const entry = responseCache.getEntry(request, fastifyGraphQl.schema)
+        if (entry === null) {
+          return
+        }
+
+        // the responses differ by the values of the headers of the key
+        if (responseCache.headers.length > 0) {
+          reply.header('vary', responseCache.headers.join(', '))
+        }
+
+        const cached = responseCache.get(entry.key)
+        if (cached !== undefined) {
+          reply.header('content-type', 'application/json; charset=utf-8')
+          const cacheControl = getCachedCacheControlHeader(
+            cached.cacheControl,
+            Math.ceil((cached.expires - Date.now()) / 1000),
+            request
+          )
+          if (cacheControl !== null) {
+            reply.header('cache-control', cacheControl)
+          }
+          return reply.send(cached.payload)
+        }
+
+        request[kResponseCacheEntry] = entry
+      })
+
+      fastifyGraphQl.addHook('onResolution', async (execution, context) => {
+        const request = context.reply && context.reply.request
+        if (!request || !request[kResponseCacheEntry] || execution.errors) {
+          return
+        }
+
+        // the Cache-Control header of the response is replayed with it
+        const cacheControl = context.reply.getHeader('cache-control')
+        responseCache.set(request[kResponseCacheEntry], execution, getMaxAge(context), cacheControl === undefined ? null : cacheControl)
+      })
+    }
+
     fastifyGraphQl.addHook('preSubscriptionExecution', async (schema, document, context) => {
       context.gateway = assignApplicationLifecycleHooksToContext(assignLifeCycleHooksToContext(gateway, gateway[kGatewayHooks]), gateway[kGatewayHooks])
     })
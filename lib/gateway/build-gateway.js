@@ -1,9 +1,15 @@
 'use strict'
 
-const { getNamedType, isObjectType, isScalarType, Kind } = require('graphql')
+const {
+  defaultFieldResolver,
+  getNamedType,
+  isObjectType,
+  isScalarType,
+  Kind
+} = require('graphql')
 const { Factory } = require('single-user-cache')
 const { buildFederationSchema } = require('@mercuriusjs/federation')
-const buildServiceMap = require('./service-map')
+const { buildServiceMap, composeServiceMap } = require('./service-map')
 const {
   makeResolver,
   createQueryOperation,
@@ -14,10 +20,18 @@ const {
 const {
   MER_ERR_GQL_GATEWAY_REFRESH,
   MER_ERR_GQL_GATEWAY_INIT,
+  MER_ERR_GQL_GATEWAY_INVALID_COMPOSITION,
+  MER_ERR_GQL_GATEWAY_EXPLAIN,
   MER_ERR_SERVICE_RETRY_FAILED
 } = require('../errors')
-const findValueTypes = require('./find-value-types')
+const { makeQueryPlanResolver, withQueryPlan } = require('./execute-query-plan')
+const { explainQuery } = require('./explain-query-plan')
+const warmupQueryPlans = require('./warmup-query-plans')
+const { findValueTypes } = require('./find-value-types')
 const getQueryResult = require('./get-query-result')
+const getRootQueryResult = require('./get-root-query-result')
+const { buildEntityCache } = require('./entity-cache')
+const validateComposition = require('./validate-composition')
 
 function isDefaultType (type) {
   return [
@@ -123,7 +137,9 @@ function defineResolvers (
   serviceMap,
   typeFieldsToService,
   entityResolversFactory,
-  lruGatewayResolvers
+  lruGatewayResolvers,
+  queryPlanner,
+  entityCache
 ) {
   const types = schema.getTypeMap()
 
@@ -287,10 +303,10 @@ function defineResolvers (
               field.resolve = makeResolver({
                 service: serviceMap[serviceForFieldType],
                 createOperation: createFieldResolverOperation,
-                // TODO this should be refactored to have a dataloader for a given entity
-                // that merges all different fields for a given entity.
                 transformData: response =>
                   response.json.data._entities[0][fieldName],
+                typeToServiceMap,
+                serviceMap,
                 entityResolversFactory,
                 lruGatewayResolvers,
                 skipRequestIfValueExists: true
@@ -323,11 +339,11 @@ function defineResolvers (
           } else {
             field.resolve = makeResolver({
               service,
-              // TODO this should be refactored to have a dataloader for a given entity
-              // that merges all different fields for a given entity.
               createOperation: createFieldResolverOperation,
               transformData: response =>
                 response.json.data._entities[0][fieldName],
+              typeToServiceMap,
+              serviceMap,
               entityResolversFactory,
               lruGatewayResolvers
             })
@@ -346,6 +362,167 @@ function defineResolvers (
       }
     }
   }
+
+  if (queryPlanner) {
+    defineQueryPlanResolvers(schema, {
+      serviceMap,
+      typeToServiceMap,
+      typeFieldsToService,
+      lruGatewayResolvers,
+      entityCache
+    })
+  }
+}
+
+/**
+ * With the query planner, the query and mutation root fields run the plan of
+ * the operation and the nested fields read their value from the parent.
+ * Subscriptions are still resolved field by field.
+ */
+function defineQueryPlanResolvers (schema, options) {
+  const rootTypes = [schema.getQueryType(), schema.getMutationType()]
+
+  for (const type of Object.values(schema.getTypeMap())) {
+    if (
+      !isObjectType(type) ||
+      isDefaultType(type.name) ||
+      type === schema.getSubscriptionType()
+    ) {
+      continue
+    }
+
+    for (const field of Object.values(type.getFields())) {
+      field.resolve = rootTypes.includes(type)
+        ? makeQueryPlanResolver(options)
+        : withQueryPlan(field.resolve || defaultFieldResolver)
+    }
+  }
+}
+
+/**
+ * The schema definitions used to build the gateway schema,
+ * Federation v2 definitions are translated by composeServiceMap.
+ */
+function getGatewaySDLs (serviceMap) {
+  return Object.values(serviceMap)
+    .map(service => service.gatewaySchemaDefinition || service.schemaDefinition)
+    .join(' ')
+}
+
+/**
+ * Logs the problems of the composition report,
+ * with `rejectInvalidComposition` a composition with problems is refused.
+ */
+function checkComposition (report, gatewayOpts, log) {
+  if (report.valid) {
+    return
+  }
+
+  for (const error of report.errors) {
+    log.warn(`Schema composition issue: ${error.message}`)
+  }
+
+  if (gatewayOpts.rejectInvalidComposition) {
+    const err = new MER_ERR_GQL_GATEWAY_INVALID_COMPOSITION(
+      report.errors.map(error => error.message).join('; ')
+    )
+    err.report = report
+    throw err
+  }
+}
+
+/**
+ * Fetches the schemas of the services and composes them on copies of the service
+ * definitions, the service map is left untouched. A mandatory service failing
+ * before its last retry throws a `MER_ERR_SERVICE_RETRY_FAILED` error.
+ */
+async function refreshServices (services, errorHandler, isRetry) {
+  const failedMandatoryServices = []
+  const candidates = {}
+
+  const $refreshResult = await Promise.allSettled(
+    Object.entries(services).map(([name, service]) =>
+      service.refresh().then(definition => {
+        candidates[name] = { ...service, ...definition }
+      }).catch(err => {
+        // If non-mandatory service or if retry count has exceeded for mandatory service then throw
+        if (!service.mandatory || !isRetry) {
+          errorHandler(err, service)
+        }
+
+        // If service is mandatory and retry count has not exceeded then add to service to
+        // failedMandatoryServices so it can be returned for retrying
+        if (service.mandatory) {
+          failedMandatoryServices.push(service)
+        }
+      })
+    )
+  )
+
+  if (failedMandatoryServices.length > 0) {
+    const serviceNames = failedMandatoryServices.map(
+      service => service.name
+    )
+    const err = new MER_ERR_SERVICE_RETRY_FAILED(serviceNames.join(', '))
+    err.failedServices = serviceNames
+    throw err
+  }
+
+  const rejectedResults = $refreshResult
+    .filter(({ status }) => status === 'rejected')
+    .map(({ reason }) => reason)
+
+  if (rejectedResults.length) {
+    const err = new MER_ERR_GQL_GATEWAY_REFRESH()
+    err.errors = rejectedResults
+    throw err
+  }
+
+  // the services which failed to refresh keep their definitions
+  const composed = {}
+  for (const [name, service] of Object.entries(services)) {
+    composed[name] = candidates[name] || { ...service }
+  }
+
+  return composeServiceMap(composed)
+}
+
+const definitionFields = ['schema', 'schemaDefinition', 'typeMap', 'types', 'extensionTypeMap', 'gatewaySchemaDefinition']
+
+// replaces the services and their definitions with the accepted composition
+function commitServiceMap (serviceMap, candidates, addedServiceMap) {
+  for (const name of Object.keys(serviceMap)) {
+    if (!candidates[name]) {
+      serviceMap[name].close().catch(() => {})
+      delete serviceMap[name]
+    }
+  }
+
+  for (const [name, candidate] of Object.entries(candidates)) {
+    if (!serviceMap[name]) {
+      serviceMap[name] = addedServiceMap[name]
+    }
+    for (const field of definitionFields) {
+      serviceMap[name][field] = candidate[field]
+    }
+  }
+}
+
+function warmupOperations (gatewayOpts, log, options) {
+  const report = warmupQueryPlans({
+    ...options,
+    operations: gatewayOpts.warmupOperations || [],
+    queryPlanner: gatewayOpts.queryPlanner
+  })
+
+  for (const error of report.errors) {
+    log.warn(error.operationName
+      ? `Warmup operation "${error.operationName}" issue: ${error.message}`
+      : `Warmup operation issue: ${error.message}`
+    )
+  }
+
+  return report
 }
 
 function defaultErrorHandler (error, service) {
@@ -354,15 +531,54 @@ function defaultErrorHandler (error, service) {
   }
 }
 
-async function buildGateway (serviceMap, gatewayOpts, app, lruGatewayResolvers) {
+/**
+ * Adds the loaders batching the requests sent to a service
+ * during the execution of a gateway query
+ */
+function addServiceLoaders (factory, service, serviceDefinition, entityCache) {
+  // The queries of the field resolvers for the same entities are combined
+  // into one `_entities` query, see `get-query-result.js`
+  factory.add(
+    `${service}Entity`,
+    async queries => {
+      // context is the same for each query, but unfortunately it's not acessible from onRequest
+      // where we do factory.create(). What is a cleaner option?
+      const context = queries[0].context
+      const result = await getQueryResult({
+        context,
+        queries,
+        serviceDefinition,
+        service,
+        entityCache
+      })
+
+      return result
+    },
+    query => query.id
+  )
+
+  factory.add(
+    `${service}Query`,
+    async queries => getRootQueryResult({
+      context: queries[0].context,
+      queries,
+      serviceDefinition
+    }),
+    query => query.id
+  )
+}
+
+async function buildGateway (serviceMap, gatewayOpts, app, lruGatewayResolvers, onCircuitChange) {
   const { services, errorHandler = defaultErrorHandler } = gatewayOpts
 
   if (typeof services === 'function') {
-    await buildServiceMap(serviceMap, await services(), errorHandler, app.log)
+    await buildServiceMap(serviceMap, await services(), errorHandler, app.log, onCircuitChange)
   } else {
-    await buildServiceMap(serviceMap, services, errorHandler, app.log)
+    await buildServiceMap(serviceMap, services, errorHandler, app.log, onCircuitChange)
   }
 
+  composeServiceMap(serviceMap)
+
   const serviceSDLs = Object.entries(serviceMap).reduce(
     (acc, [name, value]) => {
       const { schemaDefinition, error } = value
@@ -385,7 +601,10 @@ async function buildGateway (serviceMap, gatewayOpts, app, lruGatewayResolvers)
     throw new MER_ERR_GQL_GATEWAY_INIT('No valid service SDLs were provided')
   }
 
-  const schema = buildFederationSchema(serviceSDLs.join(' '), {
+  const compositionReport = validateComposition(serviceMap)
+  checkComposition(compositionReport, gatewayOpts, app.log)
+
+  const schema = buildFederationSchema(getGatewaySDLs(serviceMap), {
     isGateway: true
   })
 
@@ -393,6 +612,7 @@ async function buildGateway (serviceMap, gatewayOpts, app, lruGatewayResolvers)
   const typeFieldsToService = {}
   let allTypes = []
   const factory = new Factory()
+  const entityCache = buildEntityCache(gatewayOpts.entityCache, app.log)
   app.decorateReply(kEntityResolvers)
   app.addHook('onRequest', async function (req, reply) {
     reply[kEntityResolvers] = factory.create()
@@ -412,75 +632,7 @@ async function buildGateway (serviceMap, gatewayOpts, app, lruGatewayResolvers)
       }
     }
 
-    /**
-     * TODO: further optimization is possible by merging queries to the same service
-     * when the entities query is for the same type with the same representation values
-     * but for different fields
-     *
-     * This example currently sends 2 requests:
-     * [{
-     *   query: `query EntitiesQuery($representations: [_Any!]!) {
-     *     _entities(representations: $representations) {
-     *        __typename
-     *        ... on Product {
-     *          inStock
-     *        }
-     *     }
-     *   }`,
-     *   variables: {
-     *     representations: [{ __typename: "Product", upc: "1"}, {__typename:"Product", upc:"2"}]
-     *   }
-     * }, {
-     *   query: `query EntitiesQuery($representations: [_Any!]!) {
-     *     _entities(representations: $representations) {
-     *        __typename
-     *        ... on Product {
-     *          inStock
-     *        }
-     *     }
-     *   }`,
-     *   variables: {
-     *     representations: [{ __typename: "Product", upc: "1"}, {__typename:"Product", upc:"2"}]
-     *   }
-     * }]
-     *
-     * but queries should be merged into one and only one service request should be made
-     *
-     * {
-     *   query: `query EntitiesQuery($representations: [_Any!]!) {
-     *     _entities(representations: $representations) {
-     *        __typename
-     *        ... on Product {
-     *          inStock
-     *          shippingEstimate
-     *        }
-     *     }
-     *   }`,
-     *   variables: {
-     *     representations: [{ __typename: "Product", upc: "1"}, {__typename:"Product", upc:"2"}]
-     *   }
-     * }
-     *
-     * However returning the correct response for the two orignal query is not trival hence it remains a future todo
-     *
-     */
-    factory.add(
-      `${service}Entity`,
-      async queries => {
-        // context is the same for each query, but unfortunately it's not acessible from onRequest
-        // where we do factory.create(). What is a cleaner option?
-        const context = queries[0].context
-        const result = await getQueryResult({
-          context,
-          queries,
-          serviceDefinition,
-          service
-        })
-
-        return result
-      },
-      query => query.id
-    )
+    addServiceLoaders(factory, service, serviceDefinition, entityCache)
   }
 
   typeToServiceMap.Query = null
@@ -498,9 +650,19 @@ async function buildGateway (serviceMap, gatewayOpts, app, lruGatewayResolvers)
     serviceMap,
     typeFieldsToService,
     factory,
-    lruGatewayResolvers
+    lruGatewayResolvers,
+    gatewayOpts.queryPlanner,
+    entityCache
   )
 
+  const warmupReport = warmupOperations(gatewayOpts, app.log, {
+    schema,
+    lruGatewayResolvers,
+    serviceMap,
+    typeToServiceMap,
+    typeFieldsToService
+  })
+
   const close = async () => {
     for (const service of Object.values(serviceMap)) {
       await service.close()
@@ -514,70 +676,81 @@ async function buildGateway (serviceMap, gatewayOpts, app, lruGatewayResolvers)
     entityResolversFactory: factory,
     pollingInterval: gatewayOpts.pollingInterval,
     serviceFn: typeof gatewayOpts.services === 'function' ? gatewayOpts.services : undefined,
+    compositionReport,
+    warmupReport,
+    async invalidateEntity (typeName, key) {
+      if (entityCache !== null) {
+        await entityCache.invalidate(typeName, key)
+      }
+    },
+    explain (query, variables, operationName) {
+      // the field resolvers decide their requests during the execution,
+      // only the plans of the query planner are known in advance
+      if (!gatewayOpts.queryPlanner) {
+        throw new MER_ERR_GQL_GATEWAY_EXPLAIN('the requests are only explained with the "queryPlanner" option')
+      }
+
+      return explainQuery({
+        schema: this.schema,
+        query,
+        variables,
+        operationName,
+        serviceMap,
+        typeToServiceMap,
+        typeFieldsToService
+      })
+    },
     async refresh (isRetry) {
-      const failedMandatoryServices = []
       if (this._serviceSDLs === undefined) {
         this._serviceSDLs = serviceSDLs.join(' ')
       }
 
+      // the services are only added, removed and updated in the service map
+      // once the new composition is accepted
+      const services = { ...serviceMap }
+      const addedServiceMap = {}
       if (this.serviceFn) {
         const newServices = await this.serviceFn()
         const oldServices = Object.keys(serviceMap)
         const addedServices = newServices.filter(({ name }) => !oldServices.includes(name))
         const deletedServices = oldServices.filter(name => !newServices.find(service => service.name === name))
         for (const name of deletedServices) {
-          serviceMap[name].close().catch(() => {})
-          delete serviceMap[name]
+          delete services[name]
         }
-        await buildServiceMap(serviceMap, addedServices, errorHandler, app.log)
+        await buildServiceMap(addedServiceMap, addedServices, errorHandler, app.log, onCircuitChange)
+        Object.assign(services, addedServiceMap)
       }
 
-      const $refreshResult = await Promise.allSettled(
-        Object.values(serviceMap).map(service =>
-          service.refresh().catch(err => {
-            // If non-mandatory service or if retry count has exceeded for mandatory service then throw
-            if (!service.mandatory || !isRetry) {
-              errorHandler(err, service)
-            }
-
-            // If service is mandatory and retry count has not exceeded then add to service to
-            // failedMandatoryServices so it can be returned for retrying
-            if (service.mandatory) {
-              failedMandatoryServices.push(service)
-            }
-          })
-        )
-      )
+      let schema
+      try {
+        const candidates = await refreshServices(services, errorHandler, isRetry)
+        const _serviceSDLs = Object.values(candidates)
+          .map(service => service.schemaDefinition)
+          .join(' ')
+
+        if (this._serviceSDLs !== _serviceSDLs) {
+          this.compositionReport = validateComposition(candidates)
+          checkComposition(this.compositionReport, gatewayOpts, app.log)
+          schema = buildFederationSchema(getGatewaySDLs(candidates), { isGateway: true })
+        }
 
-      if (failedMandatoryServices.length > 0) {
-        const serviceNames = failedMandatoryServices.map(
-          service => service.name
-        )
-        const err = new MER_ERR_SERVICE_RETRY_FAILED(serviceNames.join(', '))
-        err.failedServices = serviceNames
-        throw err
-      }
+        commitServiceMap(serviceMap, candidates, addedServiceMap)
+        for (const name of Object.keys(addedServiceMap)) {
+          addServiceLoaders(factory, name, serviceMap[name], entityCache)
+        }
 
-      const rejectedResults = $refreshResult
-        .filter(({ status }) => status === 'rejected')
-        .map(({ reason }) => reason)
+        if (this._serviceSDLs === _serviceSDLs) {
+          return null
+        }
 
-      if (rejectedResults.length) {
-        const err = new MER_ERR_GQL_GATEWAY_REFRESH()
-        err.errors = rejectedResults
+        this._serviceSDLs = _serviceSDLs
+      } catch (err) {
+        for (const service of Object.values(addedServiceMap)) {
+          service.close().catch(() => {})
+        }
         throw err
       }
 
-      const _serviceSDLs = Object.values(serviceMap)
-        .map(service => service.schemaDefinition)
-        .join(' ')
-
-      if (this._serviceSDLs === _serviceSDLs) {
-        return null
-      }
-
-      this._serviceSDLs = _serviceSDLs
-
       allTypes = []
 
       for (const [service, serviceDefinition] of Object.entries(serviceMap)) {
@@ -601,8 +774,6 @@ async function buildGateway (serviceMap, gatewayOpts, app, lruGatewayResolvers)
         )
       )
 
-      const schema = buildFederationSchema(_serviceSDLs, { isGateway: true })
-
       typeToServiceMap.Query = null
       typeToServiceMap.Mutation = null
       typeToServiceMap.Subscription = null
@@ -612,7 +783,20 @@ async function buildGateway (serviceMap, gatewayOpts, app, lruGatewayResolvers)
         typeToServiceMap[typeName] = null
       }
 
-      defineResolvers(schema, typeToServiceMap, serviceMap, typeFieldsToService, factory, lruGatewayResolvers)
+      defineResolvers(schema, typeToServiceMap, serviceMap, typeFieldsToService, factory, lruGatewayResolvers, gatewayOpts.queryPlanner, entityCache)
+
+      // the cached plans were built with the previous schema,
+      // the known operations are planned before the new schema is served
+      if (lruGatewayResolvers) {
+        lruGatewayResolvers.clear()
+      }
+      this.warmupReport = warmupOperations(gatewayOpts, app.log, {
+        schema,
+        lruGatewayResolvers,
+        serviceMap,
+        typeToServiceMap,
+        typeFieldsToService
+      })
 
       this.schema = schema
       app.graphql.replaceSchema(this.schema)
@@ -0,0 +1,168 @@
+'use strict'
+
+const kCacheControl = Symbol('mercurius.gateway.cache-control')
+
+// a shared cache must not store the responses to authorized requests
+function isAuthorized (request) {
+  return !!request && request.headers.authorization !== undefined
+}
+
+function parseSeconds (value) {
+  const seconds = parseInt(value, 10)
+  return Number.isNaN(seconds) ? null : Math.max(seconds, 0)
+}
+
+/**
+ * Parses a `Cache-Control` header, the max ages are `null` when missing
+ */
+function parseCacheControl (header) {
+  const directives = {}
+  if (typeof header === 'string') {
+    for (const directive of header.toLowerCase().split(',')) {
+      const [name, value] = directive.trim().split('=')
+      directives[name] = value
+    }
+  }
+
+  return {
+    noStore: 'no-store' in directives,
+    noCache: 'no-cache' in directives,
+    private: 'private' in directives,
+    maxAge: parseSeconds(directives['max-age']),
+    sMaxAge: parseSeconds(directives['s-maxage'])
+  }
+}
+
+/**
+ * Combines in the context the `Cache-Control` headers of the responses
+ * of the services received for the request
+ */
+function collectCacheControl (context, headers) {
+  const cacheControl = parseCacheControl(headers['cache-control'])
+  const state = context[kCacheControl] || (context[kCacheControl] = {
+    hasHeader: false,
+    noStore: false,
+    missingMaxAge: false,
+    private: false,
+    maxAge: Infinity,
+    sMaxAge: Infinity,
+    hasSMaxAge: false,
+    sharedMaxAge: null
+  })
+
+  // a response without max age is not cached by the clients
+  const maxAge = cacheControl.noCache ? 0 : cacheControl.maxAge || 0
+  const sMaxAge = cacheControl.noCache || cacheControl.sMaxAge === null
+    ? maxAge
+    : cacheControl.sMaxAge
+
+  state.hasHeader = state.hasHeader || typeof headers['cache-control'] === 'string'
+  state.noStore = state.noStore || cacheControl.noStore
+  state.missingMaxAge = state.missingMaxAge || cacheControl.noCache || cacheControl.maxAge === null
+  state.private = state.private || cacheControl.private
+  state.maxAge = Math.min(state.maxAge, maxAge)
+  state.sMaxAge = Math.min(state.sMaxAge, sMaxAge)
+  state.hasSMaxAge = state.hasSMaxAge || cacheControl.sMaxAge !== null
+
+  // the max age for the gateway, which is a shared cache
+  let sharedMaxAge = cacheControl.sMaxAge !== null ? cacheControl.sMaxAge : cacheControl.maxAge
+  if (cacheControl.noStore || cacheControl.noCache || cacheControl.private) {
+    sharedMaxAge = 0
+  }
+  if (sharedMaxAge !== null) {
+    state.sharedMaxAge = state.sharedMaxAge === null
+      ? sharedMaxAge
+      : Math.min(state.sharedMaxAge, sharedMaxAge)
+  }
+}
+
+/**
+ * Returns the minimum max age of the responses of the services received
+ * for the request, for a shared cache. It is `null` when none of them has a max age,
+ * `0` when any of them cannot be stored by a shared cache.
+ */
+function getMaxAge (context) {
+  return context[kCacheControl] === undefined ? null : context[kCacheControl].sharedMaxAge
+}
+
+/**
+ * Returns the `Cache-Control` header of the response to the client, from the
+ * responses of the services: the minimum max age, `private` wins over `public`
+ * and `no-store` over both. A response of a service without max age makes it
+ * `no-store`, and the responses to the requests with an `Authorization` header
+ * are `private`. It is `null` when no service response had a `Cache-Control` header.
+ */
+function getCacheControlHeader (context) {
+  const state = context[kCacheControl]
+  if (state === undefined || !state.hasHeader) {
+    return null
+  }
+  if (state.noStore || state.missingMaxAge) {
+    return 'no-store'
+  }
+  if (state.private || isAuthorized(context.reply && context.reply.request)) {
+    return `private, max-age=${state.maxAge}`
+  }
+
+  return state.hasSMaxAge
+    ? `public, max-age=${state.maxAge}, s-maxage=${state.sMaxAge}`
+    : `public, max-age=${state.maxAge}`
+}
+
+/**
+ * Returns the `Cache-Control` header combining the headers of several
+ * responses of services, as `getCacheControlHeader` does for a request
+ */
+function combineCacheControl (responses) {
+  const context = {}
+  for (const response of responses) {
+    collectCacheControl(context, response.headers || {})
+  }
+
+  return getCacheControlHeader(context)
+}
+
+/**
+ * Returns a `Cache-Control` header a shared cache must not store,
+ * `private` with the same max age unless it is already `private` or `no-store`
+ */
+function makePrivate (header) {
+  if (typeof header !== 'string') {
+    return header
+  }
+
+  const cacheControl = parseCacheControl(header)
+  if (cacheControl.noStore || cacheControl.private) {
+    return header
+  }
+
+  return `private, max-age=${cacheControl.maxAge || 0}`
+}
+
+/**
+ * Returns the `Cache-Control` header of a response replayed from the response cache,
+ * the max ages of the header are capped to the remaining time to live in seconds.
+ * As for the other responses, it is `private` when the request is authorized.
+ */
+function getCachedCacheControlHeader (header, ttl, request) {
+  if (typeof header !== 'string') {
+    return null
+  }
+  if (isAuthorized(request)) {
+    header = makePrivate(header)
+  }
+
+  return header.replace(/\b(max-age|s-maxage)=(\d+)/gi, (directive, name, seconds) =>
+    `${name}=${Math.min(Number(seconds), ttl)}`
+  )
+}
+
+module.exports = {
+  parseCacheControl,
+  collectCacheControl,
+  getMaxAge,
+  getCacheControlHeader,
+  combineCacheControl,
+  getCachedCacheControlHeader,
+  makePrivate
+}
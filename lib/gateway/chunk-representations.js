@@ -0,0 +1,72 @@
+'use strict'
+
+/**
+ * Splits the representations of an `_entities` query in chunks
+ * of at most `maxEntitiesPerRequest` representations, each chunk is sent in its own request.
+ * Returns the variables of each chunk.
+ */
+function chunkRepresentations (variables, maxEntitiesPerRequest) {
+  if (
+    !maxEntitiesPerRequest ||
+    !variables ||
+    !Array.isArray(variables.representations) ||
+    variables.representations.length <= maxEntitiesPerRequest
+  ) {
+    return [variables]
+  }
+
+  const chunks = []
+  const { representations } = variables
+  for (let i = 0; i < representations.length; i += maxEntitiesPerRequest) {
+    chunks.push({
+      ...variables,
+      representations: representations.slice(i, i + maxEntitiesPerRequest)
+    })
+  }
+
+  return chunks
+}
+
+/**
+ * Joins the responses of the chunks of an `_entities` query in order,
+ * the entity paths of the errors are moved to the position of the entity in the whole query.
+ */
+function joinChunks (responses, maxEntitiesPerRequest) {
+  if (responses.length === 1) {
+    return responses[0]
+  }
+
+  const entities = []
+  const errors = []
+
+  responses.forEach((json, index) => {
+    entities.push(...json.data._entities)
+
+    for (const error of json.errors || []) {
+      if (Array.isArray(error.path) && error.path[0] === '_entities') {
+        const [, entityIndex, ...path] = error.path
+        errors.push({
+          ...error,
+          path: ['_entities', entityIndex + index * maxEntitiesPerRequest, ...path]
+        })
+      } else {
+        errors.push(error)
+      }
+    }
+  })
+
+  const result = {
+    ...responses[0],
+    data: { ...responses[0].data, _entities: entities }
+  }
+
+  if (errors.length > 0) {
+    result.errors = errors
+  } else {
+    delete result.errors
+  }
+
+  return result
+}
+
+module.exports = { chunkRepresentations, joinChunks }
@@ -0,0 +1,96 @@
+'use strict'
+
+const { FederatedError, MER_ERR_GQL_GATEWAY_SERVICE_UNAVAILABLE } = require('../errors')
+
+/**
+ * Creates the circuit breaker of a service.
+ *
+ * The circuit is `closed` while the requests succeed. After `threshold`
+ * consecutive failures it opens: the requests fail fast, without reaching the
+ * service, for `resetTimeout` milliseconds. The circuit is then `half-open`:
+ * one request probes the service, the circuit closes if it succeeds and opens
+ * again if it fails.
+ *
+ * @param {Object} opts
+ * @param {string} opts.name The name of the service
+ * @param {number} [opts.threshold] The consecutive failures opening the circuit
+ * @param {number} [opts.resetTimeout] The time the circuit stays open, in milliseconds
+ * @param {Function} [opts.onStateChange] Called with the new state of the circuit
+ */
+function createCircuitBreaker ({
+  name,
+  threshold = 5,
+  resetTimeout = 30000,
+  onStateChange = () => {}
+}) {
+  let state = 'closed'
+  let failures = 0
+  let openedAt = 0
+  let probing = false
+
+  function setState (newState) {
+    if (state !== newState) {
+      state = newState
+      onStateChange(newState)
+    }
+  }
+
+  function unavailable () {
+    const err = new MER_ERR_GQL_GATEWAY_SERVICE_UNAVAILABLE(name)
+    err.extensions = { code: err.code, service: name }
+    return new FederatedError([err])
+  }
+
+  function onSuccess () {
+    failures = 0
+    setState('closed')
+  }
+
+  function onFailure () {
+    failures++
+    if (state === 'half-open' || failures >= threshold) {
+      openedAt = Date.now()
+      setState('open')
+    }
+  }
+
+  return {
+    get state () {
+      return state
+    },
+
+    /**
+     * Runs the request of `fn` unless the circuit is open,
+     * a request fails when it throws or when `isFailure` returns true for its result
+     */
+    async run (fn, isFailure = () => false) {
+      if (state === 'open' && Date.now() - openedAt >= resetTimeout) {
+        setState('half-open')
+      }
+      if (state === 'open' || (state === 'half-open' && probing)) {
+        throw unavailable()
+      }
+
+      const probe = state === 'half-open'
+      probing = probe
+      try {
+        const result = await fn()
+        if (isFailure(result)) {
+          onFailure()
+        } else {
+          onSuccess()
+        }
+        return result
+      } catch (err) {
+        onFailure()
+        throw err
+      } finally {
+        if (probe) {
+          probing = false
+        }
+      }
+    }
+  }
+}
+
+module.exports = createCircuitBreaker
@@ -0,0 +1,53 @@
+'use strict'
+
+/**
+ * Removes the duplicated representations of an `_entities` query,
+ * the same entity is often referenced many times in a list.
+ * `positions` maps each original representation to its deduplicated one,
+ * it is `null` when there are no duplicates.
+ */
+function dedupeRepresentations (variables) {
+  if (!variables || !Array.isArray(variables.representations)) {
+    return { variables, positions: null }
+  }
+
+  const indexes = new Map()
+  const representations = []
+  const positions = []
+
+  for (const representation of variables.representations) {
+    const key = JSON.stringify(representation)
+    if (!indexes.has(key)) {
+      indexes.set(key, representations.length)
+      representations.push(representation)
+    }
+    positions.push(indexes.get(key))
+  }
+
+  if (representations.length === variables.representations.length) {
+    return { variables, positions: null }
+  }
+
+  return { variables: { ...variables, representations }, positions }
+}
+
+/**
+ * Fans the entities of a deduplicated `_entities` response
+ * back out to the positions of the original representations.
+ */
+function expandEntities (json, positions) {
+  if (positions === null || !json || !json.data || !Array.isArray(json.data._entities)) {
+    return json
+  }
+
+  const entities = json.data._entities
+  return {
+    ...json,
+    data: {
+      ...json.data,
+      _entities: positions.map(position => entities[position])
+    }
+  }
+}
+
+module.exports = { dedupeRepresentations, expandEntities }
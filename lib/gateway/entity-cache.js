@@ -0,0 +1,319 @@
+'use strict'
+
+const { createHash } = require('crypto')
+const { lru } = require('tiny-lru')
+const {
+  getServiceKeyFieldSets,
+  hasFieldSet,
+  pickFieldSet
+} = require('./make-resolver')
+const {
+  parseCacheControl,
+  collectCacheControl,
+  getCachedCacheControlHeader
+} = require('./cache-control')
+const { stableStringify } = require('../util')
+
+function isObject (value) {
+  return value !== null && typeof value === 'object'
+}
+
+function hash (value) {
+  return createHash('sha256').update(value).digest('base64')
+}
+
+/**
+ * The default store of the entity cache, it keeps at most `max` entities in memory.
+ * A store has the `get(key)`, `set(key, value, ttl)` and `delete(key)` methods,
+ * they can return a promise and the `ttl` is in seconds.
+ */
+function createMemoryStore ({ max = 1024 } = {}) {
+  const cache = lru(max)
+
+  return {
+    get (key) {
+      const entry = cache.get(key)
+      if (entry === undefined) {
+        return undefined
+      }
+      if (entry.expires <= Date.now()) {
+        cache.delete(key)
+        return undefined
+      }
+      return entry.value
+    },
+    set (key, value, ttl) {
+      cache.set(key, { value, expires: Date.now() + ttl * 1000 })
+    },
+    delete (key) {
+      cache.delete(key)
+    }
+  }
+}
+
+// the max age of the `@cacheControl` directive of the type, private types are not cached
+function getCacheControlMaxAge (type) {
+  for (const node of [type.astNode, ...(type.extensionASTNodes || [])]) {
+    const directive = node && node.directives &&
+      node.directives.find(directive => directive.name.value === 'cacheControl')
+    if (!directive) {
+      continue
+    }
+
+    const args = {}
+    for (const argument of directive.arguments) {
+      args[argument.name.value] = argument.value.value
+    }
+
+    return args.scope === 'PRIVATE' ? 0 : Number(args.maxAge || 0)
+  }
+
+  return 0
+}
+
+function getEntityKey (typeName, key) {
+  return `${typeName}:${stableStringify(key)}`
+}
+
+// the other keys an entity is stored under, by entity key
+function getIndexKey (entityKey) {
+  return `${entityKey}:keys`
+}
+
+// a response a shared cache must not store
+function isUncacheable (cacheControl) {
+  const { noStore, private: isPrivate } = parseCacheControl(cacheControl)
+  return noStore || isPrivate
+}
+
+/**
+ * Builds the cache of the entities fetched through `_entities` queries,
+ * `null` when the gateway does not cache entities.
+ *
+ * An entity is stored under its type and the key fields of the representation
+ * sent to the service, with an entry for each service and selection it was fetched
+ * with, so it can be invalidated at once. With several `@key` directives, the
+ * entity can also be stored under each of its other keys, an index from each
+ * key to the others lets an invalidation remove all of them.
+ * The TTL of a type is set in the options or read from the `@cacheControl(maxAge:)`
+ * directive of the type in the service, entities without a TTL are not cached,
+ * nor are the entities of the `private` or `no-store` responses of the services.
+ */
+function buildEntityCache (opts, log) {
+  if (!opts) {
+    return null
+  }
+
+  const ttls = opts.ttl || {}
+  const store = opts.store || createMemoryStore({ max: opts.max })
+
+  function getTtl (typeName, service) {
+    if (ttls[typeName] !== undefined) {
+      return ttls[typeName]
+    }
+
+    const type = service.schema && service.schema.getType(typeName)
+    return type ? getCacheControlMaxAge(type) : 0
+  }
+
+  // the entity keys of the key field sets the value has, in the order of the `@key` directives
+  function getEntityKeys (typeName, value, service) {
+    const keys = getServiceKeyFieldSets({ name: typeName }, service) || []
+    return keys
+      .filter(key => hasFieldSet(value, key))
+      .map(key => getEntityKey(typeName, pickFieldSet(value, key)))
+  }
+
+  function getRepresentationKey (representation, service) {
+    const [key] = getEntityKeys(representation.__typename, representation, service)
+    return key || null
+  }
+
+  async function get (key) {
+    try {
+      return await store.get(key)
+    } catch (err) {
+      log.warn({ err }, 'unable to read the entity cache')
+    }
+  }
+
+  async function set (key, value, ttl) {
+    try {
+      await store.set(key, value, ttl)
+    } catch (err) {
+      log.warn({ err }, 'unable to write the entity cache')
+    }
+  }
+
+  return {
+    /**
+     * Looks up the entities of an `_entities` query in the cache,
+     * the returned variables only have the representations of the missing entities.
+     * The `Cache-Control` of the cached entities is collected in the context,
+     * capped to their remaining time to live.
+     * Returns `null` if the query does not fetch entities.
+     */
+    async lookup ({ service, query, variables, context }) {
+      if (!variables || !Array.isArray(variables.representations)) {
+        return null
+      }
+
+      const { representations, ...args } = variables
+      const selection = `${service.name}:${query}:${stableStringify(args)}`
+      const entries = representations.map(representation => {
+        const ttl = getTtl(representation.__typename, service)
+        return {
+          representation,
+          ttl,
+          key: ttl > 0 ? getRepresentationKey(representation, service) : null,
+          selectionKey: hash(`${selection}:${stableStringify(representation)}`)
+        }
+      })
+
+      const now = Date.now()
+      await Promise.all(entries.map(async entry => {
+        if (entry.key === null) {
+          return
+        }
+
+        entry.stored = (await get(entry.key)) || {}
+        const cached = entry.stored[entry.selectionKey]
+        if (cached && cached.expires > now) {
+          entry.entity = cached.entity
+          if (context) {
+            const header = getCachedCacheControlHeader(
+              cached.cacheControl,
+              Math.ceil((cached.expires - now) / 1000)
+            )
+            collectCacheControl(context, header === null ? {} : { 'cache-control': header })
+          }
+        }
+      }))
+
+      return {
+        service,
+        entries,
+        variables: {
+          ...variables,
+          representations: entries
+            .filter(entry => entry.entity === undefined)
+            .map(entry => entry.representation)
+        }
+      }
+    },
+
+    /**
+     * Adds the cached entities of the lookup to the response of the missing ones
+     * and caches the entities fetched without errors, unless the `Cache-Control`
+     * of the responses of the service is `private` or `no-store`.
+     */
+    async save (lookup, json, cacheControl = null) {
+      const fetched = json.data._entities
+      const fetchedIndexes = []
+      const failed = new Set()
+      for (const error of json.errors || []) {
+        if (Array.isArray(error.path) && error.path[0] === '_entities') {
+          failed.add(error.path[1])
+        }
+      }
+
+      const now = Date.now()
+      const cacheable = !isUncacheable(cacheControl)
+      const writes = new Map()
+      const aliases = new Map()
+      const entities = lookup.entries.map((entry, index) => {
+        if (entry.entity !== undefined) {
+          return entry.entity
+        }
+
+        const fetchedIndex = fetchedIndexes.push(index) - 1
+        const entity = fetched[fetchedIndex]
+        if (cacheable && entry.key !== null && isObject(entity) && !failed.has(fetchedIndex)) {
+          const value = writes.get(entry.key) || { ...entry.stored }
+          value[entry.selectionKey] = { entity, expires: now + entry.ttl * 1000, cacheControl }
+          writes.set(entry.key, value)
+
+          // the fetched entity has the fields of the keys the representation lacks
+          const keys = getEntityKeys(entry.representation.__typename, { ...entry.representation, ...entity }, lookup.service)
+          for (const key of keys.length > 1 ? keys : []) {
+            const alias = aliases.get(key) || { keys: new Set(), ttl: 0 }
+            keys.forEach(key => alias.keys.add(key))
+            alias.ttl = Math.max(alias.ttl, entry.ttl)
+            aliases.set(key, alias)
+          }
+        }
+
+        return entity
+      })
+
+      await Promise.all([...writes].map(([key, value]) => {
+        // drop the expired selections, the entity lives as long as its last selection
+        let expires = now
+        for (const [selectionKey, cached] of Object.entries(value)) {
+          if (cached.expires <= now) {
+            delete value[selectionKey]
+          } else {
+            expires = Math.max(expires, cached.expires)
+          }
+        }
+        return set(key, value, Math.ceil((expires - now) / 1000))
+      }))
+
+      await Promise.all([...aliases].map(async ([key, alias]) => {
+        const keys = (await get(getIndexKey(key))) || []
+        return set(getIndexKey(key), [...new Set([...keys, ...alias.keys])], alias.ttl)
+      }))
+
+      const result = { ...json, data: { ...json.data, _entities: entities } }
+      if (json.errors) {
+        result.errors = json.errors.map(error =>
+          Array.isArray(error.path) && error.path[0] === '_entities'
+            ? { ...error, path: ['_entities', fetchedIndexes[error.path[1]], ...error.path.slice(2)] }
+            : error
+        )
+      }
+
+      return result
+    },
+
+    /**
+     * Removes an entity from the cache, for all the services and selections
+     * which fetched it, under this key and its other keys.
+     * @param {string} typeName The type of the entity
+     * @param {Object} key The key fields of the entity, e.g. `{ id: 'u1' }`
+     */
+    async invalidate (typeName, key) {
+      const entityKey = getEntityKey(typeName, key)
+      const keys = new Set([entityKey, ...((await store.get(getIndexKey(entityKey))) || [])])
+
+      await Promise.all([...keys].flatMap(key => [
+        store.delete(key),
+        store.delete(getIndexKey(key))
+      ]))
+    }
+  }
+}
+
+/**
+ * Fetches the entities of an `_entities` query, only the entities missing
+ * from the cache are fetched with `fetch(variables)`, which resolves to the
+ * `json` of the response and the combined `cacheControl` header of the responses.
+ */
+async function fetchEntities (entityCache, { service, query, variables, context }, fetch) {
+  const lookup = entityCache === null
+    ? null
+    : await entityCache.lookup({ service, query, variables, context })
+
+  if (lookup === null) {
+    return (await fetch(variables)).json
+  }
+
+  if (lookup.variables.representations.length === 0) {
+    return entityCache.save(lookup, { data: { _entities: [] } })
+  }
+
+  const { json, cacheControl } = await fetch(lookup.variables)
+  return entityCache.save(lookup, json, cacheControl)
+}
+
+module.exports = { buildEntityCache, createMemoryStore, fetchEntities }
@@ -0,0 +1,341 @@
+'use strict'
+
+const { Kind } = require('graphql')
+const { preGatewayExecutionHandler } = require('../handlers')
+const { collect } = require('../collectors')
+const buildQueryPlan = require('./query-plan')
+const { dedupeRepresentations, expandEntities } = require('./dedupe-representations')
+const { chunkRepresentations, joinChunks } = require('./chunk-representations')
+const { fetchEntities } = require('./entity-cache')
+const { combineCacheControl } = require('./cache-control')
+const { getQueryKey } = require('../util')
+
+const kQueryPlan = Symbol('mercurius.gateway.query-plan')
+
+function isObject (value) {
+  return value !== null && typeof value === 'object'
+}
+
+function mergeData (target, source) {
+  for (const [key, value] of Object.entries(source)) {
+    if (Array.isArray(value) && Array.isArray(target[key])) {
+      for (let i = 0; i < value.length; i++) {
+        if (isObject(value[i]) && isObject(target[key][i])) {
+          mergeData(target[key][i], value[i])
+        } else {
+          target[key][i] = value[i]
+        }
+      }
+    } else if (isObject(value) && isObject(target[key]) && !Array.isArray(value)) {
+      mergeData(target[key], value)
+    } else {
+      target[key] = value
+    }
+  }
+  return target
+}
+
+function collectObjects (value, path, index, result) {
+  if (value === null || value === undefined) {
+    return result
+  }
+
+  if (index === path.length) {
+    result.push(value)
+  } else if (path[index] === '@') {
+    if (Array.isArray(value)) {
+      for (const item of value) {
+        collectObjects(item, path, index + 1, result)
+      }
+    }
+  } else {
+    collectObjects(value[path[index]], path, index + 1, result)
+  }
+
+  return result
+}
+
+// Picks the fields of the selections from the object to build its representation
+function project (value, selections) {
+  if (!isObject(value)) {
+    return value
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => project(item, selections))
+  }
+
+  const result = {}
+  for (const selection of selections) {
+    if (selection.kind === Kind.INLINE_FRAGMENT) {
+      if (
+        !selection.typeCondition ||
+        selection.typeCondition.name.value === value.__typename
+      ) {
+        Object.assign(result, project(value, selection.selectionSet.selections))
+      }
+      continue
+    }
+
+    const fieldName = selection.name.value
+    if (value[fieldName] !== undefined) {
+      result[fieldName] = selection.selectionSet
+        ? project(value[fieldName], selection.selectionSet.selections)
+        : value[fieldName]
+    }
+  }
+
+  return result
+}
+
+function pickVariables (variableValues, variableNames) {
+  const variables = {}
+  for (const variableName of variableNames) {
+    if (variableValues[variableName] !== undefined) {
+      variables[variableName] = variableValues[variableName]
+    }
+  }
+  return variables
+}
+
+async function sendFetch (state, fetch, variables, queryIds) {
+  const { context, serviceMap, schema } = state
+  const { reply } = context
+  const service = serviceMap[fetch.service]
+
+  let modifiedQuery
+  if (context.gateway.preGatewayExecution !== null) {
+    ;({ modifiedQuery } = await preGatewayExecutionHandler({
+      schema,
+      document: fetch.document,
+      context,
+      service
+    }))
+  }
+
+  const response = await service.sendRequest({
+    method: 'POST',
+    body: JSON.stringify({
+      query: modifiedQuery || fetch.query,
+      variables
+    }),
+    originalRequestHeaders: reply ? reply.request.headers : {},
+    context
+  })
+
+  if (service.collectors) {
+    for (const queryId of queryIds) {
+      collect({
+        collectors: service.collectors,
+        context,
+        queryId,
+        response,
+        serviceName: service.name
+      })
+    }
+  }
+
+  service.setResponseHeaders(reply || {})
+
+  return response
+}
+
+async function executeRootFetch (state, fetch) {
+  try {
+    const response = await sendFetch(
+      state,
+      fetch,
+      pickVariables(state.variableValues, fetch.variableNames),
+      fetch.responseKeys
+    )
+    mergeData(state.data, response.json.data || {})
+  } catch (err) {
+    for (const responseKey of fetch.responseKeys) {
+      state.errors[responseKey] = err
+    }
+  }
+}
+
+async function executeEntityFetch (state, { path, node: fetch }) {
+  const objects = collectObjects(state.data, path, 0, []).filter(
+    object => fetch.typeConditions.includes(object.__typename)
+  )
+
+  if (objects.length === 0) {
+    return
+  }
+
+  const variables = pickVariables(state.variableValues, fetch.variableNames)
+  variables.representations = objects.map(object => project(object, fetch.requires))
+
+  try {
+    const service = state.serviceMap[fetch.service]
+    const { maxEntitiesPerRequest } = service
+    const deduped = dedupeRepresentations(variables)
+    const json = await fetchEntities(state.entityCache, {
+      service,
+      query: fetch.query,
+      variables: deduped.variables,
+      context: state.context
+    }, async variables => {
+      const responses = await Promise.all(
+        chunkRepresentations(variables, maxEntitiesPerRequest).map(chunk =>
+          sendFetch(state, fetch, chunk, [path.join('.')])
+        )
+      )
+      return {
+        json: joinChunks(responses.map(response => response.json), maxEntitiesPerRequest),
+        cacheControl: combineCacheControl(responses)
+      }
+    })
+    const entities = expandEntities(json, deduped.positions).data._entities
+
+    for (let i = 0; i < objects.length; i++) {
+      if (isObject(entities[i])) {
+        mergeData(objects[i], entities[i])
+      }
+    }
+  } catch (err) {
+    const { context } = state
+    const errors = err.extensions ? err.extensions.errors : [err]
+    ;(context.errors || (context.errors = [])).push(...errors)
+  }
+}
+
+async function executeNode (state, node) {
+  switch (node.kind) {
+    case 'Sequence':
+      for (const child of node.nodes) {
+        await executeNode(state, child)
+      }
+      break
+    case 'Parallel':
+      await Promise.all(node.nodes.map(child => executeNode(state, child)))
+      break
+    case 'Flatten':
+      await executeEntityFetch(state, node)
+      break
+    default:
+      await executeRootFetch(state, node)
+  }
+}
+
+/**
+ * Runs a query plan and returns the data of the operation.
+ * The errors of the root fetches are returned by response key,
+ * the errors of the entity fetches are added to the context.
+ */
+async function executeQueryPlan ({ plan, context, variableValues, schema, serviceMap, entityCache = null }) {
+  const state = {
+    data: {},
+    errors: {},
+    context,
+    variableValues,
+    schema,
+    serviceMap,
+    entityCache
+  }
+
+  if (plan !== null) {
+    await executeNode(state, plan)
+  }
+
+  return { data: state.data, errors: state.errors }
+}
+
+// The key of the plan of an operation in the gateway cache
+function getQueryPlanCacheKey (queryKey, operation) {
+  const operationName = operation.name ? operation.name.value : ''
+  return `${queryKey}_${operationName}_QueryPlan`
+}
+
+function getQueryPlan ({ info, context, lruGatewayResolvers, ...maps }) {
+  const { operation, fragments, schema } = info
+  const queryKey = getQueryKey(context)
+  const cacheKey = queryKey !== undefined
+    ? getQueryPlanCacheKey(queryKey, operation)
+    : null
+
+  const cached = lruGatewayResolvers != null && cacheKey !== null &&
+    lruGatewayResolvers.get(cacheKey)
+  if (cached) {
+    return cached.plan
+  }
+
+  const plan = buildQueryPlan({ schema, operation, fragments, ...maps })
+
+  if (lruGatewayResolvers != null && cacheKey !== null) {
+    lruGatewayResolvers.set(cacheKey, { plan })
+  }
+
+  return plan
+}
+
+/**
+ * Creates the resolver of the query and mutation root fields
+ * when the gateway runs with the query planner.
+ * The plan of the operation is built and run once,
+ * each root field returns its part of the result.
+ */
+function makeQueryPlanResolver ({
+  serviceMap,
+  typeToServiceMap,
+  typeFieldsToService,
+  lruGatewayResolvers,
+  entityCache
+}) {
+  return async function (parent, args, context, info) {
+    if (!context[kQueryPlan] || context[kQueryPlan].operation !== info.operation) {
+      const plan = getQueryPlan({
+        info,
+        context,
+        lruGatewayResolvers,
+        serviceMap,
+        typeToServiceMap,
+        typeFieldsToService
+      })
+
+      context[kQueryPlan] = {
+        operation: info.operation,
+        result: executeQueryPlan({
+          plan,
+          context,
+          variableValues: info.variableValues,
+          schema: info.schema,
+          serviceMap,
+          entityCache
+        })
+      }
+    }
+
+    const { data, errors } = await context[kQueryPlan].result
+    const responseKey = info.path.key
+
+    if (errors[responseKey]) {
+      throw errors[responseKey]
+    }
+
+    return data[responseKey]
+  }
+}
+
+/**
+ * Wraps the resolver of a nested field, within an operation
+ * run by the query planner the value is already in the parent
+ */
+function withQueryPlan (resolve) {
+  return function (parent, args, context, info) {
+    if (context[kQueryPlan]) {
+      return parent && parent[info.path.key]
+    }
+    return resolve(parent, args, context, info)
+  }
+}
+
+module.exports = {
+  executeQueryPlan,
+  getQueryPlanCacheKey,
+  makeQueryPlanResolver,
+  pickVariables,
+  withQueryPlan
+}
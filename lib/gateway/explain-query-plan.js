@@ -0,0 +1,178 @@
+'use strict'
+
+const {
+  Kind,
+  parse,
+  print,
+  validate,
+  getOperationAST
+} = require('graphql')
+const buildQueryPlan = require('./query-plan')
+const { pickVariables } = require('./execute-query-plan')
+const { MER_ERR_GQL_GATEWAY_EXPLAIN } = require('../errors')
+
+const kSentRequests = Symbol('mercurius.gateway.sent-requests')
+
+function printSelections (selections) {
+  return selections.map(selection => print(selection)).join(' ').replace(/\s+/g, ' ')
+}
+
+/**
+ * Lists the requests of a query plan in dependency order.
+ *
+ * Each step has the `service` receiving the request, the printed `operation`,
+ * the `variables` sent with it and the ids of the steps it waits for in
+ * `dependsOn`. Entity fetches also have the `path` of the objects they
+ * resolve and the `representations` sent for them.
+ *
+ * @param {Object} plan The root node of the plan
+ * @param {Object} variableValues The variables of the operation
+ * @returns {Array<Object>} The steps of the plan
+ */
+function explainQueryPlan (plan, variableValues = {}) {
+  const steps = []
+
+  function addStep (node, dependsOn) {
+    const fetch = node.kind === 'Flatten' ? node.node : node
+    const step = {
+      id: steps.length,
+      service: fetch.service,
+      operation: fetch.query,
+      variables: pickVariables(variableValues, fetch.variableNames),
+      dependsOn
+    }
+
+    if (node.kind === 'Flatten') {
+      step.path = node.path.join('.')
+      step.representations = {
+        typenames: fetch.typeConditions,
+        fields: printSelections(fetch.requires)
+      }
+    }
+
+    steps.push(step)
+    return [step.id]
+  }
+
+  // returns the ids of the last steps of the node,
+  // the nodes running after it depend on them
+  function explainNode (node, dependsOn) {
+    switch (node.kind) {
+      case 'Sequence': {
+        let ids = dependsOn
+        for (const child of node.nodes) {
+          ids = explainNode(child, ids)
+        }
+        return ids
+      }
+      case 'Parallel':
+        return node.nodes.flatMap(child => explainNode(child, dependsOn))
+      default:
+        return addStep(node, dependsOn)
+    }
+  }
+
+  if (plan !== null) {
+    explainNode(plan, [])
+  }
+
+  return steps
+}
+
+/**
+ * Builds the query plan of a query against the gateway schema and explains it.
+ * The query is validated, no request is sent to the services.
+ *
+ * @param {Object} params
+ * @param {string|import('graphql').DocumentNode} params.query
+ * @param {Object} [params.variables]
+ * @param {string} [params.operationName]
+ * @returns {Array<Object>} The steps of the plan, see `explainQueryPlan`
+ */
+function explainQuery ({
+  schema,
+  query,
+  variables,
+  operationName,
+  serviceMap,
+  typeToServiceMap,
+  typeFieldsToService
+}) {
+  let document = query
+  if (typeof query === 'string') {
+    try {
+      document = parse(query)
+    } catch (error) {
+      const err = new MER_ERR_GQL_GATEWAY_EXPLAIN(error.message)
+      err.errors = [error]
+      throw err
+    }
+  }
+
+  const validationErrors = validate(schema, document)
+  if (validationErrors.length > 0) {
+    const err = new MER_ERR_GQL_GATEWAY_EXPLAIN(validationErrors[0].message)
+    err.errors = validationErrors
+    throw err
+  }
+
+  const operation = getOperationAST(document, operationName)
+  if (!operation) {
+    throw new MER_ERR_GQL_GATEWAY_EXPLAIN(
+      operationName
+        ? `Unknown operation named "${operationName}"`
+        : 'Must provide operation name if query contains multiple operations'
+    )
+  }
+
+  const fragments = {}
+  for (const definition of document.definitions) {
+    if (definition.kind === Kind.FRAGMENT_DEFINITION) {
+      fragments[definition.name.value] = definition
+    }
+  }
+
+  const plan = buildQueryPlan({
+    schema,
+    operation,
+    fragments,
+    serviceMap,
+    typeToServiceMap,
+    typeFieldsToService
+  })
+
+  return explainQueryPlan(plan, variables)
+}
+
+/**
+ * Starts recording in the context the requests sent to the services,
+ * the returned list is filled as they are sent.
+ * Without the query planner, the field resolvers decide their requests while
+ * the query executes, the recorded requests are their explanation.
+ */
+function recordSentRequests (context) {
+  context[kSentRequests] = []
+  return context[kSentRequests]
+}
+
+/**
+ * Records the queries of the body of a request sent to a service, in the order
+ * they are sent, with the `service`, the `operation` and its `variables`
+ */
+function recordSentRequest (context, service, body) {
+  const requests = context[kSentRequests]
+  if (requests === undefined) {
+    return
+  }
+
+  for (const { query, variables = {} } of [].concat(JSON.parse(body))) {
+    requests.push({ id: requests.length, service, operation: query, variables })
+  }
+}
+
+module.exports = {
+  explainQuery,
+  explainQueryPlan,
+  recordSentRequests,
+  recordSentRequest
+}
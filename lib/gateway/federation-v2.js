@@ -0,0 +1,439 @@
+'use strict'
+
+const {
+  Kind,
+  parse,
+  print,
+  visit,
+  isTypeExtensionNode
+} = require('graphql')
+const { hasDirective, hasExtensionDirective } = require('../util')
+const { parseFieldSet } = require('./make-resolver')
+
+const FEDERATION_V2_URL = /\/federation\/v2\.\d+$/
+
+const ROOT_TYPES = ['Query', 'Mutation', 'Subscription']
+
+// federation directives and types which are defined by the gateway itself
+// or only carry composition metadata, they are never sent to the gateway schema
+const FEDERATION_DIRECTIVES = [
+  'key',
+  'requires',
+  'provides',
+  'external',
+  'extends',
+  'shareable',
+  'override',
+  'inaccessible',
+  'tag',
+  'link',
+  'composeDirective',
+  'interfaceObject'
+]
+const COMPOSITION_DIRECTIVES = [
+  'shareable',
+  'override',
+  'inaccessible',
+  'tag',
+  'link',
+  'composeDirective',
+  'interfaceObject'
+]
+const FEDERATION_TYPES = [
+  'FieldSet',
+  '_FieldSet',
+  'federation__FieldSet',
+  'link__Import',
+  'link__Purpose'
+]
+
+function getArgument (node, name) {
+  const argument = node.arguments && node.arguments.find(
+    argument => argument.name.value === name
+  )
+  return argument ? argument.value : undefined
+}
+
+function findFederationLink (document) {
+  for (const definition of document.definitions) {
+    if (
+      definition.kind !== Kind.SCHEMA_DEFINITION &&
+      definition.kind !== Kind.SCHEMA_EXTENSION
+    ) {
+      continue
+    }
+    for (const directive of definition.directives || []) {
+      const url = getArgument(directive, 'url')
+      if (
+        directive.name.value === 'link' &&
+        url &&
+        url.kind === Kind.STRING &&
+        FEDERATION_V2_URL.test(url.value)
+      ) {
+        return directive
+      }
+    }
+  }
+  return null
+}
+
+/**
+ * Maps the directive names used in the schema to the federation spec names,
+ * following the `import` and `as` arguments of the `@link` directive.
+ * Directives which are not imported are available as `@federation__name`.
+ */
+function getDirectiveAliases (link) {
+  const namespace = getArgument(link, 'as')
+  const prefix = `${namespace ? namespace.value : 'federation'}__`
+  const imports = getArgument(link, 'import')
+  const aliases = {}
+
+  for (const name of FEDERATION_DIRECTIVES) {
+    aliases[`${prefix}${name}`] = name
+  }
+
+  if (imports && imports.kind === Kind.LIST) {
+    for (const value of imports.values) {
+      if (value.kind === Kind.STRING) {
+        aliases[value.value.replace('@', '')] = value.value.replace('@', '')
+      } else if (value.kind === Kind.OBJECT) {
+        const name = value.fields.find(field => field.name.value === 'name')
+        const as = value.fields.find(field => field.name.value === 'as')
+        if (name) {
+          const specName = name.value.value.replace('@', '')
+          aliases[(as || name).value.value.replace('@', '')] = specName
+        }
+      }
+    }
+  }
+
+  return aliases
+}
+
+/**
+ * Parses a schema definition and returns the document with the federation
+ * directives renamed to their spec names if it links the federation v2 spec,
+ * `null` otherwise.
+ */
+function parseFederationV2 (schemaDefinition) {
+  const document = parse(schemaDefinition)
+  const link = findFederationLink(document)
+
+  if (!link) {
+    return null
+  }
+
+  const aliases = getDirectiveAliases(link)
+
+  return visit(document, {
+    Directive (node) {
+      const name = aliases[node.name.value]
+      if (name && name !== node.name.value) {
+        return { ...node, name: { ...node.name, value: name } }
+      }
+    }
+  })
+}
+
+function getKeyFieldNames (definition) {
+  const names = new Set()
+  for (const directive of definition.directives || []) {
+    if (directive.name.value !== 'key') {
+      continue
+    }
+    for (const selection of parseFieldSet(directive)) {
+      if (selection.kind === Kind.FIELD) {
+        names.add(selection.name.value)
+      }
+    }
+  }
+  return names
+}
+
+function isResolvableKey (directive) {
+  const resolvable = getArgument(directive, 'resolvable')
+  return !resolvable || resolvable.value !== false
+}
+
+function isObjectOrInterface (definition) {
+  return [
+    Kind.OBJECT_TYPE_DEFINITION,
+    Kind.OBJECT_TYPE_EXTENSION,
+    Kind.INTERFACE_TYPE_DEFINITION,
+    Kind.INTERFACE_TYPE_EXTENSION
+  ].includes(definition.kind)
+}
+
+function isV2Extension (definition) {
+  if (isTypeExtensionNode(definition) || hasDirective('extends', definition)) {
+    return true
+  }
+  const keys = definition.directives.filter(d => d.name.value === 'key')
+  return keys.length > 0 && !keys.some(isResolvableKey)
+}
+
+/**
+ * Decides which service owns each entity type and each entity or root field.
+ *
+ * - A type is owned by the first service defining it without extending it,
+ *   Federation v1 definitions take precedence over v2 ones.
+ * - A field is owned by the service overriding it with `@override`,
+ *   otherwise by the owner of the type if it resolves the field,
+ *   otherwise by the first service resolving it.
+ */
+function resolveOwnership (services) {
+  const typeOwners = {}
+  const fieldCandidates = {}
+  const entities = new Set()
+
+  for (const isV2 of [false, true]) {
+    for (const { name, document, federationV2 } of services) {
+      if (federationV2 !== isV2) {
+        continue
+      }
+      for (const definition of document.definitions) {
+        if (!isObjectOrInterface(definition)) {
+          continue
+        }
+        const typeName = definition.name.value
+        const isExtension = isV2
+          ? isV2Extension(definition)
+          : isTypeExtensionNode(definition) || hasExtensionDirective(definition)
+
+        if (hasDirective('key', definition)) {
+          entities.add(typeName)
+        }
+        if (
+          !isExtension &&
+          !ROOT_TYPES.includes(typeName) &&
+          typeOwners[typeName] === undefined
+        ) {
+          typeOwners[typeName] = name
+        }
+      }
+    }
+  }
+
+  for (const { name, document } of services) {
+    for (const definition of document.definitions) {
+      if (!isObjectOrInterface(definition) || !definition.fields) {
+        continue
+      }
+      for (const field of definition.fields) {
+        if (hasDirective('external', field)) {
+          continue
+        }
+        const key = `${definition.name.value}.${field.name.value}`
+        const override = field.directives.find(d => d.name.value === 'override')
+        fieldCandidates[key] = fieldCandidates[key] || []
+        fieldCandidates[key].push({
+          service: name,
+          override: override ? getArgument(override, 'from').value : null
+        })
+      }
+    }
+  }
+
+  const fieldOwners = {}
+  for (const [key, candidates] of Object.entries(fieldCandidates)) {
+    const typeOwner = typeOwners[key.split('.')[0]]
+    const overriding = candidates.find(candidate => candidate.override !== null)
+    if (overriding) {
+      fieldOwners[key] = overriding.service
+    } else if (candidates.some(candidate => candidate.service === typeOwner)) {
+      fieldOwners[key] = typeOwner
+    } else {
+      fieldOwners[key] = candidates[0].service
+    }
+  }
+
+  return { typeOwners, fieldOwners, entities }
+}
+
+function createDirective (name) {
+  return {
+    kind: Kind.DIRECTIVE,
+    name: { kind: Kind.NAME, value: name },
+    arguments: []
+  }
+}
+
+function toExternalField (field) {
+  if (hasDirective('external', field)) {
+    return field
+  }
+  return {
+    ...field,
+    directives: [
+      ...field.directives.filter(d => !['requires', 'provides'].includes(d.name.value)),
+      createDirective('external')
+    ]
+  }
+}
+
+const extensionKinds = {
+  [Kind.OBJECT_TYPE_DEFINITION]: Kind.OBJECT_TYPE_EXTENSION,
+  [Kind.INTERFACE_TYPE_DEFINITION]: Kind.INTERFACE_TYPE_EXTENSION
+}
+
+function toExtension (definition) {
+  return {
+    ...definition,
+    kind: extensionKinds[definition.kind] || definition.kind,
+    description: undefined,
+    directives: definition.directives.filter(d => d.name.value !== 'extends')
+  }
+}
+
+function translateDefinition (definition, serviceName, ownership) {
+  const typeName = definition.name.value
+  const isOwner = field =>
+    ownership.fieldOwners[`${typeName}.${field.name.value}`] === serviceName
+
+  if (ROOT_TYPES.includes(typeName)) {
+    const fields = (definition.fields || []).filter(isOwner)
+    return fields.length > 0 ? { ...toExtension(definition), fields } : null
+  }
+
+  if (!ownership.entities.has(typeName)) {
+    return definition
+  }
+
+  const keyFields = getKeyFieldNames(definition)
+
+  if (ownership.typeOwners[typeName] === serviceName) {
+    return {
+      ...definition,
+      fields: definition.fields.filter(
+        field => isOwner(field) || keyFields.has(field.name.value)
+      )
+    }
+  }
+
+  return {
+    ...toExtension(definition),
+    fields: definition.fields.map(field =>
+      isOwner(field) && !keyFields.has(field.name.value)
+        ? field
+        : toExternalField(field)
+    )
+  }
+}
+
+function removeInaccessible (document) {
+  const inaccessible = node =>
+    hasDirective('inaccessible', node) ? null : undefined
+
+  return visit(document, {
+    ObjectTypeDefinition: inaccessible,
+    ObjectTypeExtension: inaccessible,
+    InterfaceTypeDefinition: inaccessible,
+    InterfaceTypeExtension: inaccessible,
+    UnionTypeDefinition: inaccessible,
+    EnumTypeDefinition: inaccessible,
+    ScalarTypeDefinition: inaccessible,
+    InputObjectTypeDefinition: inaccessible,
+    FieldDefinition: inaccessible,
+    InputValueDefinition: inaccessible,
+    EnumValueDefinition: inaccessible
+  })
+}
+
+function removeCompositionMetadata (document) {
+  return visit(document, {
+    Directive (node) {
+      if (COMPOSITION_DIRECTIVES.includes(node.name.value)) {
+        return null
+      }
+      if (node.name.value === 'key') {
+        return {
+          ...node,
+          arguments: node.arguments.filter(a => a.name.value === 'fields')
+        }
+      }
+    },
+    DirectiveDefinition (node) {
+      if (FEDERATION_DIRECTIVES.includes(node.name.value)) {
+        return null
+      }
+    },
+    ScalarTypeDefinition (node) {
+      if (FEDERATION_TYPES.includes(node.name.value)) {
+        return null
+      }
+    },
+    EnumTypeDefinition (node) {
+      if (FEDERATION_TYPES.includes(node.name.value)) {
+        return null
+      }
+    },
+    SchemaExtension (node) {
+      const directives = node.directives.filter(
+        directive => !COMPOSITION_DIRECTIVES.includes(directive.name.value)
+      )
+      if (directives.length === 0 && (!node.operationTypes || node.operationTypes.length === 0)) {
+        return null
+      }
+    }
+  })
+}
+
+/**
+ * Translates the schema definitions of the Federation v2 services into
+ * Federation v1 definitions the gateway is able to compose.
+ *
+ * Ownership of entities and fields is decided across all the services,
+ * shareable fields are resolved by a single service and marked as `@external`
+ * in the others, overridden fields are resolved by the overriding service.
+ *
+ * @param {Array<{ name: string, schemaDefinition: string }>} services
+ * @returns {Object.<string, { schemaDefinition: string, gatewaySchemaDefinition: string }>}
+ * the translated definitions for each Federation v2 service, the first one
+ * still contains the `@inaccessible` elements, the second one is used to
+ * build the gateway schema.
+ */
+function composeFederationV2 (services) {
+  const parsedServices = services.map(({ name, schemaDefinition }) => {
+    const document = parseFederationV2(schemaDefinition)
+    return {
+      name,
+      document: document || parse(schemaDefinition),
+      federationV2: document !== null
+    }
+  })
+
+  if (!parsedServices.some(service => service.federationV2)) {
+    return {}
+  }
+
+  const ownership = resolveOwnership(parsedServices)
+  const result = {}
+
+  for (const { name, document, federationV2 } of parsedServices) {
+    if (!federationV2) {
+      continue
+    }
+
+    const definitions = []
+    for (const definition of document.definitions) {
+      const translated = isObjectOrInterface(definition)
+        ? translateDefinition(definition, name, ownership)
+        : definition
+      if (translated) {
+        definitions.push(translated)
+      }
+    }
+
+    const translated = { ...document, definitions }
+    result[name] = {
+      schemaDefinition: print(removeCompositionMetadata(translated)),
+      gatewaySchemaDefinition: print(
+        removeCompositionMetadata(removeInaccessible(translated))
+      )
+    }
+  }
+
+  return result
+}
+
+module.exports = composeFederationV2
@@ -1,6 +1,11 @@
 'use strict'
 
-const { isInterfaceType, isObjectType, isInputType } = require('graphql')
+const {
+  isEnumType,
+  isInterfaceType,
+  isObjectType,
+  isInputType
+} = require('graphql')
 
 function getDuplicateTypes (types) {
   const occurrences = {}
@@ -17,28 +22,112 @@ function getDuplicateTypes (types) {
   return duplicates
 }
 
+function isValueType (type) {
+  // Has to be object, interface or input
+  const isEligibleType =
+    isObjectType(type) || isInterfaceType(type) || isInputType(type)
+  // Is not an entity
+  const isNotEntity = !type.astNode.directives.find(
+    directive => directive.name.value === 'key'
+  )
+  return isEligibleType && isNotEntity
+}
+
 /**
  * Find all value types according to the definition given here:
  * https://www.apollographql.com/docs/federation/value-types/
  *
- * TODO: it should be checked whether all types with the same name have the exact same fields,
- * incl. types, subtypes and nullability
- * If that is not the case, I would argue that throwing would be the best approach
+ * The definitions are checked to be the same by `findValueTypeMismatches`.
  */
 function findValueTypes (allTypes) {
   // Is exposed by more than one service
   return getDuplicateTypes(allTypes)
-    .filter(type => {
-      // Has to be object, interface or input
-      const isEligibleType =
-        isObjectType(type) || isInterfaceType(type) || isInputType(type)
-      // Is not an entity
-      const isNotEntity = !type.astNode.directives.find(
-        directive => directive.name.value === 'key'
-      )
-      return isEligibleType && isNotEntity
-    })
+    .filter(isValueType)
     .map(type => type.name)
 }
 
-module.exports = findValueTypes
+// the type of each field and argument, or each value of an enum,
+// keyed by the coordinates of the member
+function describeType (type) {
+  const members = {}
+
+  if (isEnumType(type)) {
+    for (const value of type.getValues()) {
+      members[value.name] = { value: value.name, definition: value.name }
+    }
+  } else if (type.getFields) {
+    for (const field of Object.values(type.getFields())) {
+      members[field.name] = { field: field.name, definition: String(field.type) }
+      for (const arg of field.args || []) {
+        members[`${field.name}(${arg.name})`] = {
+          field: field.name,
+          argument: arg.name,
+          definition: String(arg.type)
+        }
+      }
+    }
+  }
+
+  return members
+}
+
+/**
+ * Compares the definitions of the value types across the services defining them.
+ * Returns a mismatch for each field, argument or enum value which is missing
+ * in some services or has a different type, including the nullability:
+ *
+ * { type: 'PageInfo', field: 'hasNextPage', services: { post: 'Boolean!', user: 'Boolean' } }
+ *
+ * A missing member is `null` in `services`.
+ */
+function findValueTypeMismatches (serviceMap) {
+  const definitions = {}
+
+  for (const [service, serviceDefinition] of Object.entries(serviceMap)) {
+    for (const typeName of serviceDefinition.types) {
+      const type = serviceDefinition.schema.getType(typeName)
+      if (!definitions[typeName]) {
+        definitions[typeName] = []
+      }
+      definitions[typeName].push({ service, type })
+    }
+  }
+
+  const mismatches = []
+
+  for (const [typeName, typeDefinitions] of Object.entries(definitions)) {
+    if (
+      typeDefinitions.length < 2 ||
+      ['Query', 'Mutation', 'Subscription'].includes(typeName) ||
+      !isValueType(typeDefinitions[0].type)
+    ) {
+      continue
+    }
+
+    const described = typeDefinitions.map(({ service, type }) => ({
+      service,
+      members: describeType(type)
+    }))
+    const coordinates = new Set(
+      described.flatMap(({ members }) => Object.keys(members))
+    )
+
+    for (const coordinate of coordinates) {
+      const services = {}
+      let member
+      for (const { service, members } of described) {
+        member = member || members[coordinate]
+        services[service] = members[coordinate] ? members[coordinate].definition : null
+      }
+
+      if (new Set(Object.values(services)).size > 1) {
+        const { definition, ...location } = member
+        mismatches.push({ type: typeName, ...location, services })
+      }
+    }
+  }
+
+  return mismatches
+}
+
+module.exports = { findValueTypes, findValueTypeMismatches }
@@ -1,6 +1,12 @@
 'use strict'
 
+const { Kind, print } = require('graphql')
 const { preGatewayExecutionHandler } = require('../handlers')
+const { createEntityReferenceResolverOperation } = require('./make-resolver')
+const { dedupeRepresentations, expandEntities } = require('./dedupe-representations')
+const { chunkRepresentations, joinChunks } = require('./chunk-representations')
+const { fetchEntities } = require('./entity-cache')
+const { combineCacheControl } = require('./cache-control')
 
 /**
  * @typedef {Object.<string, { variables: Object, document: import('graphql').DocumentNode }>} GroupedQueries
@@ -38,8 +44,187 @@ function groupQueriesByDefinition (queries) {
   return { mergedQueries, resultIndexes }
 }
 
+function hasFragmentSpread (selections) {
+  return selections.some(selection =>
+    selection.kind === Kind.FRAGMENT_SPREAD ||
+    (selection.selectionSet && hasFragmentSpread(selection.selectionSet.selections))
+  )
+}
+
+/**
+ * Returns the type and the selections of an `_entities` query for a single type,
+ * `null` if the query cannot be combined with others:
+ * it selects other root fields or types, or it uses fragments.
+ */
+function getEntitySelection (document) {
+  const operation = document.definitions.find(
+    d => d.kind === Kind.OPERATION_DEFINITION
+  )
+  if (document.definitions.length !== 1 || operation.selectionSet.selections.length !== 1) {
+    return null
+  }
+
+  const entities = operation.selectionSet.selections[0]
+  if (entities.kind !== Kind.FIELD || entities.name.value !== '_entities') {
+    return null
+  }
+
+  const fragments = entities.selectionSet.selections.filter(
+    selection => selection.kind === Kind.INLINE_FRAGMENT
+  )
+  if (fragments.length !== 1 || !fragments[0].typeCondition) {
+    return null
+  }
+
+  const { selections } = fragments[0].selectionSet
+  if (
+    hasFragmentSpread(selections) ||
+    selections.some(selection => selection.kind !== Kind.FIELD)
+  ) {
+    return null
+  }
+
+  return {
+    typeName: String(fragments[0].typeCondition.name.value),
+    selections,
+    variableDefinitions: operation.variableDefinitions.filter(
+      definition => definition.variable.name.value !== 'representations'
+    )
+  }
+}
+
+// Selections with the same response key must be the same field,
+// variables with the same name must have the same value
+function canCombine (combined, entry) {
+  for (const selection of entry.selections) {
+    const responseKey = (selection.alias || selection.name).value
+    const existing = combined.selectionsByKey.get(responseKey)
+    if (existing !== undefined && existing !== print(selection)) {
+      return false
+    }
+  }
+
+  for (const [name, value] of Object.entries(entry.variables)) {
+    if (
+      name in combined.variables &&
+      JSON.stringify(combined.variables[name]) !== JSON.stringify(value)
+    ) {
+      return false
+    }
+  }
+
+  return true
+}
+
+function addToCombined (combined, entry) {
+  for (const selection of entry.selections) {
+    const responseKey = (selection.alias || selection.name).value
+    if (!combined.selectionsByKey.has(responseKey)) {
+      combined.selectionsByKey.set(responseKey, print(selection))
+      combined.selections.push(selection)
+    }
+  }
+
+  for (const definition of entry.variableDefinitions) {
+    if (!combined.variableDefinitions.some(
+      d => d.variable.name.value === definition.variable.name.value
+    )) {
+      combined.variableDefinitions.push(definition)
+    }
+  }
+
+  Object.assign(combined.variables, entry.variables)
+  combined.entries.push(entry)
+}
+
+/**
+ * Combines the `_entities` queries for the same type and the same representations,
+ * sent by the resolvers of different fields, into a single query selecting the
+ * fields of all of them. Each resolver receives the entities of the combined query.
+ *
+ * Queries selecting the same response key with different fields or arguments
+ * are not combined.
+ *
+ * A combined query can print the same as another query for other representations,
+ * so the queries are returned as an array and not keyed by their text.
+ *
+ * @param {Object} mergeQueriesResult The queries grouped by definition
+ * @returns {Object} The array of the queries to send, with the combined queries
+ */
+function combineEntityQueries ({ mergedQueries, resultIndexes }) {
+  const groups = new Map()
+  const combinedQueries = []
+
+  Object.entries(mergedQueries).forEach(([query, { document, variables }], index) => {
+    const entitySelection = getEntitySelection(document)
+    const entry = {
+      query,
+      document,
+      variables,
+      resultIndexes: resultIndexes[index],
+      ...entitySelection
+    }
+
+    if (entitySelection === null) {
+      combinedQueries.push({ entries: [entry] })
+      return
+    }
+
+    const groupKey = `${entry.typeName}_${JSON.stringify(variables.representations)}`
+    const group = groups.get(groupKey) || []
+    groups.set(groupKey, group)
+
+    let combined = group.find(combined => canCombine(combined, entry))
+    if (!combined) {
+      combined = {
+        typeName: entry.typeName,
+        selections: [],
+        selectionsByKey: new Map(),
+        variableDefinitions: [],
+        variables: {},
+        entries: []
+      }
+      group.push(combined)
+      combinedQueries.push(combined)
+    }
+    addToCombined(combined, entry)
+  })
+
+  const combinedResult = { mergedQueries: [], resultIndexes: [] }
+
+  for (const combined of combinedQueries) {
+    let query
+    let document
+    let variables
+
+    if (combined.entries.length === 1) {
+      ;({ query, document, variables } = combined.entries[0])
+    } else {
+      document = createEntityReferenceResolverOperation({
+        returnType: combined.typeName,
+        selections: combined.selections,
+        variableDefinitions: combined.variableDefinitions
+      })
+      query = print(document)
+      variables = combined.variables
+    }
+
+    combinedResult.mergedQueries.push({ query, document, variables })
+    // each entity of the combined query is returned to all its queries
+    combinedResult.resultIndexes.push(
+      variables.representations.map((representation, entityIndex) =>
+        combined.entries.map(entry => entry.resultIndexes[entityIndex])
+      )
+    )
+  }
+
+  return combinedResult
+}
+
 /**
  * Fetches queries result from the service with batching (1 request for all the queries).
+ * With `maxEntitiesPerRequest`, the queries are split in chunks
+ * and packed in parallel requests with at most `maxEntitiesPerRequest` entities each.
  * @param {Object} params
  * @param {Object} params.service The service that will receive one request with the batched queries
  * @returns {Array} result
@@ -48,14 +233,28 @@ async function fetchBatchedResult ({
   mergeQueriesResult,
   context,
   serviceDefinition,
-  service
+  service,
+  entityCache
 }) {
   const { mergedQueries, resultIndexes } = mergeQueriesResult
-  const batchedQueries = []
+  const { maxEntitiesPerRequest } = serviceDefinition
+  const positions = []
+  const lookups = []
+  const requests = []
+  let requestEntities = 0
+
+  for (const [queryIndex, { query, document, variables }] of mergedQueries.entries()) {
+    const deduped = dedupeRepresentations(variables)
+    positions.push(deduped.positions)
+
+    const lookup = entityCache === null
+      ? null
+      : await entityCache.lookup({ service: serviceDefinition, query, variables: deduped.variables, context })
+    lookups.push(lookup)
+    if (lookup !== null && lookup.variables.representations.length === 0) {
+      continue
+    }
 
-  for (const [query, { document, variables }] of Object.entries(
-    mergedQueries
-  )) {
     let modifiedQuery
 
     if (context.gateway.preGatewayExecution !== null) {
@@ -67,28 +266,71 @@ async function fetchBatchedResult ({
       }))
     }
 
-    batchedQueries.push({
-      operationName: document.definitions.find(
-        d => d.kind === 'OperationDefinition'
-      ).name.value,
-      query: modifiedQuery || query,
-      variables
-    })
+    const missing = lookup === null ? deduped.variables : lookup.variables
+    for (const chunk of chunkRepresentations(missing, maxEntitiesPerRequest)) {
+      const entities = chunk.representations ? chunk.representations.length : 0
+      if (
+        requests.length === 0 ||
+        (maxEntitiesPerRequest &&
+          requestEntities > 0 &&
+          requestEntities + entities > maxEntitiesPerRequest)
+      ) {
+        requests.push([])
+        requestEntities = 0
+      }
+      requestEntities += entities
+
+      requests[requests.length - 1].push({
+        queryIndex,
+        batchedQuery: {
+          operationName: document.definitions.find(
+            d => d.kind === 'OperationDefinition'
+          ).name.value,
+          query: modifiedQuery || query,
+          variables: chunk
+        }
+      })
+    }
   }
 
-  const response = await serviceDefinition.sendRequest({
-    originalRequestHeaders: context.reply.request.headers,
-    body: JSON.stringify(batchedQueries),
-    context
+  const responses = await Promise.all(requests.map(request =>
+    serviceDefinition.sendRequest({
+      originalRequestHeaders: context.reply.request.headers,
+      body: JSON.stringify(request.map(({ batchedQuery }) => batchedQuery)),
+      context
+    })
+  ))
+
+  // the responses of the chunks of each query, in order, and the requests they were sent with
+  const chunks = positions.map(() => [])
+  const queryResponses = positions.map(() => new Set())
+  requests.forEach((request, requestIndex) => {
+    request.forEach(({ queryIndex }, index) => {
+      chunks[queryIndex].push(responses[requestIndex].json[index])
+      queryResponses[queryIndex].add(responses[requestIndex])
+    })
   })
 
-  return buildResult({ resultIndexes, data: response.json })
+  const data = await Promise.all(chunks.map(async (queryChunks, queryIndex) => {
+    let json = queryChunks.length > 0
+      ? joinChunks(queryChunks, maxEntitiesPerRequest)
+      : { data: { _entities: [] } }
+    if (lookups[queryIndex] !== null) {
+      const cacheControl = combineCacheControl([...queryResponses[queryIndex]])
+      json = await entityCache.save(lookups[queryIndex], json, cacheControl)
+    }
+
+    return expandEntities(json, positions[queryIndex])
+  }))
+
+  return buildResult({ resultIndexes, data })
 }
 
 /**
  *
  * @param {Object} params
- * @param {Array<Number[]>} params.resultIndexes Array used to map results with queries
+ * @param {Array<Array<Number[]>>} params.resultIndexes Array used to map results with queries,
+ * each entity of a query response can be the result of several queries
  * @param {Array<Object>} params.data Array of data returned from GraphQL end point
  * @returns {Array} result
  */
@@ -99,19 +341,19 @@ function buildResult ({ resultIndexes, data }) {
     let entityIndex = 0
 
     for (const entity of queryResponse.data._entities) {
-      if (!result[resultIndexes[queryIndex][entityIndex]]) {
-        result[resultIndexes[queryIndex][entityIndex]] = {
-          ...queryResponse,
-          json: {
-            data: {
-              _entities: [entity]
+      for (const resultIndex of [].concat(resultIndexes[queryIndex][entityIndex])) {
+        if (!result[resultIndex]) {
+          result[resultIndex] = {
+            ...queryResponse,
+            json: {
+              data: {
+                _entities: [entity]
+              }
             }
           }
+        } else {
+          result[resultIndex].json.data._entities.push(entity)
         }
-      } else {
-        result[resultIndexes[queryIndex][entityIndex]].json.data._entities.push(
-          entity
-        )
       }
 
       entityIndex++
@@ -122,9 +364,10 @@ function buildResult ({ resultIndexes, data }) {
 }
 
 /**
- * Fetches queries result from the service without batching (1 request for each query)
+ * Fetches queries result from the service without batching (1 request for each query),
+ * with `maxEntitiesPerRequest` the entities of a query are fetched with parallel requests
  * @param {Object} params
- * @param {GroupedQueries} params.mergeQueriesResult
+ * @param {Object} params.mergeQueriesResult The queries to send, see `combineEntityQueries`
  * @param {Object} params.service The service that will receive requests for the queries
  * @returns {Array} result
  */
@@ -132,33 +375,50 @@ async function fetchResult ({
   mergeQueriesResult,
   serviceDefinition,
   context,
-  service
+  service,
+  entityCache
 }) {
   const { mergedQueries, resultIndexes } = mergeQueriesResult
-  const queriesEntries = Object.entries(mergedQueries)
+  const { maxEntitiesPerRequest } = serviceDefinition
   const data = await Promise.all(
-    queriesEntries.map(async ([query, { document, variables }]) => {
-      let modifiedQuery
-
-      if (context.gateway.preGatewayExecution !== null) {
-        ;({ modifiedQuery } = await preGatewayExecutionHandler({
-          schema: serviceDefinition.schema,
-          document,
-          context,
-          service: { name: service }
-        }))
-      }
-
-      const response = await serviceDefinition.sendRequest({
-        originalRequestHeaders: context.reply.request.headers,
-        body: JSON.stringify({
-          query: modifiedQuery || query,
-          variables
-        }),
+    mergedQueries.map(async ({ query, document, variables }) => {
+      const deduped = dedupeRepresentations(variables)
+      const json = await fetchEntities(entityCache, {
+        service: serviceDefinition,
+        query,
+        variables: deduped.variables,
         context
+      }, async variables => {
+        let modifiedQuery
+
+        if (context.gateway.preGatewayExecution !== null) {
+          ;({ modifiedQuery } = await preGatewayExecutionHandler({
+            schema: serviceDefinition.schema,
+            document,
+            context,
+            service: { name: service }
+          }))
+        }
+
+        const chunks = chunkRepresentations(variables, maxEntitiesPerRequest)
+        const responses = await Promise.all(chunks.map(chunk =>
+          serviceDefinition.sendRequest({
+            originalRequestHeaders: context.reply.request.headers,
+            body: JSON.stringify({
+              query: modifiedQuery || query,
+              variables: chunk
+            }),
+            context
+          })
+        ))
+
+        return {
+          json: joinChunks(responses.map(response => response.json), maxEntitiesPerRequest),
+          cacheControl: combineCacheControl(responses)
+        }
       })
 
-      return response.json
+      return expandEntities(json, deduped.positions)
     })
   )
 
@@ -168,24 +428,31 @@ async function fetchResult ({
 /**
  * Fetches queries results from their shared service and returns array of data.
  * It batches queries into one request if allowBatchedQueries is true for the service.
+ * The duplicated representations are sent once, their entity is returned to all of them.
+ * With an entity cache, only the entities missing from the cache are fetched.
  * @param {Object} params
  * @param {Array} params.queries The list of queries to be executed
  * @param {Object} params.service The service to send requests to
+ * @param {Object} [params.entityCache] The entity cache, see `entity-cache.js`
  * @returns {Array} The array of results
  */
 async function getQueryResult ({
   context,
   queries,
   serviceDefinition,
-  service
+  service,
+  entityCache = null
 }) {
-  const mergeQueriesResult = groupQueriesByDefinition(queries)
+  const mergeQueriesResult = combineEntityQueries(
+    groupQueriesByDefinition(queries)
+  )
   const params = {
     mergeQueriesResult,
     service,
     serviceDefinition,
     queries,
-    context
+    context,
+    entityCache
   }
 
   if (serviceDefinition.allowBatchedQueries) {
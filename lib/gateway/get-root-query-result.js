@@ -0,0 +1,138 @@
+'use strict'
+
+const { Kind, parse, print } = require('graphql')
+
+// Returns the operation and the fragments of a root field query,
+// `null` if the query does not select exactly one root field
+function parseRootQuery (query) {
+  const document = parse(query)
+  const operations = document.definitions.filter(
+    definition => definition.kind === Kind.OPERATION_DEFINITION
+  )
+  if (
+    operations.length !== 1 ||
+    operations[0].selectionSet.selections.length !== 1 ||
+    operations[0].selectionSet.selections[0].kind !== Kind.FIELD
+  ) {
+    return null
+  }
+
+  return {
+    operation: operations[0],
+    fragments: document.definitions.filter(
+      definition => definition.kind === Kind.FRAGMENT_DEFINITION
+    )
+  }
+}
+
+/**
+ * Merges the root field queries in one operation, the field of each query
+ * is aliased with its response key so fields with the same name do not collide.
+ * The variables and the fragments shared by the queries are defined once.
+ */
+function mergeRootQueries (queries) {
+  const selections = []
+  const variableDefinitions = new Map()
+  const fragments = new Map()
+  const variables = {}
+
+  for (const { parsed, responseKey, variables: queryVariables } of queries) {
+    const { operation } = parsed
+
+    for (const definition of operation.variableDefinitions || []) {
+      variableDefinitions.set(definition.variable.name.value, definition)
+    }
+    for (const fragment of parsed.fragments) {
+      fragments.set(fragment.name.value, fragment)
+    }
+
+    selections.push({
+      ...operation.selectionSet.selections[0],
+      alias: {
+        kind: Kind.NAME,
+        value: responseKey
+      }
+    })
+    Object.assign(variables, queryVariables)
+  }
+
+  const document = {
+    kind: Kind.DOCUMENT,
+    definitions: [
+      {
+        kind: Kind.OPERATION_DEFINITION,
+        operation: queries[0].parsed.operation.operation,
+        name: {
+          kind: Kind.NAME,
+          value: `Query_${queries.map(query => query.responseKey).join('_')}`
+        },
+        variableDefinitions: [...variableDefinitions.values()],
+        directives: [],
+        selectionSet: {
+          kind: Kind.SELECTION_SET,
+          selections
+        }
+      },
+      ...fragments.values()
+    ]
+  }
+
+  return { query: print(document), variables }
+}
+
+function sendQuery ({ query, variables }, context, serviceDefinition) {
+  return serviceDefinition.sendRequest({
+    method: 'POST',
+    body: JSON.stringify({ query, variables }),
+    originalRequestHeaders: context.reply ? context.reply.request.headers : {},
+    context
+  })
+}
+
+/**
+ * Fetches the root fields of an operation that target the same service.
+ * The sibling root fields are coalesced into one request, each query
+ * receives its slice of the response, with the data under its field name.
+ * The queries that do not select a single root field are sent on their own.
+ * @param {Object} params
+ * @param {Object} params.context
+ * @param {Array} params.queries The root field queries with their `fieldName` and `responseKey`
+ * @param {Object} params.serviceDefinition The service to send the request to
+ * @returns {Array} The responses of the queries
+ */
+async function getRootQueryResult ({ context, queries, serviceDefinition }) {
+  if (queries.length === 1) {
+    return [await sendQuery(queries[0], context, serviceDefinition)]
+  }
+
+  const coalesced = []
+  const results = queries.map((query, index) => {
+    const parsed = parseRootQuery(query.query)
+    if (parsed === null) {
+      return sendQuery(query, context, serviceDefinition)
+    }
+
+    coalesced.push({ ...query, parsed, index })
+    return null
+  })
+
+  if (coalesced.length === 1) {
+    results[coalesced[0].index] = sendQuery(coalesced[0], context, serviceDefinition)
+  } else if (coalesced.length > 1) {
+    const response = sendQuery(mergeRootQueries(coalesced), context, serviceDefinition)
+
+    for (const { fieldName, responseKey, index } of coalesced) {
+      results[index] = response.then(response => ({
+        ...response,
+        json: {
+          ...response.json,
+          data: { [fieldName]: response.json.data[responseKey] }
+        }
+      }))
+    }
+  }
+
+  return Promise.all(results)
+}
+
+module.exports = getRootQueryResult
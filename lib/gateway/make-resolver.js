@@ -1,14 +1,16 @@
 'use strict'
 
-const { getNamedType, print, parse, Kind } = require('graphql')
+const { getNamedType, isAbstractType, print, parse, Kind } = require('graphql')
 const {
   preGatewayExecutionHandler,
   preGatewaySubscriptionExecutionHandler
 } = require('../handlers')
 const { collect } = require('../collectors')
 const { MER_ERR_GQL_GATEWAY_MISSING_KEY_DIRECTIVE } = require('../errors')
+const { getQueryKey } = require('../util')
 
 const kEntityResolvers = Symbol('mercurius.entity-resolvers')
+const kPrepareOperation = Symbol('mercurius.gateway.prepare-operation')
 
 function getFieldType (schema, type, fieldName) {
   return getNamedType(schema.getType(type).getFields()[fieldName].type)
@@ -18,6 +20,184 @@ function getInlineFragmentType (schema, type) {
   return getNamedType(schema.getType(type))
 }
 
+// the parsed field sets of the directives and the keys of the types,
+// they are read for every representation and must not be parsed each time
+const parsedFieldSets = new WeakMap()
+const typeKeyFieldSets = new WeakMap()
+const serviceKeyFieldSets = new WeakMap()
+
+// parses the `fields` argument of a `@key`, `@requires` or `@provides` directive,
+// field sets can be compound (`id tenant`) and nested (`id organization { id }`).
+// The selections are shared, they must not be modified
+function parseFieldSet (directive) {
+  let selections = parsedFieldSets.get(directive)
+  if (selections === undefined) {
+    const fields = directive.arguments.find(
+      argument => argument.name.value === 'fields'
+    )
+    const query = parse(`{ ${fields.value.value} }`)
+
+    selections = query.definitions[0].selectionSet.selections
+    parsedFieldSets.set(directive, selections)
+  }
+
+  return selections
+}
+
+// picks the fields of a field set from an object, following the nested
+// field sets into the nested objects and lists
+function pickFieldSet (obj, selections, result = {}) {
+  for (const selection of selections) {
+    const fieldName = selection.name.value
+    const value = obj[fieldName]
+
+    if (!selection.selectionSet || value === null || value === undefined) {
+      result[fieldName] = value
+    } else if (Array.isArray(value)) {
+      result[fieldName] = value.map(item =>
+        item === null ? null : pickFieldSet(item, selection.selectionSet.selections)
+      )
+    } else {
+      result[fieldName] = pickFieldSet(value, selection.selectionSet.selections)
+    }
+  }
+
+  return result
+}
+
+// returns the field sets of all the `@key` directives of a type
+function getKeyFieldSets (type) {
+  let keys = typeKeyFieldSets.get(type)
+  if (keys === undefined) {
+    keys = collectKeyFieldSets(type)
+    typeKeyFieldSets.set(type, keys)
+  }
+
+  return keys
+}
+
+function collectKeyFieldSets (type) {
+  const keys = []
+  const printed = new Set()
+
+  for (const node of [type.astNode, ...(type.extensionASTNodes || [])]) {
+    if (!node || !node.directives) {
+      continue
+    }
+    for (const directive of node.directives) {
+      if (directive.name.value !== 'key') {
+        continue
+      }
+      const key = print(directive.arguments.find(a => a.name.value === 'fields'))
+      if (!printed.has(key)) {
+        printed.add(key)
+        keys.push(parseFieldSet(directive))
+      }
+    }
+  }
+
+  return keys
+}
+
+// returns the field sets of the keys the service declares for the type,
+// `null` if the service does not declare any valid key for it
+function getServiceKeyFieldSets (type, service) {
+  const serviceType = service && service.schema && service.schema.getType(type.name)
+  if (!serviceType) {
+    return null
+  }
+
+  if (!serviceKeyFieldSets.has(serviceType)) {
+    const keys = getKeyFieldSets(serviceType).filter(key => isValidFieldSet(serviceType, key))
+    serviceKeyFieldSets.set(serviceType, keys.length > 0 ? keys : null)
+  }
+
+  return serviceKeyFieldSets.get(serviceType)
+}
+
+// the fields of the key must be defined by the type
+function isValidFieldSet (type, selections) {
+  const fields = type.getFields()
+  return selections.every(selection => fields[selection.name.value] !== undefined)
+}
+
+function hasFieldSet (obj, selections) {
+  return selections.every(selection => {
+    const value = obj[selection.name.value]
+
+    if (value === undefined) {
+      return false
+    }
+    if (!selection.selectionSet || value === null) {
+      return true
+    }
+
+    return [].concat(value).every(item =>
+      item === null || hasFieldSet(item, selection.selectionSet.selections)
+    )
+  })
+}
+
+// checks that the selections are part of the provided field set
+// and that their values are in the object
+function hasProvidedFields (obj, selections, provided) {
+  return selections.every(selection => {
+    if (selection.kind !== Kind.FIELD) {
+      return false
+    }
+    if (selection.name.value === '__typename') {
+      return true
+    }
+
+    const providedField = provided.find(
+      field => field.name.value === selection.name.value
+    )
+    const value = obj[(selection.alias || selection.name).value]
+    if (!providedField || value === undefined) {
+      return false
+    }
+    if (!selection.selectionSet || value === null) {
+      return true
+    }
+
+    return !!providedField.selectionSet && [].concat(value).every(item =>
+      item === null ||
+      hasProvidedFields(item, selection.selectionSet.selections, providedField.selectionSet.selections)
+    )
+  })
+}
+
+/**
+ * Checks if the entities referenced by a field have the fields selected
+ * from the service owning their type, because the service of the parent
+ * provides them with `@provides(fields:)` on the field.
+ * The key fields are always part of the references.
+ */
+function isProvidedByParent (value, field, fieldNodes, service, type) {
+  const provided = getDirectiveSelection(field, 'provides')
+  if (provided.length === 0) {
+    return false
+  }
+
+  const keyFields = getKeyFieldSets(type).flat().map(selection => selection.name.value)
+  const selections = []
+  for (const fieldNode of fieldNodes) {
+    for (const selection of fieldNode.selectionSet.selections) {
+      if (
+        selection.kind !== Kind.FIELD ||
+        (service.typeMap[type.name].has(selection.name.value) &&
+          !keyFields.includes(selection.name.value))
+      ) {
+        selections.push(selection)
+      }
+    }
+  }
+
+  return [].concat(value).every(item =>
+    item === null || hasProvidedFields(item, selections, provided)
+  )
+}
+
 function getDirectiveSelection (node, directiveName) {
   if (!node || !node.astNode) {
     return []
@@ -31,9 +211,7 @@ function getDirectiveSelection (node, directiveName) {
     return []
   }
 
-  const query = parse(`{ ${directive.arguments[0].value.value} }`)
-
-  return query.definitions[0].selectionSet.selections
+  return parseFieldSet(directive)
 }
 
 function getDirectiveRequiresSelection (selections, type) {
@@ -60,8 +238,7 @@ function getDirectiveRequiresSelection (selections, type) {
         continue
       }
       // assumes arguments is always present, might require a custom error in case it is not
-      const query = parse(`{ ${directive.arguments[0].value.value} }`)
-      requires.push(...query.definitions[0].selectionSet.selections)
+      requires.push(...parseFieldSet(directive))
     }
   }
 
@@ -80,10 +257,9 @@ function collectServiceTypeFields (selections, service, type, schema) {
       .map(selection => {
         if (selection.selectionSet && selection.selectionSet.selections) {
           if (selection.kind === Kind.INLINE_FRAGMENT) {
-            const inlineFragmentType = getInlineFragmentType(
-              schema,
-              selection.typeCondition.name.value
-            )
+            const inlineFragmentType = selection.typeCondition
+              ? getInlineFragmentType(schema, selection.typeCondition.name.value)
+              : type
             const requiredFields = []
 
             for (const field of Object.values(inlineFragmentType.getFields())) {
@@ -138,7 +314,7 @@ function collectServiceTypeFields (selections, service, type, schema) {
       arguments: [],
       directives: []
     },
-    ...getDirectiveSelection(type, 'key'),
+    ...(getServiceKeyFieldSets(type, service) || [getDirectiveSelection(type, 'key')]).flat(),
     ...getDirectiveRequiresSelection(selections, type)
   ]
 }
@@ -322,12 +498,18 @@ function createFieldResolverOperation ({
   })
 }
 
-function collectVariableNames (acc, fields) {
-  for (const field of fields) {
-    if (field.value.kind === Kind.VARIABLE) {
-      acc.push(field.value.name.value)
-    } else if (field.value.kind === Kind.OBJECT) {
-      collectVariableNames(acc, field.value.fields)
+// collects the names of the variables used in an argument value,
+// following the nested input objects and lists
+function collectVariableNames (acc, value) {
+  if (value.kind === Kind.VARIABLE) {
+    acc.push(value.name.value)
+  } else if (value.kind === Kind.OBJECT) {
+    for (const field of value.fields) {
+      collectVariableNames(acc, field.value)
+    }
+  } else if (value.kind === Kind.LIST) {
+    for (const item of value.values) {
+      collectVariableNames(acc, item)
     }
   }
 }
@@ -337,15 +519,7 @@ function collectArgumentNames (fieldNode) {
 
   if (fieldNode.arguments) {
     for (const argument of fieldNode.arguments) {
-      /* istanbul ignore else if there is no arguments property we return empty array */
-      if (argument.value.kind === Kind.VARIABLE) {
-        argumentNames.push(argument.value.name.value)
-      } else if (argument.value.kind === Kind.OBJECT) {
-        collectVariableNames(argumentNames, argument.value.fields)
-      } else if (argument.value.kind === Kind.LIST) {
-        /* c8 ignore next 3 */
-        // TODO: Support GraphQL List
-      }
+      collectVariableNames(argumentNames, argument.value)
     }
   }
 
@@ -441,6 +615,70 @@ function generatePathKey (path) {
   return keys
 }
 
+/**
+ * Builds the operation sent to the service for a field of the query,
+ * with the selections of the service and the fragments they use
+ */
+function prepareOperation ({
+  fieldNode,
+  service,
+  createOperation,
+  returnType,
+  parentType,
+  fieldName,
+  isQuery,
+  isReference,
+  originalOperation,
+  fragments,
+  schema
+}) {
+  // Remove items from selections that are not defined in the service
+  const selections = fieldNode.selectionSet
+    ? collectServiceTypeFields(
+      fieldNode.selectionSet.selections,
+      service,
+      returnType,
+      schema
+    )
+    : []
+
+  // collect all variable names that are used in selection
+  const variableNamesToDefine = new Set(
+    collectArgumentsWithVariableValues(selections)
+  )
+  collectArgumentNames(fieldNode).map(argumentName =>
+    variableNamesToDefine.add(argumentName)
+  )
+  const variablesToDefine = originalOperation.variableDefinitions.filter(
+    definition => variableNamesToDefine.has(definition.variable.name.value)
+  )
+
+  // create the operation that will be sent to the service
+  const operation = createOperation({
+    returnType,
+    parentType,
+    fieldName,
+    selections,
+    isQuery,
+    isReference,
+    variableDefinitions: variablesToDefine,
+    args: fieldNode.arguments,
+    operation: originalOperation.operation
+  })
+
+  // check if fragments are used in the original query
+  const usedFragments = getFragmentNamesInSelection(selections)
+  const fragmentsToDefine = collectFragmentsToInclude(
+    usedFragments,
+    fragments,
+    service,
+    schema
+  )
+  const query = appendFragments(print(operation), fragmentsToDefine)
+
+  return { query, operation, variableNamesToDefine }
+}
+
 /**
  * Creates a resolver function for a fields type
  *
@@ -463,7 +701,7 @@ function makeResolver ({
   lruGatewayResolvers,
   skipRequestIfValueExists
 }) {
-  return async function (parent, args, context, info) {
+  const resolver = async function (parent, args, context, info) {
     const {
       fieldNodes,
       returnType,
@@ -482,74 +720,50 @@ function makeResolver ({
 
     const queryId = generatePathKey(info.path).join('.')
     const resolverKey = `${queryId}.${type.toString()}`
-    const { reply, __currentQuery, pubsub } = context
+    const { reply, pubsub } = context
+    const cacheKey = `${getQueryKey(context)}_${resolverKey}`
 
     const cached =
       lruGatewayResolvers != null &&
-      lruGatewayResolvers.get(`${__currentQuery}_${resolverKey}`)
+      lruGatewayResolvers.get(cacheKey)
     let variableNamesToDefine
     let operation
     let query
-    let selections
 
     // verify and return the value if is already available in the parent
     if (parent && parent[fieldName] && skipRequestIfValueExists) {
       return parent[fieldName]
     }
 
+    // the service of the parent already returned the selected fields through `@provides`
+    if (
+      isReference &&
+      isProvidedByParent(parent[fieldName], parentType.getFields()[fieldName], fieldNodes, service, type)
+    ) {
+      return parent[fieldName]
+    }
+
     if (cached) {
       variableNamesToDefine = cached.variableNamesToDefine
       query = cached.query
       operation = cached.operation
     } else {
-      // Remove items from selections that are not defined in the service
-      selections = fieldNodes[0].selectionSet
-        ? collectServiceTypeFields(
-          fieldNodes[0].selectionSet.selections,
-          service,
-          type,
-          schema
-        )
-        : []
-
-      // collect all variable names that are used in selection
-      variableNamesToDefine = new Set(
-        collectArgumentsWithVariableValues(selections)
-      )
-      collectArgumentNames(fieldNodes[0]).map(argumentName =>
-        variableNamesToDefine.add(argumentName)
-      )
-      const variablesToDefine = originalOperation.variableDefinitions.filter(
-        definition => variableNamesToDefine.has(definition.variable.name.value)
-      )
-
-      // create the operation that will be sent to the service
-      operation = createOperation({
+      ;({ query, operation, variableNamesToDefine } = prepareOperation({
+        fieldNode: fieldNodes[0],
+        service,
+        createOperation,
         returnType: type,
         parentType,
         fieldName,
-        selections,
         isQuery,
         isReference,
-        variableDefinitions: variablesToDefine,
-        args: fieldNodes[0].arguments,
-        operation: originalOperation.operation
-      })
-
-      query = print(operation)
-
-      // check if fragments are used in the original query
-      const usedFragments = getFragmentNamesInSelection(selections)
-      const fragmentsToDefine = collectFragmentsToInclude(
-        usedFragments,
+        originalOperation,
         fragments,
-        service,
         schema
-      )
-      query = appendFragments(query, fragmentsToDefine)
+      }))
 
       if (lruGatewayResolvers != null) {
-        lruGatewayResolvers.set(`${__currentQuery}_${resolverKey}`, {
+        lruGatewayResolvers.set(cacheKey, {
           query,
           operation,
           variableNamesToDefine
@@ -568,20 +782,36 @@ function makeResolver ({
       }
     }
 
+    const entityResolvers =
+      reply?.[kEntityResolvers] || entityResolversFactory.create()
+
     if (isReference) {
       if (parent[fieldName] instanceof Array) {
         variables.representations = parent[fieldName].map(ref =>
-          removeNonIdProperties(ref, type)
+          removeNonIdProperties(ref, type, service)
         )
       } else {
         variables.representations = [
-          removeNonIdProperties(parent[fieldName], type)
+          removeNonIdProperties(parent[fieldName], type, service)
         ]
       }
     } else if (!isQuery && !isSubscription) {
+      if (typeToServiceMap) {
+        await fetchMissingKeyFields({
+          parent,
+          parentType,
+          service,
+          typeToServiceMap,
+          serviceMap,
+          entityResolvers,
+          context,
+          queryId: generatePathKey(info.path.prev).join('.')
+        })
+      }
+
       variables.representations = [
         {
-          ...removeNonIdProperties(parent, parentType),
+          ...removeNonIdProperties(parent, parentType, service),
           ...getRequiredFields(
             parent,
             schema.getType(parentType).getFields()[fieldName]
@@ -609,9 +839,6 @@ function makeResolver ({
       return pubsub.subscribe(`${service.name}_${subscriptionId}`)
     }
 
-    const entityResolvers =
-      reply?.[kEntityResolvers] || entityResolversFactory.create()
-
     if (isQuery) {
       // Trigger preGatewayExecution hook
       let modifiedQuery
@@ -625,15 +852,26 @@ function makeResolver ({
         }))
       }
 
-      const response = await service.sendRequest({
-        method: 'POST',
-        body: JSON.stringify({
+      // The sibling root fields of a query sent to the same service
+      // are coalesced into one request, see `get-root-query-result.js`
+      const response = originalOperation.operation === 'query'
+        ? await entityResolvers[`${service.name}Query`]({
           query: modifiedQuery || query,
-          variables
-        }),
-        originalRequestHeaders: reply ? reply.request.headers : {},
-        context
-      })
+          variables,
+          fieldName,
+          responseKey: info.path.key,
+          context,
+          id: queryId
+        })
+        : await service.sendRequest({
+          method: 'POST',
+          body: JSON.stringify({
+            query: modifiedQuery || query,
+            variables
+          }),
+          originalRequestHeaders: reply ? reply.request.headers : {},
+          context
+        })
 
       const collectors = service.collectors
       if (collectors) {
@@ -650,76 +888,20 @@ function makeResolver ({
 
       const transformed = transformData(response)
 
-      // TODO support union types
-      const transformedTypeName = Array.isArray(transformed)
-        ? transformed.length > 0 && transformed[0].__typename
-        : transformed && transformed.__typename
-      if (typeToServiceMap) {
-        // If the type is defined in the typeToServiceMap, we need to resolve the type if the type is a reference
-        // and it is fullfilled by another service
-        const targetService = typeToServiceMap[transformedTypeName]
-        // targetService can be null if it is a value type or not defined anywhere
-        if (targetService && targetService !== service.name) {
-          selections = collectServiceTypeFields(
-            fieldNodes[0].selectionSet.selections,
-            serviceMap[targetService],
-            type,
-            schema
-          )
-
-          const toFill = Array.isArray(transformed)
-            ? transformed
-            : [transformed]
-
-          variables.representations = toFill.map(ref =>
-            removeNonIdProperties(ref, schema.getType(transformedTypeName))
-          )
-
-          operation = createEntityReferenceResolverOperation({
-            returnType: transformedTypeName,
-            selections,
-            variableDefinitions: []
-          })
-
-          const existingValues = Object.keys(variables.representations[0])
-          const fieldsInRequest = selections.map(sel => sel.name.value).filter(value => !existingValues.includes(value))
-
-          const queryBySelections = print(operation)
-
-          const usedFragments = getFragmentNamesInSelection(selections)
-          const fragmentsToDefine = collectFragmentsToInclude(
-            usedFragments,
-            fragments,
-            serviceMap[targetService],
-            schema
-          )
-          const finalQuery = appendFragments(queryBySelections, fragmentsToDefine)
-
-          let entities
-          if (!fieldsInRequest.length && finalQuery === queryBySelections) {
-            entities = variables.representations
-          } else {
-            // We are completely skipping the resolver logic in this case to avoid expensive
-            // multiple requests to the other service, one for each field. Our current logic
-            // for the entities data loaders would not work in this case as we would need to
-            // resolve each field individually. Therefore we are short-cricuiting it and
-            // just issuing the request. A different algorithm based on the graphql executor
-            // is possible but it would be significantly slower and difficult to prepare.
-            const response2 = await entityResolvers[`${targetService}Entity`]({
-              document: operation,
-              query: finalQuery,
-              variables,
-              context,
-              id: queryId
-            })
-
-            entities = response2.json.data._entities
-          }
-
-          for (let i = 0; i < entities.length; i++) {
-            Object.assign(toFill[i], entities[i])
-          }
-        }
+      if (typeToServiceMap && fieldNodes[0].selectionSet) {
+        await fetchFromOwnerServices({
+          transformed,
+          selections: fieldNodes[0].selectionSet.selections,
+          service,
+          typeToServiceMap,
+          serviceMap,
+          schema,
+          fragments,
+          variables,
+          entityResolvers,
+          context,
+          queryId
+        })
       }
 
       return transformed
@@ -735,47 +917,263 @@ function makeResolver ({
       id: queryId
     })
 
-    return transformData(response)
+    const transformed = transformData(response)
+
+    if (typeToServiceMap && !isReference && fieldNodes[0].selectionSet) {
+      await fetchFromOwnerServices({
+        transformed,
+        selections: fieldNodes[0].selectionSet.selections,
+        service,
+        typeToServiceMap,
+        serviceMap,
+        schema,
+        fragments,
+        variables,
+        entityResolvers,
+        context,
+        queryId
+      })
+    }
+
+    return transformed
+  }
+
+  // caches the operation of a root field before the query is executed, see `warmup-query-plans.js`
+  if (isQuery && !isSubscription && lruGatewayResolvers != null) {
+    resolver[kPrepareOperation] = ({ cacheKey, ...params }) => {
+      lruGatewayResolvers.set(cacheKey, prepareOperation({
+        ...params,
+        service,
+        createOperation,
+        isQuery,
+        isReference
+      }))
+    }
   }
+
+  return resolver
 }
 
-function removeNonIdProperties (obj, type) {
+/**
+ * Fetches the fields of the returned entities from the services owning them.
+ * The objects are grouped by their concrete type, so the objects returned
+ * for a union or an interface are resolved by the service owning each type.
+ */
+async function fetchFromOwnerServices ({
+  transformed,
+  selections,
+  service,
+  typeToServiceMap,
+  serviceMap,
+  schema,
+  fragments,
+  variables,
+  entityResolvers,
+  context,
+  queryId
+}) {
+  const objectsByType = new Map()
+  for (const obj of [].concat(transformed)) {
+    if (!obj || !obj.__typename) {
+      continue
+    }
+    if (!objectsByType.has(obj.__typename)) {
+      objectsByType.set(obj.__typename, [])
+    }
+    objectsByType.get(obj.__typename).push(obj)
+  }
+
+  await Promise.all([...objectsByType].map(async ([typeName, toFill]) => {
+    const targetService = typeToServiceMap[typeName]
+    // targetService can be null if it is a value type or not defined anywhere
+    if (!targetService || targetService === service.name) {
+      return
+    }
+
+    const type = schema.getType(typeName)
+    const typeSelections = collectServiceTypeFields(
+      getConcreteTypeSelections(selections, type, schema, fragments),
+      serviceMap[targetService],
+      type,
+      schema
+    )
+
+    const representations = toFill.map(ref =>
+      removeNonIdProperties(ref, type, serviceMap[targetService])
+    )
+
+    const operation = createEntityReferenceResolverOperation({
+      returnType: typeName,
+      selections: typeSelections,
+      variableDefinitions: []
+    })
+
+    const existingValues = Object.keys(representations[0])
+    const fieldsInRequest = typeSelections
+      .filter(sel => sel.kind !== Kind.FIELD || !existingValues.includes(sel.name.value))
+
+    const queryBySelections = print(operation)
+
+    const usedFragments = getFragmentNamesInSelection(typeSelections)
+    const fragmentsToDefine = collectFragmentsToInclude(
+      usedFragments,
+      fragments,
+      serviceMap[targetService],
+      schema
+    )
+    const finalQuery = appendFragments(queryBySelections, fragmentsToDefine)
+
+    let entities
+    if (!fieldsInRequest.length && finalQuery === queryBySelections) {
+      entities = representations
+    } else {
+      // We are completely skipping the resolver logic in this case to avoid expensive
+      // multiple requests to the other service, one for each field. Our current logic
+      // for the entities data loaders would not work in this case as we would need to
+      // resolve each field individually. Therefore we are short-cricuiting it and
+      // just issuing the request. A different algorithm based on the graphql executor
+      // is possible but it would be significantly slower and difficult to prepare.
+      const response = await entityResolvers[`${targetService}Entity`]({
+        document: operation,
+        query: finalQuery,
+        variables: { ...variables, representations },
+        context,
+        id: `${queryId}.${typeName}`
+      })
+
+      entities = response.json.data._entities
+    }
+
+    for (let i = 0; i < entities.length; i++) {
+      Object.assign(toFill[i], entities[i])
+    }
+  }))
+}
+
+// returns the selections applying to an object of the given concrete type,
+// the fragments on other types are removed and the others are inlined
+// without type condition, as the service may not know the abstract types
+function getConcreteTypeSelections (selections, type, schema, fragments) {
+  const result = []
+
+  for (const selection of selections) {
+    if (selection.kind === Kind.FIELD) {
+      result.push(selection)
+      continue
+    }
+
+    const fragment = selection.kind === Kind.FRAGMENT_SPREAD
+      ? fragments[selection.name.value]
+      : selection
+
+    if (fragment.typeCondition) {
+      const conditionType = schema.getType(fragment.typeCondition.name.value)
+      if (
+        conditionType !== type &&
+        !(isAbstractType(conditionType) && schema.isSubType(conditionType, type))
+      ) {
+        continue
+      }
+    }
+
+    result.push({
+      kind: Kind.INLINE_FRAGMENT,
+      directives: selection.directives,
+      selectionSet: {
+        kind: Kind.SELECTION_SET,
+        selections: getConcreteTypeSelections(
+          fragment.selectionSet.selections,
+          type,
+          schema,
+          fragments
+        )
+      }
+    })
+  }
+
+  return result
+}
+
+/**
+ * Builds the representation of an entity for the service,
+ * using the first key of the service the object has all the fields of.
+ * Without a service, the keys of the type in the gateway schema are used.
+ * The type must declare a key where it is defined.
+ */
+function removeNonIdProperties (obj, type, service) {
   const keyDirective = type.astNode.directives.find(d => d.name.value === 'key')
 
   if (!keyDirective) {
     throw new MER_ERR_GQL_GATEWAY_MISSING_KEY_DIRECTIVE(type.name)
   }
 
-  const idFields = keyDirective.arguments[0].value.value.split(' ')
+  const keys = getServiceKeyFieldSets(type, service) || getKeyFieldSets(type)
 
-  const result = {
+  const key = keys.find(key => hasFieldSet(obj, key)) || keys[0]
+
+  return pickFieldSet(obj, key, {
     __typename: obj.__typename
-  }
+  })
+}
 
-  for (const id of idFields) {
-    result[id] = obj[id]
+/**
+ * When the object has none of the keys the service declares for its type,
+ * fetches the fields of the first one from the service owning the type,
+ * with a key the object has, and adds them to the object.
+ * The fetch is shared by the fields of the same object.
+ */
+async function fetchMissingKeyFields ({
+  parent,
+  parentType,
+  service,
+  typeToServiceMap,
+  serviceMap,
+  entityResolvers,
+  context,
+  queryId
+}) {
+  // most parents already have a key of the service
+  const keys = getServiceKeyFieldSets(parentType, service)
+  if (!keys || keys.some(key => hasFieldSet(parent, key))) {
+    return
   }
 
-  return result
-}
-
-function getRequiredFields (obj, field) {
-  const requiresDirective = field.astNode.directives.find(
-    d => d.name.value === 'requires'
-  )
-  const result = {}
+  const owner = serviceMap[typeToServiceMap[parentType.name]]
+  if (!owner || owner === service) {
+    return
+  }
 
-  if (!requiresDirective) {
-    return result
+  const ownerKeys = getServiceKeyFieldSets(parentType, owner) || getKeyFieldSets(parentType)
+  if (!ownerKeys.some(key => hasFieldSet(parent, key))) {
+    return
   }
 
-  const requiredFields = requiresDirective.arguments[0].value.value.split(' ')
+  const operation = createEntityReferenceResolverOperation({
+    returnType: parentType.name,
+    selections: keys[0],
+    variableDefinitions: []
+  })
+
+  const response = await entityResolvers[`${owner.name}Entity`]({
+    document: operation,
+    query: print(operation),
+    variables: {
+      representations: [removeNonIdProperties(parent, parentType, owner)]
+    },
+    context,
+    id: `${queryId}.__keys`
+  })
 
-  for (const requiredField of requiredFields) {
-    result[requiredField] = obj[requiredField]
+  const entity = response.json.data._entities[0]
+  if (entity) {
+    Object.assign(parent, entity)
   }
+}
 
-  return result
+// picks the fields of the `@requires` field set of a field from the object,
+// nested field sets are passed as structured objects
+function getRequiredFields (obj, field) {
+  return pickFieldSet(obj, getDirectiveSelection(field, 'requires'))
 }
 
 function appendFragments (query, fragmentsToDefine) {
@@ -798,5 +1196,12 @@ module.exports = {
   createQueryOperation,
   createFieldResolverOperation,
   createEntityReferenceResolverOperation,
-  kEntityResolvers
+  collectArgumentsWithVariableValues,
+  parseFieldSet,
+  getKeyFieldSets,
+  getServiceKeyFieldSets,
+  hasFieldSet,
+  pickFieldSet,
+  kEntityResolvers,
+  kPrepareOperation
 }
@@ -0,0 +1,97 @@
+'use strict'
+
+const { lru } = require('tiny-lru')
+const { hashQuery } = require('../util')
+
+/**
+ * The default store of the persisted queries, it keeps at most `max` queries in memory.
+ * A store has the `get(hash)` and `set(hash, query)` methods, they can return a promise.
+ */
+function createMemoryStore ({ max = 1024 } = {}) {
+  const cache = lru(max)
+
+  return {
+    get (hash) {
+      return cache.get(hash)
+    },
+    set (hash, query) {
+      cache.set(hash, query)
+    }
+  }
+}
+
+// The hash of an automatic persisted query, `null` if the request is not one
+function getPersistedQueryHash (params) {
+  const { persistedQuery } = params.extensions || {}
+  return persistedQuery && persistedQuery.version === 1 && typeof persistedQuery.sha256Hash === 'string'
+    ? persistedQuery.sha256Hash
+    : null
+}
+
+/**
+ * Builds the provider of the automatic persisted queries given to mercurius,
+ * `null` when the gateway does not accept them.
+ *
+ * The clients send the `sha256Hash` of the query in `extensions.persistedQuery`,
+ * and the query with its hash the first time. The queries are stored in `opts.store`
+ * under their hash, which is also their key in the gateway cache.
+ */
+function buildPersistedQueryProvider (opts, log) {
+  if (!opts) {
+    return null
+  }
+
+  const store = opts.store || createMemoryStore({ max: opts.max })
+
+  return {
+    isPersistedQuery: request => !request.query && !!(request.extensions || {}).persistedQuery,
+    isPersistedQueryRetry: request => !!request.query && !!(request.extensions || {}).persistedQuery,
+    // the clients stop sending the persisted queries of the versions not supported
+    getHash: request => getPersistedQueryHash(request) || false,
+    async getQueryFromHash (hash) {
+      try {
+        return await store.get(hash)
+      } catch (err) {
+        // the client sends the query again
+        log.warn({ err }, 'unable to read the persisted queries')
+      }
+    },
+    getHashForQuery: query => hashQuery(query),
+    saveQuery: (hash, query) => store.set(hash, query),
+    notFoundError: 'PersistedQueryNotFound',
+    notSupportedError: 'PersistedQueryNotSupported',
+    mismatchError: 'provided sha does not match query'
+  }
+}
+
+/**
+ * Returns the hash of the automatic persisted query of the request of the context,
+ * `null` if the request is not one. The hash has been checked against the query.
+ */
+function getRequestPersistedQueryHash (context) {
+  const request = context.reply && context.reply.request
+  if (!request) {
+    return null
+  }
+
+  const params = request.method === 'GET' ? request.query : request.body
+  if (!params || Array.isArray(params)) {
+    return null
+  }
+
+  if (typeof params.extensions === 'string') {
+    try {
+      return getPersistedQueryHash({ extensions: JSON.parse(params.extensions) })
+    } catch {
+      return null
+    }
+  }
+
+  return getPersistedQueryHash(params)
+}
+
+module.exports = {
+  buildPersistedQueryProvider,
+  createMemoryStore,
+  getRequestPersistedQueryHash
+}
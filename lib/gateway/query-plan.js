@@ -0,0 +1,495 @@
+'use strict'
+
+const {
+  getNamedType,
+  getNullableType,
+  isAbstractType,
+  isListType,
+  Kind,
+  print
+} = require('graphql')
+const {
+  createEntityReferenceResolverOperation,
+  collectArgumentsWithVariableValues,
+  parseFieldSet,
+  getKeyFieldSets,
+  getServiceKeyFieldSets
+} = require('./make-resolver')
+const { MER_ERR_GQL_GATEWAY_MISSING_KEY_DIRECTIVE } = require('../errors')
+
+/**
+ * A query plan describes the requests the gateway sends to the services
+ * to resolve an operation. It is a tree of nodes:
+ *
+ * - `Fetch`: a request to a service, either a root operation or an `_entities` query
+ * - `Flatten`: runs an `_entities` fetch for the objects found at `path` in the
+ *   data fetched so far, `@` in the path stands for the items of a list
+ * - `Sequence`: runs its nodes one after the other
+ * - `Parallel`: runs its nodes concurrently
+ *
+ * Example for `{ topPosts { title author { name } } }`, where `Post` is owned
+ * by the post service and `User` is owned by the user service:
+ *
+ * Sequence [
+ *   Fetch(post) { topPosts { __typename title author { __typename id } } }
+ *   Flatten(topPosts.@.author) Fetch(user) { _entities { ... on User { __typename name } } }
+ * ]
+ */
+
+const typenameField = {
+  kind: Kind.FIELD,
+  name: {
+    kind: Kind.NAME,
+    value: '__typename'
+  },
+  arguments: [],
+  directives: []
+}
+
+function getDirectiveFieldSet (node, directiveName) {
+  const directive = node && node.directives &&
+    node.directives.find(directive => directive.name.value === directiveName)
+
+  return directive ? parseFieldSet(directive) : null
+}
+
+// Returns the key used in the representations sent to the service,
+// the first key of the service whose fields the current service resolves if any.
+// The key fields missing in the current service are fetched from the owner.
+function getKeySelections (planner, type, serviceName, currentServiceName) {
+  if (!type.astNode.directives.some(d => d.name.value === 'key')) {
+    throw new MER_ERR_GQL_GATEWAY_MISSING_KEY_DIRECTIVE(type.name)
+  }
+
+  const keys = getServiceKeyFieldSets(type, planner.serviceMap[serviceName]) || getKeyFieldSets(type)
+
+  const fields = planner.serviceMap[currentServiceName].typeMap[type.name]
+  return keys.find(key =>
+    fields && key.every(selection => fields.has(selection.name.value))
+  ) || keys[0]
+}
+
+function isKeyField (type, fieldName) {
+  return getKeyFieldSets(type).some(key =>
+    key.some(selection => selection.name.value === fieldName)
+  )
+}
+
+function getResponsePath (selection, fieldType) {
+  const path = [selection.alias ? selection.alias.value : selection.name.value]
+  let type = getNullableType(fieldType)
+  while (isListType(type)) {
+    path.push('@')
+    type = getNullableType(type.ofType)
+  }
+  return path
+}
+
+/**
+ * Returns the name of the service resolving the field of the given type,
+ * the service currently fetching the parent object resolves value type
+ * fields and the key fields of the entities it references.
+ */
+function getFieldService (planner, parentType, fieldName, serviceName) {
+  const { serviceMap, typeToServiceMap, typeFieldsToService } = planner
+  const extensionService = typeFieldsToService[`${parentType.name}-${fieldName}`]
+
+  if (extensionService) {
+    return extensionService
+  }
+
+  const owner = typeToServiceMap[parentType.name]
+  if (!owner || owner === serviceName) {
+    return serviceName
+  }
+
+  const service = serviceMap[serviceName]
+  if (
+    service.typeMap[parentType.name] &&
+    service.typeMap[parentType.name].has(fieldName) &&
+    isKeyField(parentType, fieldName)
+  ) {
+    return serviceName
+  }
+
+  return owner
+}
+
+// Adds the field to the entity fetch of the service for the objects at path,
+// returns the fields needed in the representations of these objects
+function addDependentField (planner, fetch, serviceName, parentType, selection, path) {
+  const key = `${serviceName}|${path.join('.')}|${parentType.name}`
+  let dependent = fetch.dependents.get(key)
+  const requires = []
+
+  if (!dependent) {
+    requires.push(
+      typenameField,
+      ...getKeySelections(planner, parentType, serviceName, fetch.service)
+    )
+    dependent = {
+      key,
+      service: serviceName,
+      type: parentType,
+      path,
+      selections: [],
+      requires: [],
+      after: new Set()
+    }
+    fetch.dependents.set(key, dependent)
+  }
+
+  if (planner.touchedDependents) {
+    planner.touchedDependents.add(key)
+  }
+
+  const field = parentType.getFields()[selection.name.value]
+  requires.push(...(getDirectiveFieldSet(field.astNode, 'requires') || []))
+
+  dependent.selections.push(selection)
+  dependent.requires.push(...requires)
+
+  return { dependent, requires }
+}
+
+// A provided field resolves the selection only if its field set covers
+// all the selected subfields
+function isProvidedSelection (providedField, selection) {
+  if (providedField.name.value !== selection.name.value) {
+    return false
+  }
+  if (!selection.selectionSet) {
+    return true
+  }
+  const provided = providedField.selectionSet ? providedField.selectionSet.selections : []
+  return selection.selectionSet.selections.every(subselection =>
+    subselection.kind === Kind.FIELD && (
+      subselection.name.value === '__typename' ||
+      provided.some(providedField => isProvidedSelection(providedField, subselection))
+    )
+  )
+}
+
+// The fields requiring other fields are always resolved by an entity fetch,
+// their requirements are part of the representations.
+// This is not needed at the root of the entity fetch itself.
+// The fields in the `provided` field set are resolved by the current service.
+function planSelectionSet (planner, fetch, parentType, selections, path, isEntity = false, provided = null) {
+  const result = [typenameField]
+
+  for (const selection of selections) {
+    if (selection.kind === Kind.FIELD) {
+      const fieldName = selection.name.value
+
+      if (fieldName === '__typename') {
+        if (selection.alias) {
+          result.push(selection)
+        }
+        continue
+      }
+
+      const field = parentType.getFields()[fieldName]
+      const providedField = provided &&
+        provided.find(providedField => isProvidedSelection(providedField, selection))
+      const serviceName = providedField
+        ? fetch.service
+        : getFieldService(planner, parentType, fieldName, fetch.service)
+
+      if (
+        serviceName !== fetch.service ||
+        (!isEntity && getDirectiveFieldSet(field.astNode, 'requires'))
+      ) {
+        const { dependent, requires } = addDependentField(
+          planner,
+          fetch,
+          serviceName,
+          parentType,
+          selection,
+          path
+        )
+
+        // the representation fields are fetched from the current service,
+        // the dependent fetch runs after the fetches resolving them if any
+        const touchedDependents = planner.touchedDependents
+        planner.touchedDependents = new Set()
+        result.push(
+          ...planSelectionSet(planner, fetch, parentType, requires, path).slice(1)
+        )
+        for (const key of planner.touchedDependents) {
+          if (key !== dependent.key) {
+            dependent.after.add(key)
+          }
+        }
+        planner.touchedDependents = touchedDependents
+        continue
+      }
+
+      if (!selection.selectionSet) {
+        result.push(selection)
+        continue
+      }
+
+      result.push({
+        ...selection,
+        selectionSet: {
+          kind: Kind.SELECTION_SET,
+          selections: planSelectionSet(
+            planner,
+            fetch,
+            getNamedType(field.type),
+            selection.selectionSet.selections,
+            [...path, ...getResponsePath(selection, field.type)],
+            false,
+            providedField
+              ? providedField.selectionSet && providedField.selectionSet.selections
+              : getDirectiveFieldSet(field.astNode, 'provides')
+          )
+        }
+      })
+    } else {
+      const fragment = selection.kind === Kind.FRAGMENT_SPREAD
+        ? planner.fragments[selection.name.value]
+        : selection
+      const typeCondition = fragment.typeCondition
+        ? planner.schema.getType(fragment.typeCondition.name.value)
+        : parentType
+
+      result.push({
+        kind: Kind.INLINE_FRAGMENT,
+        typeCondition: fragment.typeCondition,
+        directives: selection.directives,
+        selectionSet: {
+          kind: Kind.SELECTION_SET,
+          selections: planSelectionSet(
+            planner,
+            fetch,
+            typeCondition,
+            fragment.selectionSet.selections,
+            path,
+            isEntity,
+            provided
+          )
+        }
+      })
+    }
+  }
+
+  return result
+}
+
+function getVariableDefinitions (planner, selections) {
+  const variableNames = new Set(collectArgumentsWithVariableValues(selections))
+  return planner.variableDefinitions.filter(
+    definition => variableNames.has(definition.variable.name.value)
+  )
+}
+
+function getDependentDepth (dependents, dependent, visited = new Set()) {
+  let depth = 0
+  visited.add(dependent.key)
+  for (const key of dependent.after) {
+    if (dependents.has(key) && !visited.has(key)) {
+      depth = Math.max(depth, 1 + getDependentDepth(dependents, dependents.get(key), visited))
+    }
+  }
+  return depth
+}
+
+function withDependents (planner, fetch, node) {
+  if (fetch.dependents.size === 0) {
+    return node
+  }
+
+  const stages = []
+  for (const dependent of fetch.dependents.values()) {
+    const depth = getDependentDepth(fetch.dependents, dependent)
+    stages[depth] = stages[depth] || []
+    stages[depth].push(planEntityFetch(planner, dependent))
+  }
+
+  return {
+    kind: 'Sequence',
+    nodes: [
+      node,
+      ...stages.filter(Boolean).map(nodes =>
+        nodes.length === 1 ? nodes[0] : { kind: 'Parallel', nodes }
+      )
+    ]
+  }
+}
+
+function planEntityFetch (planner, dependent) {
+  const fetch = { service: dependent.service, dependents: new Map() }
+  const selections = planSelectionSet(
+    planner,
+    fetch,
+    dependent.type,
+    dependent.selections,
+    dependent.path,
+    true
+  )
+  const variableDefinitions = getVariableDefinitions(planner, selections)
+  const document = createEntityReferenceResolverOperation({
+    returnType: dependent.type.name,
+    selections,
+    variableDefinitions
+  })
+
+  return withDependents(planner, fetch, {
+    kind: 'Flatten',
+    path: dependent.path,
+    node: {
+      kind: 'Fetch',
+      service: dependent.service,
+      document,
+      query: print(document),
+      variableNames: variableDefinitions.map(definition => definition.variable.name.value),
+      requires: dependent.requires,
+      typeConditions: isAbstractType(dependent.type)
+        ? planner.schema.getPossibleTypes(dependent.type).map(type => type.name)
+        : [dependent.type.name]
+    }
+  })
+}
+
+function planRootFetch (planner, serviceName, rootType, operationType, fields) {
+  const fetch = { service: serviceName, dependents: new Map() }
+  const selections = planSelectionSet(planner, fetch, rootType, fields, []).slice(1)
+  const variableDefinitions = getVariableDefinitions(planner, selections)
+  const responseKeys = [...new Set(
+    fields.map(field => field.alias ? field.alias.value : field.name.value)
+  )]
+  const document = {
+    kind: Kind.DOCUMENT,
+    definitions: [
+      {
+        kind: Kind.OPERATION_DEFINITION,
+        operation: operationType,
+        name: {
+          kind: Kind.NAME,
+          value: `${rootType.name}_${responseKeys.join('_')}`
+        },
+        variableDefinitions,
+        directives: [],
+        selectionSet: {
+          kind: Kind.SELECTION_SET,
+          selections
+        }
+      }
+    ]
+  }
+
+  return withDependents(planner, fetch, {
+    kind: 'Fetch',
+    service: serviceName,
+    document,
+    query: print(document),
+    variableNames: variableDefinitions.map(definition => definition.variable.name.value),
+    responseKeys
+  })
+}
+
+// Fragments at the root are expanded,
+// their directives are moved to the fields they contain
+function collectRootFields (planner, selections, directives = []) {
+  const fields = []
+
+  for (const selection of selections) {
+    if (selection.kind === Kind.FIELD) {
+      // meta fields are resolved by the gateway
+      if (!selection.name.value.startsWith('__')) {
+        fields.push(
+          directives.length > 0
+            ? { ...selection, directives: [...directives, ...selection.directives] }
+            : selection
+        )
+      }
+      continue
+    }
+
+    const fragment = selection.kind === Kind.FRAGMENT_SPREAD
+      ? planner.fragments[selection.name.value]
+      : selection
+    fields.push(
+      ...collectRootFields(
+        planner,
+        fragment.selectionSet.selections,
+        [...directives, ...selection.directives]
+      )
+    )
+  }
+
+  return fields
+}
+
+function getRootFieldService (planner, rootType, fieldName) {
+  const field = rootType.getFields()[fieldName]
+  return planner.typeFieldsToService[`${rootType.name}-${fieldName}`] ||
+    planner.typeToServiceMap[getNamedType(field.type).name]
+}
+
+/**
+ * Builds the query plan of an operation against the gateway schema.
+ *
+ * Root fields of a query are grouped by service and fetched in parallel,
+ * root fields of a mutation are fetched in order, consecutive fields of the
+ * same service are sent in the same request.
+ *
+ * @param {Object} params
+ * @param {import('graphql').GraphQLSchema} params.schema The gateway schema
+ * @param {import('graphql').OperationDefinitionNode} params.operation
+ * @param {Object} params.fragments The fragments of the document by name
+ * @returns {Object} The root node of the plan, `null` if no service is involved
+ */
+function buildQueryPlan ({
+  schema,
+  operation,
+  fragments,
+  serviceMap,
+  typeToServiceMap,
+  typeFieldsToService
+}) {
+  const planner = {
+    schema,
+    fragments,
+    variableDefinitions: operation.variableDefinitions || [],
+    serviceMap,
+    typeToServiceMap,
+    typeFieldsToService,
+    touchedDependents: null
+  }
+  const rootType = schema.getRootType(operation.operation)
+  const groups = []
+
+  for (const field of collectRootFields(planner, operation.selectionSet.selections)) {
+    const serviceName = getRootFieldService(planner, rootType, field.name.value)
+    if (!serviceName) {
+      continue
+    }
+
+    const group = operation.operation === 'mutation'
+      ? groups[groups.length - 1]
+      : groups.find(group => group.serviceName === serviceName)
+
+    if (group && group.serviceName === serviceName) {
+      group.fields.push(field)
+    } else {
+      groups.push({ serviceName, fields: [field] })
+    }
+  }
+
+  const nodes = groups.map(({ serviceName, fields }) =>
+    planRootFetch(planner, serviceName, rootType, operation.operation, fields)
+  )
+
+  if (nodes.length < 2) {
+    return nodes[0] || null
+  }
+
+  return {
+    kind: operation.operation === 'mutation' ? 'Sequence' : 'Parallel',
+    nodes
+  }
+}
+
+module.exports = buildQueryPlan
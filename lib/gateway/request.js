@@ -3,6 +3,9 @@
 const { BalancedPool, Pool } = require('undici')
 const { URL } = require('url')
 const { FederatedError } = require('../errors')
+const { collectCacheControl } = require('./cache-control')
+const { recordSentRequest } = require('./explain-query-plan')
+const { hashQuery } = require('../util')
 const sJSON = require('secure-json-parse')
 const zlib = require('zlib')
 
@@ -74,33 +77,149 @@ function buildRequest (opts) {
   }
 }
 
-function sendRequest (request, url, useSecureParse) {
+function hasPersistedQueryError (json, message, code) {
+  return Array.isArray(json.errors) && json.errors.some(error =>
+    error.message === message || (error.extensions && error.extensions.code === code)
+  )
+}
+
+// The printed operations of the gateway start with their operation,
+// the documents starting otherwise are not considered queries
+function isQueryOperation (query) {
+  return /^\s*(query\b|\{)/.test(query)
+}
+
+// The query string of a GET request, as read by the GraphQL servers
+function getQueryString (params) {
+  const searchParams = new URLSearchParams()
+  for (const [name, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null) {
+      searchParams.set(name, typeof value === 'string' ? value : JSON.stringify(value))
+    }
+  }
+  return `?${searchParams}`
+}
+
+function sendRequest (request, url, useSecureParse, {
+  name,
+  persistedQueries = false,
+  useGETForQueries = false,
+  maxUrlLength = 2048,
+  circuitBreaker = null,
+  retryPolicy = null
+} = {}) {
+  // disabled when the service does not support the persisted queries
+  let sendPersistedQueries = persistedQueries
+
+  function attempt (params) {
+    return circuitBreaker === null
+      ? request(params)
+      // the errors of the service are failures too
+      : circuitBreaker.run(() => request(params), response => response.statusCode >= 500)
+  }
+
+  // Sends the request with POST, or with GET when it has a query string,
+  // only the queries are retried
+  async function fetch (opts, body, qs, isQuery = false) {
+    const send = params => retryPolicy !== null && isQuery
+      ? retryPolicy.run(() => attempt(params))
+      : attempt(params)
+
+    const { body: responseBody, statusCode, headers } = await send({
+      url,
+      qs,
+      method: qs === undefined ? 'POST' : 'GET',
+      body,
+      headers: qs === undefined
+        ? {
+            ...opts.headers,
+            'content-type': 'application/json',
+            'content-length': Buffer.byteLength(body)
+          }
+        : opts.headers,
+      originalRequestHeaders: opts.originalRequestHeaders || {},
+      context: opts.context
+    })
+
+    let data
+    if (headers['content-encoding'] === 'gzip') {
+      // undici request() doesn't automaticlally decompress the body
+      // so we have to manually do it here:
+      const blob = await responseBody.blob()
+      const buffer = await blob.arrayBuffer()
+      data = zlib.gunzipSync(buffer).toString('utf8')
+    } else {
+      data = await responseBody.text()
+    }
+    const json = (useSecureParse ? sJSON : JSON).parse(data.toString())
+
+    return { statusCode, json, headers }
+  }
+
+  // Sends the queries with GET when their URL is short enough, the other operations with POST
+  function fetchParams (opts, params, isQuery) {
+    if (useGETForQueries && isQuery) {
+      const qs = getQueryString(params)
+      if (url.origin.length + url.pathname.length + qs.length <= maxUrlLength) {
+        return fetch(opts, undefined, qs, isQuery)
+      }
+    }
+
+    return fetch(opts, JSON.stringify(params), undefined, isQuery)
+  }
+
+  // Sends the hash of the query first, and the query when the service does not know it
+  async function fetchPersistedQuery (opts, { query, ...params }, isQuery) {
+    const extensions = {
+      ...params.extensions,
+      persistedQuery: { version: 1, sha256Hash: hashQuery(query) }
+    }
+
+    const response = await fetchParams(opts, { ...params, extensions }, isQuery)
+    if (hasPersistedQueryError(response.json, 'PersistedQueryNotSupported', 'PERSISTED_QUERY_NOT_SUPPORTED')) {
+      sendPersistedQueries = false
+      return fetchParams(opts, { query, ...params }, isQuery)
+    }
+    if (hasPersistedQueryError(response.json, 'PersistedQueryNotFound', 'PERSISTED_QUERY_NOT_FOUND')) {
+      return fetchParams(opts, { ...params, query, extensions }, isQuery)
+    }
+
+    return response
+  }
+
+  function send (opts) {
+    if (!sendPersistedQueries && !useGETForQueries && retryPolicy === null) {
+      return fetch(opts, opts.body)
+    }
+
+    const params = JSON.parse(opts.body)
+    // the batched queries are sent as they are
+    if (Array.isArray(params)) {
+      return fetch(opts, opts.body, undefined, params.every(
+        batchedQuery => typeof batchedQuery.query === 'string' && isQueryOperation(batchedQuery.query)
+      ))
+    }
+    if (typeof params.query !== 'string') {
+      return fetch(opts, opts.body)
+    }
+
+    const isQuery = isQueryOperation(params.query)
+    return sendPersistedQueries
+      ? fetchPersistedQuery(opts, params, isQuery)
+      : fetchParams(opts, params, isQuery)
+  }
+
   return async function (opts) {
     try {
-      const { body, statusCode, headers } = await request({
-        url,
-        method: 'POST',
-        body: opts.body,
-        headers: {
-          ...opts.headers,
-          'content-type': 'application/json',
-          'content-length': Buffer.byteLength(opts.body)
-        },
-        originalRequestHeaders: opts.originalRequestHeaders || {},
-        context: opts.context
-      })
+      if (opts.context) {
+        recordSentRequest(opts.context, name, opts.body)
+      }
+
+      const { statusCode, json, headers } = await send(opts)
 
-      let data
-      if (headers['content-encoding'] === 'gzip') {
-        // undici request() doesn't automaticlally decompress the body
-        // so we have to manually do it here:
-        const blob = await body.blob()
-        const buffer = await blob.arrayBuffer()
-        data = zlib.gunzipSync(buffer).toString('utf8')
-      } else {
-        data = await body.text()
+      if (opts.context) {
+        collectCacheControl(opts.context, headers)
       }
-      const json = (useSecureParse ? sJSON : JSON).parse(data.toString())
 
       if (json.errors && json.errors.length) {
         if (json.data == null) {
@@ -0,0 +1,191 @@
+'use strict'
+
+const { createHash } = require('crypto')
+const { lru } = require('tiny-lru')
+const {
+  getNamedType,
+  getOperationAST,
+  isCompositeType,
+  Kind,
+  parse,
+  print,
+  TypeInfo,
+  visit,
+  visitWithTypeInfo
+} = require('graphql')
+const { stableStringify } = require('../util')
+const { makePrivate } = require('./cache-control')
+
+// the request headers carrying the credentials of a client
+const credentialHeaders = ['authorization', 'proxy-authorization', 'cookie', 'x-api-key']
+
+function hash (value) {
+  return createHash('sha256').update(value).digest('base64')
+}
+
+function getVariables (variables) {
+  if (typeof variables !== 'string') {
+    return variables || {}
+  }
+  try {
+    return JSON.parse(variables)
+  } catch {
+    return null
+  }
+}
+
+// The max age of the fields with a policy and the types selected by the operation
+function analyzeOperation (schema, document, policies) {
+  const typeInfo = new TypeInfo(schema)
+  const tags = new Set()
+  let maxAge = null
+
+  visit(document, visitWithTypeInfo(typeInfo, {
+    [Kind.FIELD] () {
+      const parentType = typeInfo.getParentType()
+      const fieldDef = typeInfo.getFieldDef()
+      if (!parentType || !fieldDef) {
+        return
+      }
+
+      const policy = policies[`${parentType.name}.${fieldDef.name}`]
+      if (policy !== undefined) {
+        maxAge = maxAge === null ? policy : Math.min(maxAge, policy)
+      }
+
+      const type = getNamedType(fieldDef.type)
+      if (isCompositeType(type)) {
+        tags.add(type.name)
+      }
+    }
+  }))
+
+  return { maxAge, tags: [...tags] }
+}
+
+/**
+ * Builds the cache of the whole responses of the query operations,
+ * `null` when the gateway does not cache the responses.
+ *
+ * A response is keyed by the normalized operation, its variables and the
+ * values of the request headers in `opts.headers`, it is tagged with the
+ * types it selects. Only the requests of anonymous clients are cached: by
+ * default the requests without credential headers, unless the header is part
+ * of the key, or the requests accepted by `opts.isAnonymous`.
+ *
+ * The `Cache-Control` header of a response is cached with it and replayed,
+ * it is made `private` when a credential header is part of the key.
+ */
+function buildResponseCache (opts) {
+  if (!opts) {
+    return null
+  }
+
+  const cache = lru(opts.max || 1024)
+  const headers = (opts.headers || []).map(header => header.toLowerCase())
+  const policies = opts.policies || {}
+  const ttl = opts.ttl === undefined ? null : opts.ttl
+  const isAnonymous = opts.isAnonymous || (request => credentialHeaders.every(
+    header => request.headers[header] === undefined || headers.includes(header)
+  ))
+
+  return {
+    headers,
+
+    /**
+     * Returns the cache entry of the request: its key, the max age of its
+     * field policies and its tags, `null` if the request cannot be cached
+     */
+    getEntry (request, schema) {
+      if (!isAnonymous(request)) {
+        return null
+      }
+
+      const params = request.method === 'GET' ? request.query : request.body
+      if (!params || Array.isArray(params) || typeof params.query !== 'string') {
+        return null
+      }
+
+      const variables = getVariables(params.variables)
+      let document
+      try {
+        document = parse(params.query)
+      } catch {
+        return null
+      }
+
+      const operation = variables && getOperationAST(document, params.operationName)
+      if (!operation || operation.operation !== 'query') {
+        return null
+      }
+
+      const key = hash(JSON.stringify([
+        print(document),
+        params.operationName || null,
+        stableStringify(variables),
+        headers.map(header => request.headers[header] || null)
+      ]))
+
+      return {
+        key,
+        withCredentials: headers.some(header =>
+          credentialHeaders.includes(header) && request.headers[header] !== undefined
+        ),
+        ...analyzeOperation(schema, document, policies)
+      }
+    },
+
+    get (key) {
+      const entry = cache.get(key)
+      if (entry === undefined) {
+        return undefined
+      }
+      if (entry.expires <= Date.now()) {
+        cache.delete(key)
+        return undefined
+      }
+      return entry
+    },
+
+    /**
+     * Caches the response for the minimum of the TTL of the cache,
+     * the max age of the field policies and the max age of the services,
+     * with the `Cache-Control` header sent with it
+     */
+    set (entry, execution, servicesMaxAge, cacheControl = null) {
+      const maxAge = [ttl, entry.maxAge, servicesMaxAge]
+        .filter(maxAge => maxAge !== null)
+        .reduce((min, maxAge) => Math.min(min, maxAge), Infinity)
+
+      if (maxAge === Infinity || maxAge <= 0) {
+        return
+      }
+
+      cache.set(entry.key, {
+        payload: JSON.stringify(execution),
+        tags: entry.tags,
+        cacheControl: entry.withCredentials ? makePrivate(cacheControl) : cacheControl,
+        expires: Date.now() + maxAge * 1000
+      })
+    },
+
+    /**
+     * Removes the responses tagged with any of the tags
+     */
+    invalidate (tags) {
+      tags = [].concat(tags)
+      for (const key of cache.keys()) {
+        const entry = cache.get(key)
+        if (entry !== undefined && entry.tags.some(tag => tags.includes(tag))) {
+          cache.delete(key)
+        }
+      }
+    },
+
+    clear () {
+      cache.clear()
+    }
+  }
+}
+
+module.exports = buildResponseCache
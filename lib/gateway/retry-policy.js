@@ -0,0 +1,70 @@
+'use strict'
+
+const { promisify } = require('util')
+
+const sleep = promisify(setTimeout)
+
+// The code of the error of a request, the network errors are wrapped in a `FederatedError`
+function getErrorCode (err) {
+  const errors = err.extensions && err.extensions.errors
+  const cause = Array.isArray(errors) && errors.length === 1 ? errors[0] : err
+  return cause && cause.code
+}
+
+/**
+ * Creates the retry policy of a service.
+ *
+ * A request is attempted up to `maxAttempts` times while it fails with one of
+ * the `errorCodes` or responds with one of the `statusCodes`. The attempts are
+ * spaced by an exponential backoff, from `minTimeout` up to `maxTimeout`
+ * milliseconds, with a random jitter so that the gateway instances do not retry together.
+ *
+ * @param {Object} opts
+ * @param {number} [opts.maxAttempts] The maximum number of attempts of a request
+ * @param {number} [opts.minTimeout] The delay before the first retry, in milliseconds
+ * @param {number} [opts.maxTimeout] The maximum delay between two attempts, in milliseconds
+ * @param {Array<number>} [opts.statusCodes] The status codes of the responses to retry
+ * @param {Array<string>} [opts.errorCodes] The codes of the errors to retry
+ */
+function createRetryPolicy ({
+  maxAttempts = 3,
+  minTimeout = 100,
+  maxTimeout = 2000,
+  statusCodes = [502, 503, 504],
+  errorCodes = ['ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'ETIMEDOUT', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT']
+} = {}) {
+  function getDelay (attempt) {
+    const delay = Math.min(maxTimeout, minTimeout * 2 ** (attempt - 1))
+    return delay / 2 + Math.random() * delay / 2
+  }
+
+  return {
+    /**
+     * Runs the request of `fn` and retries it, the responses to retry are
+     * discarded, the last response or error is returned
+     */
+    async run (fn) {
+      for (let attempt = 1; ; attempt++) {
+        let response
+        try {
+          response = await fn()
+        } catch (err) {
+          if (attempt >= maxAttempts || !errorCodes.includes(getErrorCode(err))) {
+            throw err
+          }
+        }
+
+        if (response !== undefined) {
+          if (attempt >= maxAttempts || !statusCodes.includes(response.statusCode)) {
+            return response
+          }
+          await response.body.dump()
+        }
+
+        await sleep(getDelay(attempt))
+      }
+    }
+  }
+}
+
+module.exports = createRetryPolicy
@@ -13,11 +13,14 @@ const {
 } = require('graphql')
 
 const { buildRequest, sendRequest } = require('./request')
+const createCircuitBreaker = require('./circuit-breaker')
+const createRetryPolicy = require('./retry-policy')
 
 const { SubscriptionClient } = require('@mercuriusjs/subscription-client')
 const { MER_ERR_GQL_GATEWAY_INIT } = require('../errors')
 const { buildFederationSchema } = require('@mercuriusjs/federation')
 const { hasDirective, hasExtensionDirective } = require('../util')
+const composeFederationV2 = require('./federation-v2')
 
 function createFieldSet (existingSet, definition, filterFn = () => false) {
   const fieldsSet = existingSet || new Set()
@@ -123,40 +126,99 @@ function safeBuildSchema (schemaDefinition) {
   }
 }
 
-async function buildServiceMap (serviceMap, services, errorHandler, log) {
+function buildServiceSchema (name, schemaDefinition) {
+  // Federation v2 definitions are translated on their own here,
+  // ownership across services is resolved by composeServiceMap
+  const translated = composeFederationV2([{ name, schemaDefinition }])[name]
+  const definition = translated ? translated.schemaDefinition : schemaDefinition
+
+  return {
+    schema: safeBuildSchema(definition),
+    ...createTypeMap(definition)
+  }
+}
+
+/**
+ * Resolves the ownership of types and fields of the Federation v2 services
+ * and updates their type maps accordingly.
+ * It must run every time a service schema definition changes.
+ */
+function composeServiceMap (serviceMap) {
+  const services = Object.values(serviceMap).filter(
+    service => service.schemaDefinition
+  )
+  const translated = composeFederationV2(
+    services.map(({ name, schemaDefinition }) => ({ name, schemaDefinition }))
+  )
+
+  for (const service of services) {
+    if (!translated[service.name]) {
+      service.gatewaySchemaDefinition = null
+      continue
+    }
+
+    const { schemaDefinition, gatewaySchemaDefinition } = translated[service.name]
+    const { typeMap, types, extensionTypeMap } = createTypeMap(schemaDefinition)
+
+    service.schema = safeBuildSchema(schemaDefinition)
+    service.typeMap = typeMap
+    service.types = types
+    service.extensionTypeMap = extensionTypeMap
+    service.gatewaySchemaDefinition = gatewaySchemaDefinition
+  }
+
+  return serviceMap
+}
+
+async function buildServiceMap (serviceMap, services, errorHandler, log, onCircuitChange = () => {}) {
   for (const service of services) {
     const {
       mandatory = false,
       initHeaders,
       useSecureParse = false,
+      persistedQueries = false,
+      useGETForQueries = false,
+      maxUrlLength,
+      circuitBreaker: circuitBreakerOpts,
+      retry,
       ...opts
     } = service
 
     const { request, close } = buildRequest(opts)
     const url = new URL(Array.isArray(opts.url) ? opts.url[0] : opts.url)
+    const circuitBreaker = circuitBreakerOpts
+      ? createCircuitBreaker({
+        ...(circuitBreakerOpts === true ? {} : circuitBreakerOpts),
+        name: service.name,
+        onStateChange: state => onCircuitChange(service.name, state)
+      })
+      : null
+    const retryPolicy = retry
+      ? createRetryPolicy(retry === true ? {} : retry)
+      : null
 
     const serviceConfig = {
       mandatory,
-      sendRequest: sendRequest(request, url, useSecureParse),
+      sendRequest: sendRequest(request, url, useSecureParse, {
+        name: service.name,
+        persistedQueries,
+        useGETForQueries,
+        maxUrlLength,
+        circuitBreaker,
+        retryPolicy
+      }),
       setResponseHeaders: reply =>
         opts.setResponseHeaders ? opts.setResponseHeaders(reply) : null,
       close,
+      // returns the current definitions of the service without updating them,
+      // the gateway commits them once the new composition is accepted
       async refresh () {
         // if this is using a supplied schema refresh is done manually with setSchema
         if (opts.schema) {
           return serviceConfig
         }
 
-        const { schema, schemaDefinition, typeMap, types, extensionTypeMap } =
-          await serviceConfig.init()
-
-        serviceConfig.schema = schema
-        serviceConfig.schemaDefinition = schemaDefinition
-        serviceConfig.typeMap = typeMap
-        serviceConfig.types = types
-        serviceConfig.extensionTypeMap = extensionTypeMap
-
-        return serviceConfig
+        return serviceConfig.init()
       },
       async reconnectSubscription () {
         if (serviceConfig.client) {
@@ -177,9 +239,8 @@ async function buildServiceMap (serviceMap, services, errorHandler, log) {
           opts.schema ||
           (await getRemoteSchemaDefinition(serviceConfig, initHeaders))
 
-        const { typeMap, types, extensionTypeMap } =
-          createTypeMap(schemaDefinition)
-        const schema = safeBuildSchema(schemaDefinition)
+        const { schema, typeMap, types, extensionTypeMap } =
+          buildServiceSchema(service.name, schemaDefinition)
 
         return {
           schema,
@@ -194,9 +255,8 @@ async function buildServiceMap (serviceMap, services, errorHandler, log) {
           return serviceConfig
         }
 
-        const { typeMap, types, extensionTypeMap } =
-          createTypeMap(schemaDefinition)
-        const schema = safeBuildSchema(schemaDefinition)
+        const { schema, typeMap, types, extensionTypeMap } =
+          buildServiceSchema(service.name, schemaDefinition)
 
         serviceConfig.schema = schema
         serviceConfig.schemaDefinition = schemaDefinition
@@ -254,6 +314,7 @@ async function buildServiceMap (serviceMap, services, errorHandler, log) {
 
     serviceMap[service.name].name = service.name
     serviceMap[service.name].allowBatchedQueries = service.allowBatchedQueries
+    serviceMap[service.name].maxEntitiesPerRequest = service.maxEntitiesPerRequest
     serviceMap[service.name].collectors = service.collectors
   }
 
@@ -262,4 +323,7 @@ async function buildServiceMap (serviceMap, services, errorHandler, log) {
   return serviceMap
 }
 
-module.exports = buildServiceMap
+module.exports = {
+  buildServiceMap,
+  composeServiceMap
+}
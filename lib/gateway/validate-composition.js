@@ -0,0 +1,188 @@
+'use strict'
+
+const { parseFieldSet } = require('./make-resolver')
+const { findValueTypeMismatches } = require('./find-value-types')
+
+const rootTypes = ['Query', 'Mutation', 'Subscription']
+
+function isEntity (type) {
+  return [type.astNode, ...(type.extensionASTNodes || [])].some(
+    node => node && node.directives &&
+      node.directives.some(directive => directive.name.value === 'key')
+  )
+}
+
+// the top level fields of the `@requires` field set of a field
+function getRequiredFieldNames (field) {
+  const directive = field.astNode &&
+    field.astNode.directives.find(directive => directive.name.value === 'requires')
+
+  if (!directive) {
+    return []
+  }
+
+  return parseFieldSet(directive).map(selection => selection.name.value)
+}
+
+function collectDefinitions (serviceMap) {
+  const definitions = {}
+
+  for (const [service, serviceDefinition] of Object.entries(serviceMap)) {
+    for (const typeName of Object.keys(serviceDefinition.typeMap)) {
+      const type = serviceDefinition.schema.getType(typeName)
+      if (!type) {
+        continue
+      }
+
+      if (!definitions[typeName]) {
+        definitions[typeName] = { owners: [], extensions: [], types: {} }
+      }
+
+      const definition = definitions[typeName]
+      if (serviceDefinition.types.has(typeName)) {
+        definition.owners.push(service)
+      } else {
+        definition.extensions.push(service)
+      }
+      definition.types[service] = type
+    }
+  }
+
+  return definitions
+}
+
+function validateOwner (errors, typeName, { owners, extensions, types }) {
+  if (owners.length > 0 || rootTypes.includes(typeName)) {
+    return
+  }
+
+  if (extensions.some(service => isEntity(types[service]))) {
+    errors.push({
+      code: 'ENTITY_WITHOUT_OWNER',
+      message: `Entity "${typeName}" is extended by ${extensions.join(', ')} but no service defines it`,
+      type: typeName,
+      services: extensions
+    })
+  } else {
+    errors.push({
+      code: 'ORPHAN_EXTENSION',
+      message: `Type "${typeName}" is extended by ${extensions.join(', ')} but no service defines it`,
+      type: typeName,
+      services: extensions
+    })
+  }
+}
+
+function validateRequiredFields (errors, typeName, { owners, extensions, types }, serviceMap) {
+  if (owners.length === 0) {
+    return
+  }
+
+  for (const service of extensions) {
+    if (!types[service].getFields) {
+      continue
+    }
+
+    for (const field of Object.values(types[service].getFields())) {
+      const missingFields = getRequiredFieldNames(field).filter(
+        fieldName => !owners.some(owner => serviceMap[owner].typeMap[typeName].has(fieldName))
+      )
+
+      if (missingFields.length > 0) {
+        errors.push({
+          code: 'MISSING_REQUIRED_FIELD',
+          message: `Field "${typeName}.${field.name}" of ${service} requires ${missingFields.join(', ')}, not defined by ${owners.join(', ')}`,
+          type: typeName,
+          field: field.name,
+          services: [service, ...owners]
+        })
+      }
+    }
+  }
+}
+
+function validateFieldTypes (errors, typeName, { types }) {
+  const fieldTypes = {}
+
+  for (const [service, type] of Object.entries(types)) {
+    if (!type.getFields) {
+      continue
+    }
+
+    for (const field of Object.values(type.getFields())) {
+      if (!fieldTypes[field.name]) {
+        fieldTypes[field.name] = {}
+      }
+      fieldTypes[field.name][service] = String(field.type)
+    }
+  }
+
+  for (const [fieldName, definitions] of Object.entries(fieldTypes)) {
+    if (new Set(Object.values(definitions)).size > 1) {
+      const printed = Object.entries(definitions)
+        .map(([service, definition]) => `${service}: ${definition}`)
+
+      errors.push({
+        code: 'FIELD_TYPE_CONFLICT',
+        message: `Field "${typeName}.${fieldName}" has conflicting types (${printed.join(', ')})`,
+        type: typeName,
+        field: fieldName,
+        services: Object.keys(definitions),
+        definitions
+      })
+    }
+  }
+}
+
+function validateValueTypes (errors, serviceMap) {
+  const mismatchedTypes = new Set()
+
+  for (const { type, services, ...location } of findValueTypeMismatches(serviceMap)) {
+    const coordinate = location.argument
+      ? `${type}.${location.field}(${location.argument})`
+      : `${type}.${location.field || location.value}`
+    const printed = Object.entries(services)
+      .map(([service, definition]) => `${service}: ${definition === null ? 'missing' : definition}`)
+
+    errors.push({
+      code: 'VALUE_TYPE_MISMATCH',
+      message: `Value type "${coordinate}" is defined differently (${printed.join(', ')})`,
+      type,
+      ...location,
+      services: Object.keys(services),
+      definitions: services
+    })
+    mismatchedTypes.add(type)
+  }
+
+  return mismatchedTypes
+}
+
+/**
+ * Validates the composition of the service schemas before the gateway schema is built,
+ * collecting all the problems in a report instead of stopping at the first one:
+ *
+ * - `ENTITY_WITHOUT_OWNER`: an entity is only extended, no service resolves it
+ * - `ORPHAN_EXTENSION`: a type which is not an entity is only extended
+ * - `MISSING_REQUIRED_FIELD`: a `@requires` field set selects fields the owner does not define
+ * - `FIELD_TYPE_CONFLICT`: the services define the same field with different types
+ * - `VALUE_TYPE_MISMATCH`: the services define a value type differently, a missing
+ *   field, argument or enum value has a `null` definition
+ */
+function validateComposition (serviceMap) {
+  const errors = []
+  // the fields of the value types are already compared
+  const mismatchedTypes = validateValueTypes(errors, serviceMap)
+
+  for (const [typeName, definition] of Object.entries(collectDefinitions(serviceMap))) {
+    validateOwner(errors, typeName, definition)
+    validateRequiredFields(errors, typeName, definition, serviceMap)
+    if (!mismatchedTypes.has(typeName)) {
+      validateFieldTypes(errors, typeName, definition)
+    }
+  }
+
+  return { valid: errors.length === 0, errors }
+}
+
+module.exports = validateComposition
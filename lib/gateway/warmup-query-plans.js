@@ -0,0 +1,156 @@
+'use strict'
+
+const { Kind, parse, validate, getNamedType } = require('graphql')
+const buildQueryPlan = require('./query-plan')
+const { getQueryPlanCacheKey } = require('./execute-query-plan')
+const { kPrepareOperation } = require('./make-resolver')
+const { hashQuery } = require('../util')
+
+function getOperationName (document) {
+  const operation = document.definitions.find(
+    definition => definition.kind === Kind.OPERATION_DEFINITION && definition.name
+  )
+  return operation ? operation.name.value : null
+}
+
+// the root fields of the operation, through its fragments, by response key
+function collectRootFields (selections, fragments, fields = new Map()) {
+  for (const selection of selections) {
+    if (selection.kind === Kind.FIELD) {
+      const responseKey = selection.alias ? selection.alias.value : selection.name.value
+      if (!fields.has(responseKey)) {
+        fields.set(responseKey, selection)
+      }
+    } else {
+      const fragment = selection.kind === Kind.FRAGMENT_SPREAD
+        ? fragments[selection.name.value]
+        : selection
+      if (fragment) {
+        collectRootFields(fragment.selectionSet.selections, fragments, fields)
+      }
+    }
+  }
+
+  return fields
+}
+
+// caches the operations the resolvers of the root fields send to the services,
+// the nested fields are resolved from the results and still prepared during the execution
+function warmupRootResolvers ({ schema, operation, fragments, queryKey }) {
+  const parentType = operation.operation === 'mutation'
+    ? schema.getMutationType()
+    : schema.getQueryType()
+
+  for (const [responseKey, fieldNode] of collectRootFields(operation.selectionSet.selections, fragments)) {
+    const field = parentType.getFields()[fieldNode.name.value]
+    const prepareOperation = field && field.resolve && field.resolve[kPrepareOperation]
+    if (!prepareOperation) {
+      continue
+    }
+
+    const returnType = getNamedType(field.type)
+    prepareOperation({
+      cacheKey: `${queryKey}_${responseKey}.${returnType.toString()}`,
+      fieldNode,
+      returnType,
+      parentType,
+      fieldName: field.name,
+      originalOperation: operation,
+      fragments,
+      schema
+    })
+  }
+}
+
+/**
+ * Validates the known operations against the gateway schema and caches what
+ * their first requests would otherwise build: with the query planner their plans,
+ * without it the operations sent by the resolvers of their root fields.
+ * They are cached under the key of the requests sending the same document.
+ *
+ * @param {Object} params
+ * @param {Array<string>} params.operations The documents of the known operations
+ * @param {import('graphql').GraphQLSchema} params.schema The gateway schema
+ * @param {Object} params.lruGatewayResolvers The gateway cache, `null` when disabled
+ * @param {boolean} params.queryPlanner
+ * @returns {Object} The report of the warmup, with the operations that fail
+ * as `errors`, each one with its `operationName` and `message`
+ */
+function warmupQueryPlans ({
+  operations,
+  schema,
+  lruGatewayResolvers,
+  queryPlanner,
+  serviceMap,
+  typeToServiceMap,
+  typeFieldsToService
+}) {
+  const errors = []
+
+  for (const query of operations) {
+    let document
+    try {
+      document = parse(query)
+    } catch (error) {
+      errors.push({ operationName: null, message: error.message })
+      continue
+    }
+
+    const validationErrors = validate(schema, document)
+    if (validationErrors.length > 0) {
+      const operationName = getOperationName(document)
+      for (const error of validationErrors) {
+        errors.push({ operationName, message: error.message })
+      }
+      continue
+    }
+
+    if (lruGatewayResolvers == null) {
+      continue
+    }
+
+    const fragments = {}
+    for (const definition of document.definitions) {
+      if (definition.kind === Kind.FRAGMENT_DEFINITION) {
+        fragments[definition.name.value] = definition
+      }
+    }
+
+    const queryKey = hashQuery(query)
+    for (const operation of document.definitions) {
+      // subscriptions are not run by the query planner
+      if (
+        operation.kind !== Kind.OPERATION_DEFINITION ||
+        operation.operation === 'subscription'
+      ) {
+        continue
+      }
+
+      try {
+        if (!queryPlanner) {
+          warmupRootResolvers({ schema, operation, fragments, queryKey })
+          continue
+        }
+
+        const plan = buildQueryPlan({
+          schema,
+          operation,
+          fragments,
+          serviceMap,
+          typeToServiceMap,
+          typeFieldsToService
+        })
+        lruGatewayResolvers.set(getQueryPlanCacheKey(queryKey, operation), { plan })
+      } catch (error) {
+        errors.push({
+          operationName: operation.name ? operation.name.value : null,
+          message: error.message
+        })
+      }
+    }
+  }
+
+  return { valid: errors.length === 0, errors }
+}
+
+module.exports = warmupQueryPlans
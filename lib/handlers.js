@@ -21,6 +21,18 @@ async function onGatewayReplaceSchemaHandler (context, data) {
   )
 }
 
+function onServiceCircuitChangeHookRunner (fn, data) {
+  return fn(data.instance, data.service, data.state)
+}
+
+async function onServiceCircuitChangeHandler (context, data) {
+  await hooksRunner(
+    context.onServiceCircuitChange,
+    onServiceCircuitChangeHookRunner,
+    data
+  )
+}
+
 async function preGatewayExecutionHooksRunner (functions, request) {
   let errors = []
   let modifiedDocument
@@ -73,6 +85,7 @@ async function preGatewaySubscriptionExecutionHandler (request) {
 
 module.exports = {
   onGatewayReplaceSchemaHandler,
+  onServiceCircuitChangeHandler,
   preGatewayExecutionHandler,
   preGatewaySubscriptionExecutionHandler
 }
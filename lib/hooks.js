@@ -1,7 +1,8 @@
 'use strict'
 
 const applicationHooks = [
-  'onGatewayReplaceSchema'
+  'onGatewayReplaceSchema',
+  'onServiceCircuitChange'
 ]
 const lifecycleHooks = [
   'preGatewayExecution',
@@ -16,6 +17,7 @@ function Hooks () {
   this.preGatewayExecution = []
   this.preGatewaySubscriptionExecution = []
   this.onGatewayReplaceSchema = []
+  this.onServiceCircuitChange = []
 }
 
 Hooks.prototype.validate = function (hook, fn) {
@@ -33,9 +35,11 @@ Hooks.prototype.add = function (hook, fn) {
 
 function assignApplicationLifecycleHooksToContext (context, hooks) {
   const contextHooks = {
-    onGatewayReplaceSchema: null
+    onGatewayReplaceSchema: null,
+    onServiceCircuitChange: null
   }
   if (hooks.onGatewayReplaceSchema.length > 0) contextHooks.onGatewayReplaceSchema = hooks.onGatewayReplaceSchema.slice()
+  if (hooks.onServiceCircuitChange.length > 0) contextHooks.onServiceCircuitChange = hooks.onServiceCircuitChange.slice()
   return Object.assign(context, contextHooks)
 }
 
@@ -4,7 +4,8 @@ const fp = require('fastify-plugin')
 const GQL = require('mercurius')
 
 const { createGateway } = require('./gateway')
-const { defaultErrorFormatter, FederatedError } = require('./errors')
+const { buildPersistedQueryProvider } = require('./gateway/persisted-queries')
+const { defaultErrorFormatter, FederatedError, MER_ERR_INVALID_OPTS } = require('./errors')
 
 const plugin = fp(async (fastify, opts) => {
   const gateway = opts.gateway
@@ -12,12 +13,20 @@ const plugin = fp(async (fastify, opts) => {
 
   const errorFormatter = typeof opts.errorFormatter === 'function' ? opts.errorFormatter : defaultErrorFormatter
 
+  const persistedQueryProvider = gateway && buildPersistedQueryProvider(gateway.persistedQueries, fastify.log)
+  if (persistedQueryProvider && (opts.persistedQueryProvider || opts.persistedQueries)) {
+    throw new MER_ERR_INVALID_OPTS(
+      'gateway: the "persistedQueries" cannot be used with the "persistedQueries" or "persistedQueryProvider" options of mercurius'
+    )
+  }
+
   await fastify.register(GQL, {
     schema: ' type Query { hello: String }',
     ...opts,
+    ...(persistedQueryProvider && { persistedQueryProvider }),
     errorFormatter
   })
-  await createGateway(gateway, fastify)
+  await createGateway(gateway, fastify, opts.path)
 })
 
 plugin.FederatedError = FederatedError
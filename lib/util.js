@@ -1,5 +1,6 @@
 'use strict'
 
+const { createHash } = require('crypto')
 const { lru } = require('tiny-lru')
 const { MER_ERR_INVALID_OPTS } = require('./errors')
 
@@ -26,28 +27,218 @@ function hasExtensionDirective (node) {
   }
 }
 
+// JSON with sorted object keys, equal values always give the same string
+function stableStringify (value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`
+  }
+  if (value !== null && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key =>
+      `${JSON.stringify(key)}:${stableStringify(value[key])}`
+    ).join(',')}}`
+  }
+  return JSON.stringify(value)
+}
+
+// approximate size in memory of a value, in bytes.
+// The `loc` of the AST nodes is skipped: it references the tokens and the source
+// of the whole document, shared by all the nodes of the document
+function sizeOf (value, seen = new WeakSet()) {
+  if (typeof value === 'string') {
+    return Buffer.byteLength(value)
+  }
+  if (value === null || typeof value !== 'object') {
+    return 8
+  }
+  if (seen.has(value)) {
+    return 0
+  }
+  seen.add(value)
+
+  let size = 0
+  if (value instanceof Set || Array.isArray(value)) {
+    for (const item of value) {
+      size += sizeOf(item, seen)
+    }
+    return size
+  }
+
+  for (const [key, item] of Object.entries(value)) {
+    if (key !== 'loc') {
+      size += Buffer.byteLength(key) + sizeOf(item, seen)
+    }
+  }
+
+  return size
+}
+
+/**
+ * An LRU cache which keeps the size in bytes of its entries under `maxBytes`,
+ * and their number under `max` if set
+ */
+function byteLimitedLru (maxBytes, max = 0) {
+  const entries = new Map()
+  let bytes = 0
+
+  function remove (key) {
+    bytes -= entries.get(key).size
+    entries.delete(key)
+  }
+
+  return {
+    max,
+    maxBytes,
+    get bytes () {
+      return bytes
+    },
+    get size () {
+      return entries.size
+    },
+    get (key) {
+      const entry = entries.get(key)
+      if (entry === undefined) {
+        return undefined
+      }
+      // move the entry to the most recently used
+      entries.delete(key)
+      entries.set(key, entry)
+      return entry.value
+    },
+    set (key, value) {
+      if (entries.has(key)) {
+        remove(key)
+      }
+
+      const size = Buffer.byteLength(key) + sizeOf(value)
+      if (size > maxBytes) {
+        return
+      }
+
+      entries.set(key, { value, size })
+      bytes += size
+      for (const oldest of entries.keys()) {
+        if (bytes <= maxBytes && (max === 0 || entries.size <= max)) {
+          break
+        }
+        remove(oldest)
+      }
+    },
+    clear () {
+      entries.clear()
+      bytes = 0
+    }
+  }
+}
+
+function isCacheStore (cache) {
+  return ['get', 'set', 'clear'].every(method => typeof cache[method] === 'function')
+}
+
+// counts the hits and misses of the cache
+function withStats (cache) {
+  let hits = 0
+  let misses = 0
+
+  return {
+    max: cache.max,
+    get (key) {
+      const value = cache.get(key)
+      if (value === undefined) {
+        misses++
+      } else {
+        hits++
+      }
+      return value
+    },
+    set (key, value) {
+      cache.set(key, value)
+    },
+    clear () {
+      cache.clear()
+    },
+    stats () {
+      return { hits, misses }
+    }
+  }
+}
+
+/**
+ * Builds the cache of the gateway resolvers and query plans from the `cache` option:
+ * - `false` to disable it
+ * - the maximum number of entries
+ * - `{ max, maxBytes }` to limit the number of entries and their size in bytes
+ * - a store with the `get(key)`, `set(key, value)` and `clear()` sync methods
+ */
 function buildCache (opts) {
   if (Object.prototype.hasOwnProperty.call(opts, 'cache')) {
     const isBoolean = typeof opts.cache === 'boolean'
     const isNumber = typeof opts.cache === 'number'
+    const isObject = opts.cache !== null && typeof opts.cache === 'object'
 
     if (isBoolean && opts.cache === false) {
       // no cache
       return null
     } else if (isNumber) {
       // cache size as specified
-      return lru(opts.cache)
-    } else if (!isBoolean && !isNumber) {
+      return withStats(lru(opts.cache))
+    } else if (isObject && isCacheStore(opts.cache)) {
+      return withStats(opts.cache)
+    } else if (isObject && opts.cache.maxBytes !== undefined) {
+      return withStats(byteLimitedLru(opts.cache.maxBytes, opts.cache.max))
+    } else if (isObject && opts.cache.max !== undefined) {
+      return withStats(lru(opts.cache.max))
+    } else if (!isBoolean) {
       throw new MER_ERR_INVALID_OPTS('Cache type is not supported')
     }
   }
 
   // default cache, 1024 entries
-  return lru(1024)
+  return withStats(lru(1024))
+}
+
+const kQueryKey = Symbol('mercurius.gateway.query-key')
+
+/**
+ * Returns the key of a query in the gateway cache,
+ * the hash of the query so that large queries take little memory.
+ * It is the hash of the automatic persisted queries.
+ */
+function hashQuery (query) {
+  return createHash('sha256').update(query).digest('hex')
+}
+
+/**
+ * Returns the key of the current query of the context in the gateway cache
+ */
+function getQueryKey (context) {
+  const query = context.__currentQuery
+  if (query === undefined) {
+    return undefined
+  }
+
+  if (context[kQueryKey] === undefined || context[kQueryKey].query !== query) {
+    context[kQueryKey] = {
+      query,
+      key: hashQuery(query)
+    }
+  }
+
+  return context[kQueryKey].key
+}
+
+/**
+ * Sets the key of the current query of the context when its hash is known
+ */
+function setQueryKey (context, key) {
+  context[kQueryKey] = { query: context.__currentQuery, key }
 }
 
 module.exports = {
   hasDirective,
   hasExtensionDirective,
-  buildCache
+  stableStringify,
+  buildCache,
+  hashQuery,
+  getQueryKey,
+  setQueryKey
 }
@@ -0,0 +1,235 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const GQL = require('mercurius')
+const plugin = require('../index')
+const { buildFederationSchema } = require('@mercuriusjs/federation')
+
+const books = {
+  b1: { id: 'b1', title: 'Dune' },
+  b2: { id: 'b2', title: 'Solaris' }
+}
+
+const movies = {
+  m1: { id: 'm1', director: 'Denis Villeneuve' }
+}
+
+const results = [
+  { __typename: 'Book', id: 'b1' },
+  { __typename: 'Movie', id: 'm1' },
+  { __typename: 'Book', id: 'b2' }
+]
+
+async function createTestService (schema, resolvers, onRequest) {
+  const service = Fastify()
+  service.addHook('preHandler', async request => onRequest(request.body))
+  service.register(GQL, {
+    schema: buildFederationSchema(schema),
+    resolvers
+  })
+  await service.listen({ port: 0 })
+  return [service, service.server.address().port]
+}
+
+async function createTestGatewayServer (t, queryPlanner) {
+  const requests = { book: [], movie: [] }
+
+  const [bookService, bookServicePort] = await createTestService(`
+    type Book @key(fields: "id") {
+      id: ID!
+      title: String
+    }
+  `, {
+    Book: {
+      __resolveReference: book => books[book.id]
+    }
+  }, body => { requests.book.push(body) })
+
+  const [movieService, movieServicePort] = await createTestService(`
+    type Movie @key(fields: "id") {
+      id: ID!
+      director: String
+    }
+  `, {
+    Movie: {
+      __resolveReference: movie => movies[movie.id]
+    }
+  }, body => { requests.movie.push(body) })
+
+  const [searchService, searchServicePort] = await createTestService(`
+    extend type Query {
+      search: [SearchResult]
+      first: SearchResult
+      media: [Media]
+    }
+
+    interface Media {
+      id: ID!
+    }
+
+    union SearchResult = Book | Movie
+
+    extend type Book implements Media @key(fields: "id") {
+      id: ID! @external
+    }
+
+    extend type Movie implements Media @key(fields: "id") {
+      id: ID! @external
+    }
+  `, {
+    Query: {
+      search: () => results,
+      first: () => results[1],
+      media: () => results
+    }
+  }, () => {})
+
+  const gateway = Fastify()
+  t.teardown(async () => {
+    await gateway.close()
+    await bookService.close()
+    await movieService.close()
+    await searchService.close()
+  })
+
+  await gateway.register(plugin, {
+    gateway: {
+      queryPlanner,
+      services: [
+        {
+          name: 'book',
+          url: `http://localhost:${bookServicePort}/graphql`
+        },
+        {
+          name: 'movie',
+          url: `http://localhost:${movieServicePort}/graphql`
+        },
+        {
+          name: 'search',
+          url: `http://localhost:${searchServicePort}/graphql`
+        }
+      ]
+    }
+  })
+
+  // ignore the requests sent to initialize the gateway
+  requests.book.length = 0
+  requests.movie.length = 0
+
+  return { gateway, requests }
+}
+
+function gatewayRequest (gateway, query) {
+  return gateway.inject({
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    url: '/graphql',
+    body: JSON.stringify({ query })
+  })
+}
+
+for (const queryPlanner of [false, true]) {
+  const mode = queryPlanner ? 'with the query planner' : 'with the field resolvers'
+
+  test(`gateway resolves the union members from the services owning them ${mode}`, async t => {
+    const { gateway, requests } = await createTestGatewayServer(t, queryPlanner)
+
+    const res = await gatewayRequest(gateway, `
+      query {
+        search {
+          __typename
+          ... on Book {
+            title
+          }
+          ... on Movie {
+            director
+          }
+        }
+        first {
+          ... on Book {
+            title
+          }
+          ... on Movie {
+            director
+          }
+        }
+      }
+    `)
+
+    t.same(JSON.parse(res.body), {
+      data: {
+        search: [
+          { __typename: 'Book', title: 'Dune' },
+          { __typename: 'Movie', director: 'Denis Villeneuve' },
+          { __typename: 'Book', title: 'Solaris' }
+        ],
+        first: { director: 'Denis Villeneuve' }
+      }
+    })
+    t.same(
+      requests.book.flatMap(body => body.variables.representations),
+      [{ __typename: 'Book', id: 'b1' }, { __typename: 'Book', id: 'b2' }]
+    )
+    // the root fields are fetched together with the field resolvers,
+    // so the movie of both fields is fetched once
+    t.same(
+      requests.movie.flatMap(body => body.variables.representations),
+      queryPlanner
+        ? [{ __typename: 'Movie', id: 'm1' }, { __typename: 'Movie', id: 'm1' }]
+        : [{ __typename: 'Movie', id: 'm1' }]
+    )
+  })
+
+  test(`gateway resolves the interface implementations from the services owning them ${mode}`, async t => {
+    const { gateway, requests } = await createTestGatewayServer(t, queryPlanner)
+
+    const res = await gatewayRequest(gateway, `
+      query {
+        media {
+          id
+          ...BookFields
+          ... on Movie {
+            director
+          }
+        }
+      }
+
+      fragment BookFields on Book {
+        title
+      }
+    `)
+
+    t.same(JSON.parse(res.body), {
+      data: {
+        media: [
+          { id: 'b1', title: 'Dune' },
+          { id: 'm1', director: 'Denis Villeneuve' },
+          { id: 'b2', title: 'Solaris' }
+        ]
+      }
+    })
+    t.equal(requests.book.length, 1)
+    t.equal(requests.movie.length, 1)
+  })
+
+  test(`gateway does not fetch the union members selecting only the key ${mode}`, async t => {
+    const { gateway, requests } = await createTestGatewayServer(t, queryPlanner)
+
+    const res = await gatewayRequest(gateway, `
+      query {
+        media {
+          id
+        }
+      }
+    `)
+
+    t.same(JSON.parse(res.body), {
+      data: {
+        media: [{ id: 'b1' }, { id: 'm1' }, { id: 'b2' }]
+      }
+    })
+    t.equal(requests.book.length, 0)
+    t.equal(requests.movie.length, 0)
+  })
+}
@@ -0,0 +1,212 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const GQL = require('mercurius')
+const plugin = require('../index')
+const { buildFederationSchema } = require('@mercuriusjs/federation')
+
+async function createTestService (t, schema, resolvers, cacheControl) {
+  const service = Fastify()
+  if (cacheControl) {
+    service.addHook('onSend', async (request, reply) => {
+      reply.header('cache-control', cacheControl)
+    })
+  }
+  service.register(GQL, {
+    schema: buildFederationSchema(schema),
+    resolvers
+  })
+  await service.listen({ port: 0 })
+  t.teardown(() => service.close())
+  return service.server.address().port
+}
+
+async function createTestGatewayServer (t, { userCacheControl, postCacheControl, postResponseHeaders, ...gatewayOpts }) {
+  const userServicePort = await createTestService(t, `
+    extend type Query {
+      me: User
+    }
+
+    type User @key(fields: "id") {
+      id: ID!
+      name: String
+    }
+  `, {
+    Query: {
+      me: () => ({ id: 'u1', name: 'John' })
+    }
+  }, userCacheControl)
+
+  const postServicePort = await createTestService(t, `
+    extend type Query {
+      topPosts: [Post]
+      failingPosts: [Post]
+    }
+
+    extend type Mutation {
+      addPost(title: String): Post
+    }
+
+    type Post @key(fields: "pid") {
+      pid: ID!
+      title: String
+    }
+  `, {
+    Query: {
+      topPosts: () => [{ pid: 'p1', title: 'Post 1' }],
+      failingPosts: () => { throw new Error('failing posts') }
+    },
+    Mutation: {
+      addPost: (root, { title }) => ({ pid: 'p2', title })
+    }
+  }, postCacheControl)
+
+  const gateway = Fastify()
+  t.teardown(() => gateway.close())
+
+  await gateway.register(plugin, {
+    gateway: {
+      services: [
+        {
+          name: 'user',
+          url: `http://localhost:${userServicePort}/graphql`
+        },
+        {
+          name: 'post',
+          url: `http://localhost:${postServicePort}/graphql`,
+          setResponseHeaders: postResponseHeaders
+        }
+      ],
+      ...gatewayOpts
+    }
+  })
+
+  return gateway
+}
+
+async function getCacheControl (gateway, query, headers = {}) {
+  const res = await gateway.inject({
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...headers },
+    url: '/graphql',
+    body: JSON.stringify({ query })
+  })
+
+  return res.headers['cache-control']
+}
+
+test('gateway sets the minimum max-age of the services', async t => {
+  const gateway = await createTestGatewayServer(t, {
+    userCacheControl: 'public, max-age=60',
+    postCacheControl: 'max-age=30'
+  })
+
+  t.equal(await getCacheControl(gateway, '{ me { name } topPosts { title } }'), 'public, max-age=30')
+  t.equal(await getCacheControl(gateway, '{ me { name } }'), 'public, max-age=60')
+})
+
+test('gateway sets the minimum s-maxage of the services', async t => {
+  const gateway = await createTestGatewayServer(t, {
+    userCacheControl: 'public, max-age=60, s-maxage=300',
+    postCacheControl: 'max-age=30'
+  })
+
+  t.equal(
+    await getCacheControl(gateway, '{ me { name } topPosts { title } }'),
+    'public, max-age=30, s-maxage=30'
+  )
+  t.equal(await getCacheControl(gateway, '{ me { name } }'), 'public, max-age=60, s-maxage=300')
+})
+
+test('gateway sets a private Cache-Control when any service response is private', async t => {
+  const gateway = await createTestGatewayServer(t, {
+    userCacheControl: 'private, max-age=10',
+    postCacheControl: 'public, max-age=30'
+  })
+
+  t.equal(await getCacheControl(gateway, '{ me { name } topPosts { title } }'), 'private, max-age=10')
+})
+
+test('gateway sets no-store when any service response has no max-age', async t => {
+  const gateway = await createTestGatewayServer(t, {
+    postCacheControl: 'public, max-age=30'
+  })
+
+  t.equal(await getCacheControl(gateway, '{ me { name } topPosts { title } }'), 'no-store')
+})
+
+test('gateway does not set Cache-Control when no service response has one', async t => {
+  const gateway = await createTestGatewayServer(t, {})
+
+  t.equal(await getCacheControl(gateway, '{ me { name } topPosts { title } }'), undefined)
+})
+
+test('gateway sets a private Cache-Control on the responses to authorized requests', async t => {
+  const gateway = await createTestGatewayServer(t, {
+    userCacheControl: 'public, max-age=60, s-maxage=120',
+    postCacheControl: 'public, max-age=30'
+  })
+
+  t.equal(
+    await getCacheControl(gateway, '{ me { name } topPosts { title } }', { authorization: 'Bearer token' }),
+    'private, max-age=30'
+  )
+})
+
+test('gateway does not set Cache-Control on the mutations', async t => {
+  const gateway = await createTestGatewayServer(t, {
+    postCacheControl: 'public, max-age=30'
+  })
+
+  t.equal(await getCacheControl(gateway, 'mutation { addPost(title: "Post 2") { title } }'), undefined)
+})
+
+test('gateway sets no-store when any service response cannot be stored', async t => {
+  const gateway = await createTestGatewayServer(t, {
+    userCacheControl: 'no-store',
+    postCacheControl: 'public, max-age=30'
+  })
+
+  t.equal(await getCacheControl(gateway, '{ me { name } topPosts { title } }'), 'no-store')
+})
+
+test('gateway sets no-store on the responses with errors', async t => {
+  const gateway = await createTestGatewayServer(t, {
+    userCacheControl: 'public, max-age=60',
+    postCacheControl: 'public, max-age=30'
+  })
+
+  t.equal(await getCacheControl(gateway, '{ me { name } failingPosts { title } }'), 'no-store')
+})
+
+test('gateway keeps the Cache-Control set on the reply', async t => {
+  const gateway = await createTestGatewayServer(t, {
+    userCacheControl: 'public, max-age=60',
+    postCacheControl: 'public, max-age=30',
+    postResponseHeaders: reply => {
+      reply.header('cache-control', 'private, max-age=5')
+    }
+  })
+
+  t.equal(await getCacheControl(gateway, '{ me { name } topPosts { title } }'), 'private, max-age=5')
+})
+
+test('gateway does not set Cache-Control with the cacheControl option disabled', async t => {
+  const gateway = await createTestGatewayServer(t, {
+    userCacheControl: 'public, max-age=60',
+    cacheControl: false
+  })
+
+  t.equal(await getCacheControl(gateway, '{ me { name } }'), undefined)
+})
+
+test('gateway sets the remaining max-age on the cached responses', async t => {
+  const gateway = await createTestGatewayServer(t, {
+    userCacheControl: 'public, max-age=60',
+    responseCache: { ttl: 30 }
+  })
+
+  t.equal(await getCacheControl(gateway, '{ me { name } }'), 'public, max-age=60')
+  t.equal(await getCacheControl(gateway, '{ me { name } }'), 'public, max-age=30')
+})
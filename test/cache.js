@@ -34,3 +34,148 @@ test('buildCache: with an integer', async t => {
     t.same(error.message, 'Invalid options: Cache type is not supported')
   }
 })
+
+test('buildCache: with a limit in bytes', async t => {
+  const cache = buildCache({ cache: { maxBytes: 100 } })
+
+  cache.set('a', { query: 'x'.repeat(40) })
+  cache.set('b', { query: 'y'.repeat(40) })
+  t.ok(cache.get('a'))
+
+  // the least recently used entry is evicted
+  cache.set('c', { query: 'z'.repeat(40) })
+  t.same(cache.get('a'), { query: 'x'.repeat(40) })
+  t.equal(cache.get('b'), undefined)
+  t.same(cache.get('c'), { query: 'z'.repeat(40) })
+
+  // an entry bigger than the limit is not cached
+  cache.set('d', { query: 'w'.repeat(200) })
+  t.equal(cache.get('d'), undefined)
+  t.ok(cache.get('a'))
+})
+
+test('buildCache: with a limit in bytes does not count the locations of the AST nodes', async t => {
+  const { parse } = require('graphql')
+  const cache = buildCache({ cache: { maxBytes: 1000 } })
+
+  // a selection of a large document keeps the location of the whole document
+  const document = parse(`{ me { id name } ${Array.from({ length: 400 }, (_, i) => `field${i}: id`).join(' ')} }`)
+  t.ok(document.loc.source.body.length > 4000)
+  const [me] = document.definitions[0].selectionSet.selections
+
+  cache.set('a', { operation: me })
+  t.equal(cache.get('a').operation, me)
+})
+
+test('buildCache: with a limit in bytes and entries', async t => {
+  const cache = buildCache({ cache: { maxBytes: 1000, max: 2 } })
+  t.equal(cache.max, 2)
+
+  cache.set('a', 1)
+  cache.set('b', 2)
+  cache.set('c', 3)
+  t.equal(cache.get('a'), undefined)
+  t.equal(cache.get('b'), 2)
+  t.equal(cache.get('c'), 3)
+})
+
+test('buildCache: with a limit in entries', async t => {
+  const cache = buildCache({ cache: { max: 10 } })
+  t.equal(cache.max, 10)
+})
+
+test('buildCache: with a custom store', async t => {
+  const values = new Map()
+  const cache = buildCache({
+    cache: {
+      get: key => values.get(key),
+      set: (key, value) => values.set(key, value),
+      clear: () => values.clear()
+    }
+  })
+
+  cache.set('a', 1)
+  t.equal(values.get('a'), 1)
+  t.equal(cache.get('a'), 1)
+  cache.clear()
+  t.equal(values.size, 0)
+})
+
+test('buildCache: counts the hits and misses', async t => {
+  const cache = buildCache({})
+
+  cache.get('a')
+  cache.set('a', 1)
+  cache.get('a')
+  cache.get('a')
+  t.same(cache.stats(), { hits: 2, misses: 1 })
+})
+
+test('buildCache: with an object without a store or limits', async t => {
+  t.throws(
+    () => buildCache({ cache: { size: 10 } }),
+    { message: 'Invalid options: Cache type is not supported' }
+  )
+})
+
+test('gateway stores the operations under the hash of the query', async t => {
+  const Fastify = require('fastify')
+  const GQL = require('mercurius')
+  const plugin = require('../index')
+  const { buildFederationSchema } = require('@mercuriusjs/federation')
+
+  const userService = Fastify()
+  userService.register(GQL, {
+    schema: buildFederationSchema(`
+      extend type Query {
+        me: User
+      }
+
+      type User @key(fields: "id") {
+        id: ID!
+        name: String
+      }
+    `),
+    resolvers: {
+      Query: {
+        me: () => ({ id: 'u1', name: 'John' })
+      }
+    }
+  })
+  await userService.listen({ port: 0 })
+
+  const values = new Map()
+  const gateway = Fastify()
+  t.teardown(async () => {
+    await gateway.close()
+    await userService.close()
+  })
+
+  await gateway.register(plugin, {
+    gateway: {
+      services: [{
+        name: 'user',
+        url: `http://localhost:${userService.server.address().port}/graphql`
+      }],
+      cache: {
+        get: key => values.get(key),
+        set: (key, value) => values.set(key, value),
+        clear: () => values.clear()
+      }
+    }
+  })
+
+  const query = '{ me { id name } }'
+  for (let i = 0; i < 2; i++) {
+    const res = await gateway.inject({
+      method: 'POST',
+      url: '/graphql',
+      body: { query }
+    })
+    t.same(res.json(), { data: { me: { id: 'u1', name: 'John' } } })
+  }
+
+  t.equal(values.size, 1)
+  t.notOk([...values.keys()][0].includes(query))
+  t.same(gateway.graphqlGateway.cacheStats(), { hits: 1, misses: 1 })
+})
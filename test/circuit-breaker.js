@@ -0,0 +1,200 @@
+'use strict'
+
+const { test } = require('tap')
+const { promisify } = require('util')
+const Fastify = require('fastify')
+const GQL = require('mercurius')
+const plugin = require('../index')
+const { buildFederationSchema } = require('@mercuriusjs/federation')
+const createCircuitBreaker = require('../lib/gateway/circuit-breaker')
+const { FederatedError } = require('../lib/errors')
+
+const sleep = promisify(setTimeout)
+
+const fail = async () => { throw new Error('down') }
+const succeed = async () => 'ok'
+
+test('circuit breaker opens after the threshold of consecutive failures', async t => {
+  const states = []
+  const breaker = createCircuitBreaker({
+    name: 'user',
+    threshold: 2,
+    resetTimeout: 100,
+    onStateChange: state => states.push(state)
+  })
+
+  await t.rejects(breaker.run(fail), { message: 'down' })
+  t.equal(breaker.state, 'closed')
+  t.equal(await breaker.run(succeed), 'ok')
+
+  await t.rejects(breaker.run(fail), { message: 'down' })
+  await t.rejects(breaker.run(fail), { message: 'down' })
+  t.equal(breaker.state, 'open')
+
+  let called = false
+  try {
+    await breaker.run(async () => { called = true })
+    t.fail('it must throw')
+  } catch (err) {
+    t.notOk(called)
+    t.type(err, FederatedError)
+    t.same(err.extensions.errors.map(error => ({ message: error.message, extensions: error.extensions })), [{
+      message: 'Service "user" is unavailable, its circuit breaker is open',
+      extensions: { code: 'MER_ERR_GQL_GATEWAY_SERVICE_UNAVAILABLE', service: 'user' }
+    }])
+  }
+
+  t.same(states, ['open'])
+})
+
+test('circuit breaker counts the results reported as failures', async t => {
+  const breaker = createCircuitBreaker({ name: 'user', threshold: 1 })
+
+  t.same(await breaker.run(async () => ({ statusCode: 500 }), result => result.statusCode >= 500), { statusCode: 500 })
+  t.equal(breaker.state, 'open')
+})
+
+test('circuit breaker probes the service once half-open', async t => {
+  const states = []
+  const breaker = createCircuitBreaker({
+    name: 'user',
+    threshold: 1,
+    resetTimeout: 50,
+    onStateChange: state => states.push(state)
+  })
+
+  await t.rejects(breaker.run(fail))
+  await sleep(60)
+
+  // the requests fail fast during the probe
+  const probe = breaker.run(async () => {
+    await sleep(10)
+    throw new Error('still down')
+  })
+  t.equal(breaker.state, 'half-open')
+  t.type(await breaker.run(succeed).catch(err => err), FederatedError)
+  await t.rejects(probe, { message: 'still down' })
+  t.equal(breaker.state, 'open')
+
+  await sleep(60)
+  t.equal(await breaker.run(succeed), 'ok')
+  t.equal(breaker.state, 'closed')
+
+  t.same(states, ['open', 'half-open', 'open', 'half-open', 'closed'])
+})
+
+async function createTestGatewayServer (t, circuitBreaker) {
+  const status = { down: false }
+  const service = Fastify()
+  service.register(GQL, {
+    schema: buildFederationSchema(`
+      extend type Query {
+        me: User
+      }
+
+      type User @key(fields: "id") {
+        id: ID!
+        name: String
+      }
+    `),
+    resolvers: {
+      Query: {
+        me: () => ({ id: 'u1', name: 'John' })
+      }
+    }
+  })
+  service.addHook('onRequest', async (request, reply) => {
+    if (status.down) {
+      reply.code(500).send({ data: null, errors: [{ message: 'service is down' }] })
+    }
+  })
+  await service.listen({ port: 0 })
+  t.teardown(() => service.close())
+
+  const gateway = Fastify()
+  t.teardown(() => gateway.close())
+
+  const warnings = []
+  gateway.log.warn = message => warnings.push(message)
+
+  await gateway.register(plugin, {
+    gateway: {
+      services: [{
+        name: 'user',
+        url: `http://localhost:${service.server.address().port}/graphql`,
+        circuitBreaker
+      }]
+    }
+  })
+
+  return { gateway, status, warnings }
+}
+
+function query (gateway) {
+  return gateway.inject({
+    method: 'POST',
+    url: '/graphql',
+    body: { query: '{ me { id name } }' }
+  })
+}
+
+test('gateway fails fast when the circuit breaker of a service is open', async t => {
+  const { gateway, status, warnings } = await createTestGatewayServer(t, {
+    threshold: 2,
+    resetTimeout: 100
+  })
+
+  const changes = []
+  gateway.graphqlGateway.addHook('onServiceCircuitChange', async (instance, service, state) => {
+    t.equal(instance, gateway)
+    changes.push([service.name, state])
+  })
+
+  let res = await query(gateway)
+  t.same(res.json(), { data: { me: { id: 'u1', name: 'John' } } })
+
+  status.down = true
+  for (let i = 0; i < 2; i++) {
+    res = await query(gateway)
+    t.same(res.json().errors.map(error => error.message), ['service is down'])
+  }
+
+  res = await query(gateway)
+  t.same(res.json().errors, [{
+    message: 'Service "user" is unavailable, its circuit breaker is open',
+    extensions: { code: 'MER_ERR_GQL_GATEWAY_SERVICE_UNAVAILABLE', service: 'user' }
+  }])
+  t.same(warnings, ['Circuit breaker of service "user" is open'])
+
+  status.down = false
+  await sleep(110)
+
+  res = await query(gateway)
+  t.same(res.json(), { data: { me: { id: 'u1', name: 'John' } } })
+
+  t.same(changes, [['user', 'open'], ['user', 'half-open'], ['user', 'closed']])
+})
+
+test('gateway uses the default circuit breaker options', async t => {
+  const { gateway, status } = await createTestGatewayServer(t, true)
+
+  status.down = true
+  for (let i = 0; i < 5; i++) {
+    await query(gateway)
+  }
+
+  const res = await query(gateway)
+  t.same(res.json().errors.map(error => error.extensions), [
+    { code: 'MER_ERR_GQL_GATEWAY_SERVICE_UNAVAILABLE', service: 'user' }
+  ])
+})
+
+test('gateway does not use a circuit breaker by default', async t => {
+  const { gateway, status } = await createTestGatewayServer(t)
+
+  status.down = true
+  for (let i = 0; i < 10; i++) {
+    const res = await query(gateway)
+    t.same(res.json().errors.map(error => error.message), ['service is down'])
+  }
+})
@@ -0,0 +1,165 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const GQL = require('mercurius')
+const plugin = require('../index')
+const { buildFederationSchema } = require('@mercuriusjs/federation')
+
+const users = {
+  u1: { id: 'u1', name: 'John' },
+  u2: { id: 'u2', name: 'Jane' }
+}
+
+async function createTestService (schema, resolvers, onRequest) {
+  const service = Fastify()
+  service.addHook('preHandler', async request => onRequest(request.body))
+  service.register(GQL, {
+    schema: buildFederationSchema(schema),
+    resolvers
+  })
+  await service.listen({ port: 0 })
+  return [service, service.server.address().port]
+}
+
+async function createTestGatewayServer (t, queryPlanner) {
+  const userRequests = []
+
+  const [userService, userServicePort] = await createTestService(`
+    extend type Query {
+      me: User
+      user(id: ID!): User
+      notifications: [Notification]
+      settings: Settings
+    }
+
+    type User @key(fields: "id") {
+      id: ID!
+      name: String
+    }
+
+    type Notification {
+      id: ID!
+      message: String
+    }
+
+    type Settings {
+      theme: String
+    }
+  `, {
+    Query: {
+      me: () => users.u1,
+      user: (root, { id }) => users[id],
+      notifications: () => [{ id: 'n1', message: 'Hello' }],
+      settings: () => ({ theme: 'dark' })
+    },
+    User: {
+      __resolveReference: user => users[user.id]
+    }
+  }, body => { userRequests.push(body) })
+
+  const [postService, postServicePort] = await createTestService(`
+    extend type Query {
+      topPosts: [Post]
+    }
+
+    type Post @key(fields: "pid") {
+      pid: ID!
+      title: String
+    }
+  `, {
+    Query: {
+      topPosts: () => [{ pid: 'p1', title: 'Post 1' }]
+    }
+  }, () => {})
+
+  const gateway = Fastify()
+  t.teardown(async () => {
+    await gateway.close()
+    await userService.close()
+    await postService.close()
+  })
+
+  await gateway.register(plugin, {
+    gateway: {
+      queryPlanner,
+      services: [
+        {
+          name: 'user',
+          url: `http://localhost:${userServicePort}/graphql`
+        },
+        {
+          name: 'post',
+          url: `http://localhost:${postServicePort}/graphql`
+        }
+      ]
+    }
+  })
+
+  // ignore the requests sent to initialize the gateway
+  userRequests.length = 0
+
+  return { gateway, userRequests }
+}
+
+async function runQuery (gateway, query, variables) {
+  const res = await gateway.inject({
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    url: '/graphql',
+    body: JSON.stringify({ query, variables })
+  })
+
+  return JSON.parse(res.body)
+}
+
+for (const queryPlanner of [false, true]) {
+  const mode = queryPlanner ? 'with the query planner' : 'with the field resolvers'
+
+  test(`gateway sends the root fields of the same service in one request ${mode}`, async t => {
+    const { gateway, userRequests } = await createTestGatewayServer(t, queryPlanner)
+
+    const res = await runQuery(gateway, `{
+      me { id name }
+      notifications { id message }
+      settings { theme }
+      topPosts { title }
+    }`)
+
+    t.same(res, {
+      data: {
+        me: { id: 'u1', name: 'John' },
+        notifications: [{ id: 'n1', message: 'Hello' }],
+        settings: { theme: 'dark' },
+        topPosts: [{ title: 'Post 1' }]
+      }
+    })
+    t.equal(userRequests.length, 1)
+  })
+
+  test(`gateway preserves the aliases of the coalesced root fields ${mode}`, async t => {
+    const { gateway, userRequests } = await createTestGatewayServer(t, queryPlanner)
+
+    const res = await runQuery(gateway, `
+      query ($first: ID!, $second: ID!) {
+        first: user(id: $first) { ...UserFields }
+        second: user(id: $second) { ...UserFields }
+        current: me { name }
+      }
+
+      fragment UserFields on User {
+        name
+      }
+    `, { first: 'u1', second: 'u2' })
+
+    t.same(res, {
+      data: {
+        first: { name: 'John' },
+        second: { name: 'Jane' },
+        current: { name: 'John' }
+      }
+    })
+    t.equal(userRequests.length, 1)
+    t.same(userRequests[0].variables, { first: 'u1', second: 'u2' })
+  })
+}
@@ -0,0 +1,196 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const GQL = require('mercurius')
+const plugin = require('../index')
+const { buildFederationSchema } = require('@mercuriusjs/federation')
+
+const userSchema = `
+  extend type Query {
+    me: User
+  }
+
+  type User @key(fields: "id") {
+    id: ID!
+    name: String
+  }
+`
+
+const postSchema = `
+  type Post @key(fields: "pid") {
+    pid: ID!
+    title: String
+  }
+
+  extend type User @key(fields: "id") {
+    id: ID! @external
+    posts: [Post]
+  }
+`
+
+const invalidPostSchema = `
+  type Post @key(fields: "pid") {
+    pid: ID!
+    title: String
+    rating: Int
+  }
+
+  extend type Review @key(fields: "id") {
+    id: ID! @external
+    post: Post
+  }
+
+  extend type Settings {
+    theme: String
+  }
+
+  extend type User @key(fields: "id") {
+    id: ID! @external
+    age: Int @external
+    name: String! @external
+    posts: [Post] @requires(fields: "age")
+  }
+`
+
+const expectedErrors = [
+  {
+    code: 'MISSING_REQUIRED_FIELD',
+    message: 'Field "User.posts" of post requires age, not defined by user',
+    type: 'User',
+    field: 'posts',
+    services: ['post', 'user']
+  },
+  {
+    code: 'FIELD_TYPE_CONFLICT',
+    message: 'Field "User.name" has conflicting types (user: String, post: String!)',
+    type: 'User',
+    field: 'name',
+    services: ['user', 'post'],
+    definitions: { user: 'String', post: 'String!' }
+  },
+  {
+    code: 'ENTITY_WITHOUT_OWNER',
+    message: 'Entity "Review" is extended by post but no service defines it',
+    type: 'Review',
+    services: ['post']
+  },
+  {
+    code: 'ORPHAN_EXTENSION',
+    message: 'Type "Settings" is extended by post but no service defines it',
+    type: 'Settings',
+    services: ['post']
+  }
+]
+
+const userResolvers = {
+  Query: {
+    me: () => ({ id: 'u1', name: 'John' })
+  },
+  User: {
+    __resolveReference: user => ({ id: user.id, name: 'John' })
+  }
+}
+
+async function createTestService (t, schema, resolvers = {}) {
+  const service = Fastify()
+  service.register(GQL, {
+    schema: buildFederationSchema(schema),
+    resolvers
+  })
+  await service.listen({ port: 0 })
+  t.teardown(() => service.close())
+  return [service, service.server.address().port]
+}
+
+async function createTestGatewayServer (t, postServiceSchema, opts = {}) {
+  const [, userServicePort] = await createTestService(t, userSchema, userResolvers)
+  const [postService, postServicePort] = await createTestService(t, postServiceSchema)
+
+  const warnings = []
+  const gateway = Fastify()
+  gateway.log.warn = message => warnings.push(message)
+  t.teardown(() => gateway.close())
+
+  await gateway.register(plugin, {
+    gateway: {
+      ...opts,
+      services: [
+        {
+          name: 'user',
+          url: `http://localhost:${userServicePort}/graphql`
+        },
+        {
+          name: 'post',
+          url: `http://localhost:${postServicePort}/graphql`
+        }
+      ]
+    }
+  })
+
+  return { gateway, postService, warnings }
+}
+
+test('gateway reports a valid composition', async t => {
+  const { gateway, warnings } = await createTestGatewayServer(t, postSchema)
+
+  t.same(gateway.graphqlGateway.compositionReport, { valid: true, errors: [] })
+  t.same(warnings, [])
+})
+
+test('gateway reports and logs the problems of the composition', async t => {
+  const { gateway, warnings } = await createTestGatewayServer(t, invalidPostSchema)
+
+  t.same(gateway.graphqlGateway.compositionReport, { valid: false, errors: expectedErrors })
+  t.same(warnings, expectedErrors.map(error => `Schema composition issue: ${error.message}`))
+
+  const res = await gateway.inject({
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    url: '/graphql',
+    body: JSON.stringify({ query: '{ me { name } }' })
+  })
+
+  t.same(res.json(), { data: { me: { name: 'John' } } })
+})
+
+test('gateway refuses an invalid composition with rejectInvalidComposition', async t => {
+  await t.rejects(createTestGatewayServer(t, invalidPostSchema, { rejectInvalidComposition: true }), {
+    code: 'MER_ERR_GQL_GATEWAY_INVALID_COMPOSITION',
+    message: `Invalid schema composition: ${expectedErrors.map(error => error.message).join('; ')}`,
+    report: { valid: false, errors: expectedErrors }
+  })
+})
+
+test('gateway keeps the schema when the refreshed composition is invalid with rejectInvalidComposition', async t => {
+  const { gateway, postService, warnings } = await createTestGatewayServer(t, postSchema, {
+    rejectInvalidComposition: true
+  })
+
+  const { serviceMap } = gateway.graphqlGateway
+  const definitions = { ...serviceMap.post }
+
+  postService.graphql.replaceSchema(buildFederationSchema(invalidPostSchema))
+
+  await t.rejects(gateway.graphqlGateway.refresh(), {
+    code: 'MER_ERR_GQL_GATEWAY_INVALID_COMPOSITION'
+  })
+  t.same(gateway.graphqlGateway.compositionReport, { valid: false, errors: expectedErrors })
+  t.equal(warnings.length, expectedErrors.length)
+
+  // the definitions of the services are not updated
+  for (const field of ['schema', 'schemaDefinition', 'typeMap', 'types', 'extensionTypeMap', 'gatewaySchemaDefinition']) {
+    t.equal(serviceMap.post[field], definitions[field])
+  }
+
+  const res = await gateway.inject({
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    url: '/graphql',
+    body: JSON.stringify({ query: '{ __type(name: "Post") { fields { name } } }' })
+  })
+
+  t.same(res.json(), {
+    data: { __type: { fields: [{ name: 'pid' }, { name: 'title' }] } }
+  })
+})
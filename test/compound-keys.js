@@ -0,0 +1,247 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const GQL = require('mercurius')
+const plugin = require('../index')
+const { buildFederationSchema } = require('@mercuriusjs/federation')
+const { getKeyFieldSets, getServiceKeyFieldSets } = require('../lib/gateway/make-resolver')
+
+const organizations = {
+  o1: { id: 'o1', name: 'Acme' },
+  o2: { id: 'o2', name: 'Globex' }
+}
+
+// the same user id exists in two organizations
+const users = [
+  { id: 'u1', organization: { id: 'o1' }, name: 'John' },
+  { id: 'u1', organization: { id: 'o2' }, name: 'Jane' }
+]
+
+const posts = [
+  { tenant: 't1', pid: 'p1', title: 'Post 1', author: users[0] },
+  { tenant: 't2', pid: 'p1', title: 'Post 2', author: users[1] }
+]
+
+async function createTestService (schema, resolvers) {
+  const service = Fastify()
+  service.register(GQL, {
+    schema: buildFederationSchema(schema),
+    resolvers
+  })
+  await service.listen({ port: 0 })
+  return [service, service.server.address().port]
+}
+
+async function createTestGatewayServer (t, queryPlanner) {
+  const references = { user: [], post: [] }
+
+  const [userService, userServicePort] = await createTestService(`
+    extend type Query {
+      me: User
+    }
+
+    type Organization @key(fields: "id") {
+      id: ID!
+      name: String
+    }
+
+    type User @key(fields: "id organization { id }") {
+      id: ID!
+      organization: Organization!
+      name: String
+    }
+  `, {
+    Query: {
+      me: () => users[1]
+    },
+    Organization: {
+      __resolveReference: organization => organizations[organization.id]
+    },
+    User: {
+      organization: user => organizations[user.organization.id],
+      __resolveReference: user => {
+        references.user.push(user)
+        return users.find(u => u.id === user.id && u.organization.id === user.organization.id)
+      }
+    }
+  })
+
+  const [postService, postServicePort] = await createTestService(`
+    extend type Query {
+      topPosts: [Post]
+    }
+
+    type Post @key(fields: "tenant pid") {
+      tenant: String!
+      pid: ID!
+      title: String
+      author: User
+    }
+
+    extend type Organization @key(fields: "id") {
+      id: ID! @external
+    }
+
+    extend type User @key(fields: "id organization { id }") {
+      id: ID! @external
+      organization: Organization! @external
+      posts: [Post]
+    }
+  `, {
+    Query: {
+      topPosts: () => posts
+    },
+    Post: {
+      author: post => ({ __typename: 'User', ...post.author })
+    },
+    User: {
+      posts: user => posts.filter(
+        post => post.author.id === user.id && post.author.organization.id === user.organization.id
+      )
+    }
+  })
+
+  const [reviewService, reviewServicePort] = await createTestService(`
+    extend type Post @key(fields: "tenant pid") {
+      tenant: String! @external
+      pid: ID! @external
+      reviews: [String]
+    }
+  `, {
+    Post: {
+      __resolveReference: post => {
+        references.post.push(post)
+        return post
+      },
+      reviews: post => [`review of ${post.tenant}/${post.pid}`]
+    }
+  })
+
+  const gateway = Fastify()
+  t.teardown(async () => {
+    await gateway.close()
+    await userService.close()
+    await postService.close()
+    await reviewService.close()
+  })
+
+  await gateway.register(plugin, {
+    gateway: {
+      queryPlanner,
+      services: [
+        {
+          name: 'user',
+          url: `http://localhost:${userServicePort}/graphql`
+        },
+        {
+          name: 'post',
+          url: `http://localhost:${postServicePort}/graphql`
+        },
+        {
+          name: 'review',
+          url: `http://localhost:${reviewServicePort}/graphql`
+        }
+      ]
+    }
+  })
+
+  return { gateway, references }
+}
+
+function gatewayRequest (gateway, query) {
+  return gateway.inject({
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    url: '/graphql',
+    body: JSON.stringify({ query })
+  })
+}
+
+for (const queryPlanner of [false, true]) {
+  const mode = queryPlanner ? 'with the query planner' : 'with the field resolvers'
+
+  test(`gateway resolves entities with nested keys ${mode}`, async t => {
+    const { gateway, references } = await createTestGatewayServer(t, queryPlanner)
+
+    const res = await gatewayRequest(gateway, `
+      query {
+        topPosts {
+          title
+          author {
+            name
+            organization {
+              name
+            }
+          }
+        }
+        me {
+          name
+          posts {
+            title
+          }
+        }
+      }
+    `)
+
+    t.same(JSON.parse(res.body), {
+      data: {
+        topPosts: [
+          { title: 'Post 1', author: { name: 'John', organization: { name: 'Acme' } } },
+          { title: 'Post 2', author: { name: 'Jane', organization: { name: 'Globex' } } }
+        ],
+        me: { name: 'Jane', posts: [{ title: 'Post 2' }] }
+      }
+    })
+    t.same(references.user, [
+      { __typename: 'User', id: 'u1', organization: { id: 'o1' } },
+      { __typename: 'User', id: 'u1', organization: { id: 'o2' } }
+    ])
+  })
+
+  test(`gateway resolves entities with compound keys ${mode}`, async t => {
+    const { gateway, references } = await createTestGatewayServer(t, queryPlanner)
+
+    const res = await gatewayRequest(gateway, `
+      query {
+        topPosts {
+          title
+          reviews
+        }
+      }
+    `)
+
+    t.same(JSON.parse(res.body), {
+      data: {
+        topPosts: [
+          { title: 'Post 1', reviews: ['review of t1/p1'] },
+          { title: 'Post 2', reviews: ['review of t2/p1'] }
+        ]
+      }
+    })
+    t.same(references.post, [
+      { __typename: 'Post', tenant: 't1', pid: 'p1' },
+      { __typename: 'Post', tenant: 't2', pid: 'p1' }
+    ])
+  })
+}
+
+test('the key field sets are parsed once per type', async t => {
+  const schema = buildFederationSchema(`
+    type User @key(fields: "id organization { id }") @key(fields: "email") {
+      id: ID!
+      email: String
+      organization: Organization
+    }
+
+    type Organization {
+      id: ID!
+    }
+  `)
+  const type = schema.getType('User')
+
+  const keys = getKeyFieldSets(type)
+  t.same(keys.map(key => key.map(selection => selection.name.value)), [['id', 'organization'], ['email']])
+  t.equal(getKeyFieldSets(type), keys)
+  t.equal(getServiceKeyFieldSets(type, { schema }), getServiceKeyFieldSets(type, { schema }))
+})
@@ -165,3 +165,161 @@ test('Each "gateway" option "services" must have an "url" that, if it is a non-e
     )
   }
 })
+
+test('Each "gateway" option "services" must have a "maxEntitiesPerRequest" that, if defined, is a positive integer', async t => {
+  for (const maxEntitiesPerRequest of [0, -1, 1.5, '10']) {
+    const gateway = Fastify()
+
+    try {
+      await gateway.register(plugin, {
+        gateway: {
+          services: [{ name: 'foo', url: 'https://foo', maxEntitiesPerRequest }]
+        }
+      })
+      t.fail('should throw')
+    } catch (err) {
+      t.equal(
+        err.message,
+        'Invalid options: gateway: the "maxEntitiesPerRequest" of the "foo" service must be a positive integer'
+      )
+    }
+  }
+})
+
+test('The "gateway" option "entityCache.store" must have the store methods', async t => {
+  const gateway = Fastify()
+
+  try {
+    await gateway.register(plugin, {
+      gateway: {
+        services: [{ name: 'foo', url: 'https://foo' }],
+        entityCache: { store: { get () {} } }
+      }
+    })
+    t.fail('should throw')
+  } catch (err) {
+    t.equal(
+      err.message,
+      'Invalid options: gateway: the "entityCache.store" must have the "get", "set" and "delete" methods'
+    )
+  }
+})
+
+test('The "gateway" option "responseCache.isAnonymous" must be a function', async t => {
+  const gateway = Fastify()
+
+  try {
+    await gateway.register(plugin, {
+      gateway: {
+        services: [{ name: 'foo', url: 'https://foo' }],
+        responseCache: { ttl: 60, isAnonymous: true }
+      }
+    })
+    t.fail('should throw')
+  } catch (err) {
+    t.equal(
+      err.message,
+      'Invalid options: gateway: the "responseCache.isAnonymous" must be a function'
+    )
+  }
+})
+
+test('The "gateway" option "warmupOperations" must be an Array of String', async t => {
+  for (const warmupOperations of ['{ me { id } }', [{ query: '{ me { id } }' }]]) {
+    const gateway = Fastify()
+
+    try {
+      await gateway.register(plugin, {
+        gateway: {
+          services: [{ name: 'foo', url: 'https://foo' }],
+          warmupOperations
+        }
+      })
+      t.fail('should throw')
+    } catch (err) {
+      t.equal(
+        err.message,
+        'Invalid options: gateway: the "warmupOperations" must be an Array of String'
+      )
+    }
+  }
+})
+
+test('The "gateway" option "persistedQueries.store" must have the store methods', async t => {
+  const gateway = Fastify()
+
+  try {
+    await gateway.register(plugin, {
+      gateway: {
+        services: [{ name: 'foo', url: 'https://foo' }],
+        persistedQueries: { store: { get () {} } }
+      }
+    })
+    t.fail('should throw')
+  } catch (err) {
+    t.equal(
+      err.message,
+      'Invalid options: gateway: the "persistedQueries.store" must have the "get" and "set" methods'
+    )
+  }
+})
+
+test('Each "gateway" option "services" must have a "maxUrlLength" that, if defined, is a positive integer', async t => {
+  for (const maxUrlLength of [0, -1, 1.5, '2048']) {
+    const gateway = Fastify()
+
+    try {
+      await gateway.register(plugin, {
+        gateway: {
+          services: [{ name: 'foo', url: 'https://foo', useGETForQueries: true, maxUrlLength }]
+        }
+      })
+      t.fail('should throw')
+    } catch (err) {
+      t.equal(
+        err.message,
+        'Invalid options: gateway: the "maxUrlLength" of the "foo" service must be a positive integer'
+      )
+    }
+  }
+})
+
+test('Each "gateway" option "services" must have valid "circuitBreaker" options', async t => {
+  for (const circuitBreaker of [{ threshold: 0 }, { threshold: 1.5 }, { resetTimeout: -1 }, { resetTimeout: '1000' }]) {
+    const gateway = Fastify()
+
+    try {
+      await gateway.register(plugin, {
+        gateway: {
+          services: [{ name: 'foo', url: 'https://foo', circuitBreaker }]
+        }
+      })
+      t.fail('should throw')
+    } catch (err) {
+      t.equal(
+        err.message,
+        'Invalid options: gateway: the "circuitBreaker" of the "foo" service must have a positive integer "threshold" and a positive "resetTimeout"'
+      )
+    }
+  }
+})
+
+test('Each "gateway" option "services" must have valid "retry" options', async t => {
+  for (const retry of [{ maxAttempts: 0 }, { minTimeout: -1 }, { maxTimeout: '1000' }, { statusCodes: 503 }, { errorCodes: 'ECONNRESET' }]) {
+    const gateway = Fastify()
+
+    try {
+      await gateway.register(plugin, {
+        gateway: {
+          services: [{ name: 'foo', url: 'https://foo', retry }]
+        }
+      })
+      t.fail('should throw')
+    } catch (err) {
+      t.equal(
+        err.message,
+        'Invalid options: gateway: the "retry" of the "foo" service must have a positive integer "maxAttempts", positive "minTimeout" and "maxTimeout", and Array "statusCodes" and "errorCodes"'
+      )
+    }
+  }
+})
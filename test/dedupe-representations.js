@@ -0,0 +1,122 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const GQL = require('mercurius')
+const plugin = require('../index')
+const { buildFederationSchema } = require('@mercuriusjs/federation')
+
+const users = {
+  u1: { id: 'u1', name: 'John' },
+  u2: { id: 'u2', name: 'Jane' }
+}
+
+const posts = ['u1', 'u2', 'u1', 'u1', 'u2', 'u1'].map((authorId, i) => ({
+  pid: `p${i}`,
+  authorId
+}))
+
+async function createTestService (schema, resolvers, onRequest) {
+  const service = Fastify()
+  service.addHook('preHandler', async request => onRequest(request.body))
+  service.register(GQL, {
+    schema: buildFederationSchema(schema),
+    resolvers
+  })
+  await service.listen({ port: 0 })
+  return [service, service.server.address().port]
+}
+
+async function createTestGatewayServer (t, queryPlanner) {
+  const userRequests = []
+
+  const [userService, userServicePort] = await createTestService(`
+    type User @key(fields: "id") {
+      id: ID!
+      name: String
+    }
+  `, {
+    User: {
+      __resolveReference: user => users[user.id]
+    }
+  }, body => { userRequests.push(body) })
+
+  const [postService, postServicePort] = await createTestService(`
+    extend type Query {
+      posts: [Post]
+    }
+
+    type Post @key(fields: "pid") {
+      pid: ID!
+      author: User
+    }
+
+    extend type User @key(fields: "id") {
+      id: ID! @external
+    }
+  `, {
+    Query: {
+      posts: () => posts
+    },
+    Post: {
+      author: post => ({ __typename: 'User', id: post.authorId })
+    }
+  }, () => {})
+
+  const gateway = Fastify()
+  t.teardown(async () => {
+    await gateway.close()
+    await userService.close()
+    await postService.close()
+  })
+
+  await gateway.register(plugin, {
+    gateway: {
+      queryPlanner,
+      services: [
+        {
+          name: 'user',
+          url: `http://localhost:${userServicePort}/graphql`
+        },
+        {
+          name: 'post',
+          url: `http://localhost:${postServicePort}/graphql`
+        }
+      ]
+    }
+  })
+
+  // ignore the requests sent to initialize the gateway
+  userRequests.length = 0
+
+  return { gateway, userRequests }
+}
+
+for (const queryPlanner of [false, true]) {
+  const mode = queryPlanner ? 'with the query planner' : 'with the field resolvers'
+
+  test(`gateway sends each entity representation once ${mode}`, async t => {
+    const { gateway, userRequests } = await createTestGatewayServer(t, queryPlanner)
+
+    const res = await gateway.inject({
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      url: '/graphql',
+      body: JSON.stringify({ query: '{ posts { pid author { name } } }' })
+    })
+
+    t.same(JSON.parse(res.body), {
+      data: {
+        posts: posts.map(post => ({
+          pid: post.pid,
+          author: { name: users[post.authorId].name }
+        }))
+      }
+    })
+    t.equal(userRequests.length, 1)
+    t.same(userRequests[0].variables.representations, [
+      { __typename: 'User', id: 'u1' },
+      { __typename: 'User', id: 'u2' }
+    ])
+  })
+}
@@ -0,0 +1,338 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const GQL = require('mercurius')
+const FakeTimers = require('@sinonjs/fake-timers')
+const plugin = require('../index')
+const { buildFederationSchema } = require('@mercuriusjs/federation')
+const { buildEntityCache } = require('../lib/gateway/entity-cache')
+
+const users = {
+  u1: { id: 'u1', name: 'John' },
+  u2: { id: 'u2', name: 'Jane' }
+}
+
+const posts = [
+  { pid: 'p1', authorId: 'u1' },
+  { pid: 'p2', authorId: 'u2' }
+]
+
+async function createTestService (schema, resolvers, onRequest, headers = {}) {
+  const service = Fastify()
+  service.addHook('preHandler', async (request, reply) => {
+    reply.headers(headers)
+    return onRequest(request.body)
+  })
+  service.register(GQL, {
+    schema: buildFederationSchema(schema),
+    resolvers,
+    allowBatchedQueries: true
+  })
+  await service.listen({ port: 0 })
+  return [service, service.server.address().port]
+}
+
+async function createTestGatewayServer (t, {
+  queryPlanner,
+  allowBatchedQueries,
+  cacheControl = '',
+  entityCache,
+  userHeaders,
+  postHeaders
+}) {
+  const userRequests = []
+
+  const [userService, userServicePort] = await createTestService(`
+    directive @cacheControl(maxAge: Int, scope: String) on OBJECT
+
+    type User @key(fields: "id") ${cacheControl} {
+      id: ID!
+      name: String
+    }
+  `, {
+    User: {
+      __resolveReference: user => users[user.id]
+    }
+  }, body => { userRequests.push(body) }, userHeaders)
+
+  const [postService, postServicePort] = await createTestService(`
+    extend type Query {
+      posts: [Post]
+    }
+
+    type Post @key(fields: "pid") {
+      pid: ID!
+      author: User
+    }
+
+    extend type User @key(fields: "id") {
+      id: ID! @external
+    }
+  `, {
+    Query: {
+      posts: () => posts
+    },
+    Post: {
+      author: post => ({ __typename: 'User', id: post.authorId })
+    }
+  }, () => {}, postHeaders)
+
+  const gateway = Fastify()
+  t.teardown(async () => {
+    await gateway.close()
+    await userService.close()
+    await postService.close()
+  })
+
+  await gateway.register(plugin, {
+    gateway: {
+      queryPlanner,
+      entityCache,
+      services: [
+        {
+          name: 'user',
+          url: `http://localhost:${userServicePort}/graphql`,
+          allowBatchedQueries
+        },
+        {
+          name: 'post',
+          url: `http://localhost:${postServicePort}/graphql`
+        }
+      ]
+    }
+  })
+
+  // ignore the requests sent to initialize the gateway
+  userRequests.length = 0
+
+  return { gateway, userRequests }
+}
+
+async function queryPosts (t, gateway) {
+  const res = await gateway.inject({
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    url: '/graphql',
+    body: JSON.stringify({ query: '{ posts { pid author { name } } }' })
+  })
+
+  t.same(JSON.parse(res.body), {
+    data: {
+      posts: [
+        { pid: 'p1', author: { name: 'John' } },
+        { pid: 'p2', author: { name: 'Jane' } }
+      ]
+    }
+  })
+
+  return res
+}
+
+function getRepresentations (requests) {
+  return requests
+    .flatMap(body => [].concat(body))
+    .flatMap(body => body.variables.representations)
+}
+
+for (const queryPlanner of [false, true]) {
+  for (const allowBatchedQueries of [false, true]) {
+    const mode = `${queryPlanner ? 'with the query planner' : 'with the field resolvers'}${allowBatchedQueries ? ' and batched queries' : ''}`
+
+    test(`gateway fetches the cached entities once ${mode}`, async t => {
+      const { gateway, userRequests } = await createTestGatewayServer(t, {
+        queryPlanner,
+        allowBatchedQueries,
+        entityCache: { ttl: { User: 60 } }
+      })
+
+      await queryPosts(t, gateway)
+      await queryPosts(t, gateway)
+
+      t.same(getRepresentations(userRequests), [
+        { __typename: 'User', id: 'u1' },
+        { __typename: 'User', id: 'u2' }
+      ])
+    })
+  }
+
+  const mode = queryPlanner ? 'with the query planner' : 'with the field resolvers'
+
+  test(`gateway fetches only the entities missing from the cache ${mode}`, async t => {
+    const { gateway, userRequests } = await createTestGatewayServer(t, {
+      queryPlanner,
+      entityCache: { ttl: { User: 60 } }
+    })
+
+    await queryPosts(t, gateway)
+    await gateway.graphqlGateway.invalidateEntity('User', { id: 'u2' })
+    await queryPosts(t, gateway)
+
+    t.same(getRepresentations(userRequests), [
+      { __typename: 'User', id: 'u1' },
+      { __typename: 'User', id: 'u2' },
+      { __typename: 'User', id: 'u2' }
+    ])
+  })
+
+  test(`gateway reads the TTL of the entities from @cacheControl ${mode}`, async t => {
+    const clock = FakeTimers.install({ toFake: ['Date'] })
+    t.teardown(() => clock.uninstall())
+
+    const { gateway, userRequests } = await createTestGatewayServer(t, {
+      queryPlanner,
+      cacheControl: '@cacheControl(maxAge: 10)',
+      entityCache: {}
+    })
+
+    await queryPosts(t, gateway)
+    clock.tick(5000)
+    await queryPosts(t, gateway)
+    t.equal(userRequests.length, 1)
+
+    clock.tick(5000)
+    await queryPosts(t, gateway)
+    t.equal(userRequests.length, 2)
+  })
+
+  test(`gateway does not cache the entities without a TTL ${mode}`, async t => {
+    const { gateway, userRequests } = await createTestGatewayServer(t, {
+      queryPlanner,
+      cacheControl: '@cacheControl(maxAge: 10, scope: "PRIVATE")',
+      entityCache: {}
+    })
+
+    await queryPosts(t, gateway)
+    await queryPosts(t, gateway)
+
+    t.equal(userRequests.length, 2)
+  })
+
+  test(`gateway stores the entities in a custom store ${mode}`, async t => {
+    const values = new Map()
+    const calls = []
+    const store = {
+      async get (key) {
+        calls.push(['get', key])
+        return values.get(key)
+      },
+      async set (key, value, ttl) {
+        calls.push(['set', key, ttl])
+        values.set(key, value)
+      },
+      async delete (key) {
+        calls.push(['delete', key])
+        values.delete(key)
+      }
+    }
+
+    const { gateway, userRequests } = await createTestGatewayServer(t, {
+      queryPlanner,
+      entityCache: { ttl: { User: 30 }, store }
+    })
+
+    await queryPosts(t, gateway)
+    await queryPosts(t, gateway)
+    await gateway.graphqlGateway.invalidateEntity('User', { id: 'u1' })
+
+    t.equal(userRequests.length, 1)
+    t.same(calls, [
+      ['get', 'User:{"id":"u1"}'],
+      ['get', 'User:{"id":"u2"}'],
+      ['set', 'User:{"id":"u1"}', 30],
+      ['set', 'User:{"id":"u2"}', 30],
+      ['get', 'User:{"id":"u1"}'],
+      ['get', 'User:{"id":"u2"}'],
+      ['get', 'User:{"id":"u1"}:keys'],
+      ['delete', 'User:{"id":"u1"}'],
+      ['delete', 'User:{"id":"u1"}:keys']
+    ])
+  })
+
+  test(`gateway does not cache the entities of the private responses ${mode}`, async t => {
+    for (const header of ['private, max-age=60', 'no-store']) {
+      const { gateway, userRequests } = await createTestGatewayServer(t, {
+        queryPlanner,
+        entityCache: { ttl: { User: 60 } },
+        userHeaders: { 'cache-control': header }
+      })
+
+      await queryPosts(t, gateway)
+      await queryPosts(t, gateway)
+
+      t.equal(userRequests.length, 2)
+    }
+  })
+
+  test(`gateway caps the Cache-Control to the TTL of the cached entities ${mode}`, async t => {
+    const clock = FakeTimers.install({ toFake: ['Date'] })
+    t.teardown(() => clock.uninstall())
+
+    const { gateway, userRequests } = await createTestGatewayServer(t, {
+      queryPlanner,
+      entityCache: { ttl: { User: 30 } },
+      userHeaders: { 'cache-control': 'public, max-age=600' },
+      postHeaders: { 'cache-control': 'public, max-age=300' }
+    })
+
+    let res = await queryPosts(t, gateway)
+    t.equal(res.headers['cache-control'], 'public, max-age=300')
+
+    clock.tick(10000)
+    res = await queryPosts(t, gateway)
+    t.equal(userRequests.length, 1)
+    t.equal(res.headers['cache-control'], 'public, max-age=20')
+  })
+}
+
+test('gateway serves the requests when the entity cache store fails', async t => {
+  const store = {
+    async get () {
+      throw new Error('store unavailable')
+    },
+    async set () {
+      throw new Error('store unavailable')
+    },
+    async delete () {}
+  }
+
+  const { gateway, userRequests } = await createTestGatewayServer(t, {
+    queryPlanner: false,
+    entityCache: { ttl: { User: 30 }, store }
+  })
+
+  await queryPosts(t, gateway)
+  t.equal(userRequests.length, 1)
+})
+
+test('entity cache invalidates an entity under all its keys', async t => {
+  const service = {
+    name: 'user',
+    schema: buildFederationSchema(`
+      type User @key(fields: "id") @key(fields: "email") {
+        id: ID!
+        email: String!
+        name: String
+      }
+    `)
+  }
+  const entityCache = buildEntityCache({ ttl: { User: 60 } })
+  const query = 'query ($representations: [_Any!]!) { _entities(representations: $representations) { ... on User { id email name } } }'
+  const user = { __typename: 'User', id: 'u1', email: 'john@example.com', name: 'John' }
+
+  async function lookup (representation) {
+    const result = await entityCache.lookup({ service, query, variables: { representations: [representation] } })
+    return result.variables.representations.length === 0
+  }
+
+  for (const representation of [{ __typename: 'User', id: 'u1' }, { __typename: 'User', email: 'john@example.com' }]) {
+    const result = await entityCache.lookup({ service, query, variables: { representations: [representation] } })
+    await entityCache.save(result, { data: { _entities: [user] } })
+  }
+  t.equal(await lookup({ __typename: 'User', id: 'u1' }), true)
+  t.equal(await lookup({ __typename: 'User', email: 'john@example.com' }), true)
+
+  await entityCache.invalidate('User', { id: 'u1' })
+  t.equal(await lookup({ __typename: 'User', id: 'u1' }), false)
+  t.equal(await lookup({ __typename: 'User', email: 'john@example.com' }), false)
+})
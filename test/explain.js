@@ -0,0 +1,261 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const GQL = require('mercurius')
+const plugin = require('../index')
+const { buildFederationSchema } = require('@mercuriusjs/federation')
+const { users, posts } = require('./utils/mocks')
+
+async function createTestService (schema, resolvers = {}, onRequest) {
+  const service = Fastify()
+  service.addHook('onRequest', async () => onRequest())
+  service.register(GQL, {
+    schema: buildFederationSchema(schema),
+    resolvers
+  })
+  await service.listen({ port: 0 })
+  return [service, service.server.address().port]
+}
+
+async function createTestGatewayServer (t, opts = {}) {
+  const requests = { user: 0, post: 0 }
+
+  const [userService, userServicePort] = await createTestService(`
+    extend type Query {
+      me: User
+    }
+
+    type User @key(fields: "id") {
+      id: ID!
+      name: String!
+      avatar(size: Int!): String
+    }
+  `, {
+    Query: {
+      me: () => users.u1
+    },
+    User: {
+      __resolveReference: user => users[user.id],
+      avatar: (user, { size }) => `${user.id}-${size}.jpg`
+    }
+  }, () => { requests.user++ })
+
+  const [postService, postServicePort] = await createTestService(`
+    extend type Query {
+      topPosts(count: Int): [Post]
+    }
+
+    type Post @key(fields: "pid") {
+      pid: ID!
+      title: String
+      author: User
+    }
+
+    extend type User @key(fields: "id") {
+      id: ID! @external
+      posts: [Post]
+    }
+  `, {
+    Query: {
+      topPosts: (root, { count = 2 }) => Object.values(posts).slice(0, count)
+    },
+    Post: {
+      __resolveReference: post => posts[post.pid],
+      author: post => ({ __typename: 'User', id: post.authorId })
+    },
+    User: {
+      posts: user => Object.values(posts).filter(p => p.authorId === user.id)
+    }
+  }, () => { requests.post++ })
+
+  const gateway = Fastify()
+  t.teardown(async () => {
+    await gateway.close()
+    await userService.close()
+    await postService.close()
+  })
+
+  await gateway.register(plugin, {
+    gateway: {
+      queryPlanner: true,
+      ...opts,
+      services: [
+        {
+          name: 'user',
+          url: `http://localhost:${userServicePort}/graphql`
+        },
+        {
+          name: 'post',
+          url: `http://localhost:${postServicePort}/graphql`
+        }
+      ]
+    }
+  })
+
+  // ignore the requests sent to initialize the gateway
+  requests.user = 0
+  requests.post = 0
+
+  return { gateway, requests }
+}
+
+const query = `
+  query TopPosts($count: Int, $size: Int!) {
+    topPosts(count: $count) {
+      title
+      author {
+        name
+        avatar(size: $size)
+      }
+    }
+    me {
+      name
+    }
+  }
+`
+
+test('gateway explains the requests sent to the services', async t => {
+  const { gateway, requests } = await createTestGatewayServer(t)
+
+  const steps = gateway.graphqlGateway.explain(query, { count: 1, size: 32 })
+
+  t.same(steps.map(({ operation, ...step }) => step), [
+    {
+      id: 0,
+      service: 'post',
+      variables: { count: 1 },
+      dependsOn: []
+    },
+    {
+      id: 1,
+      service: 'user',
+      variables: { size: 32 },
+      dependsOn: [0],
+      path: 'topPosts.@.author',
+      representations: {
+        typenames: ['User'],
+        fields: '__typename id'
+      }
+    },
+    {
+      id: 2,
+      service: 'user',
+      variables: {},
+      dependsOn: []
+    }
+  ])
+  t.match(steps[0].operation, /topPosts\(count: \$count\)/)
+  t.match(steps[1].operation, /_entities\(representations: \$representations\)/)
+  t.match(steps[2].operation, /me {/)
+  t.same(requests, { user: 0, post: 0 }, 'no request is sent to the services')
+})
+
+test('gateway explains the operation with the given name', async t => {
+  const { gateway } = await createTestGatewayServer(t)
+
+  const steps = gateway.graphqlGateway.explain(`
+    query Me { me { name } }
+    query Posts { topPosts { title } }
+  `, {}, 'Posts')
+
+  t.equal(steps.length, 1)
+  t.equal(steps[0].service, 'post')
+})
+
+test('gateway explain throws on invalid queries', async t => {
+  const { gateway } = await createTestGatewayServer(t)
+
+  t.throws(() => gateway.graphqlGateway.explain('{ me { '), {
+    code: 'MER_ERR_GQL_GATEWAY_EXPLAIN'
+  })
+  t.throws(() => gateway.graphqlGateway.explain('{ me { unknown } }'), {
+    code: 'MER_ERR_GQL_GATEWAY_EXPLAIN',
+    message: 'Unable to explain the query: Cannot query field "unknown" on type "User".'
+  })
+  t.throws(() => gateway.graphqlGateway.explain('query A { me { name } } query B { me { id } }'), {
+    code: 'MER_ERR_GQL_GATEWAY_EXPLAIN',
+    message: 'Unable to explain the query: Must provide operation name if query contains multiple operations'
+  })
+})
+
+test('gateway explain throws without the query planner', async t => {
+  const { gateway } = await createTestGatewayServer(t, { queryPlanner: false })
+
+  t.throws(() => gateway.graphqlGateway.explain('{ me { name } }'), {
+    code: 'MER_ERR_GQL_GATEWAY_EXPLAIN',
+    message: 'Unable to explain the query: the requests are only explained with the "queryPlanner" option'
+  })
+})
+
+test('gateway adds the query plan to the response extensions with the explain header', async t => {
+  const { gateway } = await createTestGatewayServer(t, { explainHeader: 'x-explain' })
+  const body = JSON.stringify({ query, variables: { count: 1, size: 32 } })
+
+  const res = await gateway.inject({
+    method: 'POST',
+    headers: { 'content-type': 'application/json', 'x-explain': 'true' },
+    url: '/graphql',
+    body
+  })
+
+  const { data, extensions } = JSON.parse(res.body)
+  t.same(data, {
+    topPosts: [{ title: 'Post 1', author: { name: 'John', avatar: 'u1-32.jpg' } }],
+    me: { name: 'John' }
+  })
+  t.same(
+    extensions.queryPlan,
+    gateway.graphqlGateway.explain(query, { count: 1, size: 32 })
+  )
+
+  const resWithoutHeader = await gateway.inject({
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    url: '/graphql',
+    body
+  })
+
+  t.notOk(JSON.parse(resWithoutHeader.body).extensions)
+})
+
+test('gateway adds the requests sent to the services to the response extensions with the explain header without the query planner', async t => {
+  const { gateway, requests } = await createTestGatewayServer(t, { queryPlanner: false, explainHeader: 'x-explain' })
+
+  const res = await gateway.inject({
+    method: 'POST',
+    headers: { 'content-type': 'application/json', 'x-explain': 'true' },
+    url: '/graphql',
+    body: JSON.stringify({ query, variables: { count: 1, size: 32 } })
+  })
+
+  const { data, extensions } = JSON.parse(res.body)
+  t.same(data, {
+    topPosts: [{ title: 'Post 1', author: { name: 'John', avatar: 'u1-32.jpg' } }],
+    me: { name: 'John' }
+  })
+  t.equal(extensions.queryPlan.length, requests.user + requests.post)
+  t.match(extensions.queryPlan, [
+    { id: 0, service: 'post', operation: /topPosts\(count: \$count\)/, variables: { count: 1 } },
+    { id: 1, service: 'user', operation: /me \{/, variables: {} },
+    {
+      id: 2,
+      service: 'user',
+      operation: /_entities\(representations: \$representations\)/,
+      variables: { size: 32, representations: [{ __typename: 'User', id: 'u1' }] }
+    }
+  ])
+})
+
+test('gateway ignores the explain header when not enabled', async t => {
+  const { gateway } = await createTestGatewayServer(t)
+
+  const res = await gateway.inject({
+    method: 'POST',
+    headers: { 'content-type': 'application/json', 'x-explain': 'true' },
+    url: '/graphql',
+    body: JSON.stringify({ query: '{ me { name } }' })
+  })
+
+  t.same(JSON.parse(res.body), { data: { me: { name: 'John' } } })
+})
@@ -0,0 +1,216 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const GQL = require('mercurius')
+const plugin = require('../index')
+const { buildFederationSchema } = require('@mercuriusjs/federation')
+
+async function createService (schema, resolvers = {}) {
+  const service = Fastify()
+  service.register(GQL, {
+    schema: buildFederationSchema(schema),
+    resolvers
+  })
+  await service.listen({ port: 0 })
+
+  return [service, service.server.address().port]
+}
+
+const products = {
+  p1: { upc: 'p1', name: 'Table', price: 1, internalCode: 'x1' },
+  p2: { upc: 'p2', name: 'Chair', price: 2, internalCode: 'x2' }
+}
+
+// the services are Federation v1 services, the gateway receives
+// the equivalent Federation v2 schema definitions through the `schema` option
+async function createTestGatewayServer (t, { reviews = false } = {}) {
+  const [productService, productServicePort] = await createService(`
+    extend type Query {
+      topProducts: [Product]
+    }
+
+    type Product @key(fields: "upc") {
+      upc: String!
+      name: String
+      price: Int
+      internalCode: String
+    }
+  `, {
+    Query: {
+      topProducts: () => Object.values(products)
+    },
+    Product: {
+      __resolveReference: product => products[product.upc]
+    }
+  })
+
+  const [inventoryService, inventoryServicePort] = await createService(`
+    extend type Product @key(fields: "upc") {
+      upc: String! @external
+      name: String
+      price: Int
+      inStock: Boolean
+    }
+  `, {
+    Product: {
+      __resolveReference: product => ({ upc: product.upc }),
+      name: () => 'inventory name',
+      price: product => products[product.upc].price * 100,
+      inStock: () => true
+    }
+  })
+
+  const [reviewService, reviewServicePort] = await createService(`
+    extend type Product @key(fields: "upc") {
+      upc: String! @external
+      reviews: [String]
+    }
+  `, {
+    Product: {
+      reviews: product => [`review of ${product.upc}`]
+    }
+  })
+
+  const gateway = Fastify()
+  t.teardown(async () => {
+    await gateway.close()
+    await productService.close()
+    await inventoryService.close()
+    await reviewService.close()
+  })
+
+  const services = [
+    {
+      name: 'products',
+      url: `http://localhost:${productServicePort}/graphql`,
+      schema: `
+        extend schema @link(url: "https://specs.apollo.dev/federation/v2.3", import: ["@key", "@shareable", "@inaccessible", "@tag"])
+
+        type Query {
+          topProducts: [Product]
+        }
+
+        type Product @key(fields: "upc") {
+          upc: String!
+          name: String @shareable
+          price: Int
+          internalCode: String @inaccessible @tag(name: "internal")
+        }
+      `
+    },
+    {
+      name: 'inventory',
+      url: `http://localhost:${inventoryServicePort}/graphql`,
+      schema: `
+        extend schema @link(url: "https://specs.apollo.dev/federation/v2.3", import: [{ name: "@key", as: "@primaryKey" }, "@shareable"])
+
+        type Product @primaryKey(fields: "upc") {
+          upc: String!
+          name: String @shareable
+          price: Int @federation__override(from: "products")
+          inStock: Boolean
+        }
+      `
+    }
+  ]
+
+  if (reviews) {
+    services.push({
+      name: 'reviews',
+      url: `http://localhost:${reviewServicePort}/graphql`
+    })
+  }
+
+  await gateway.register(plugin, {
+    gateway: {
+      services
+    }
+  })
+
+  return gateway
+}
+
+function gatewayRequest (gateway, query) {
+  return gateway.inject({
+    method: 'POST',
+    headers: {
+      'content-type': 'application/json'
+    },
+    url: '/graphql',
+    body: JSON.stringify({ query })
+  })
+}
+
+test('gateway composes Federation v2 services', async t => {
+  const gateway = await createTestGatewayServer(t)
+
+  const res = await gatewayRequest(gateway, `
+    query {
+      topProducts {
+        upc
+        name
+        price
+        inStock
+      }
+    }
+  `)
+
+  t.same(JSON.parse(res.body), {
+    data: {
+      topProducts: [
+        { upc: 'p1', name: 'Table', price: 100, inStock: true },
+        { upc: 'p2', name: 'Chair', price: 200, inStock: true }
+      ]
+    }
+  })
+})
+
+test('gateway assigns Federation v2 field ownership', async t => {
+  const gateway = await createTestGatewayServer(t)
+  const { serviceMap } = gateway.graphqlGateway
+
+  t.same([...serviceMap.products.types], ['Product'])
+  t.same([...serviceMap.products.typeMap.Product], ['upc', 'name', 'internalCode'])
+  t.same([...serviceMap.inventory.types], [])
+  t.same([...serviceMap.inventory.extensionTypeMap.Product], ['price', 'inStock'])
+  t.same([...serviceMap.products.extensionTypeMap.Query], ['topProducts'])
+})
+
+test('gateway does not expose @inaccessible fields', async t => {
+  const gateway = await createTestGatewayServer(t)
+
+  const res = await gatewayRequest(gateway, `
+    query {
+      topProducts {
+        internalCode
+      }
+    }
+  `)
+
+  t.equal(res.statusCode, 400)
+  t.same(JSON.parse(res.body).errors[0].message, 'Cannot query field "internalCode" on type "Product".')
+})
+
+test('gateway composes Federation v1 and v2 services together', async t => {
+  const gateway = await createTestGatewayServer(t, { reviews: true })
+
+  const res = await gatewayRequest(gateway, `
+    query {
+      topProducts {
+        name
+        inStock
+        reviews
+      }
+    }
+  `)
+
+  t.same(JSON.parse(res.body), {
+    data: {
+      topProducts: [
+        { name: 'Table', inStock: true, reviews: ['review of p1'] },
+        { name: 'Chair', inStock: true, reviews: ['review of p2'] }
+      ]
+    }
+  })
+})
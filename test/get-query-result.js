@@ -139,3 +139,324 @@ test('it works with a basic example and batched queries', async t => {
   t.same(result[1].data._entities[0], entity1)
   t.same(result[1].data._entities[1], entity2)
 })
+
+test('it combines the queries for the same entities', async t => {
+  const getQuery = fieldName => `
+    query EntitiesQuery($representations: [_Any!]!) {
+      _entities(representations: $representations) {
+        __typename
+        ... on User {
+          ${fieldName}
+        }
+      }
+    }
+  `
+  const representations = [{ __typename: 'User', id: 'u1' }]
+  const requests = []
+
+  const result = await getQueryResult({
+    context: {
+      gateway: {
+        preGatewayExecution: null
+      },
+      reply: {
+        request: {
+          headers: {}
+        }
+      }
+    },
+    queries: ['name', 'email'].map(fieldName => ({
+      document: parse(getQuery(fieldName)),
+      query: getQuery(fieldName),
+      variables: { representations }
+    })),
+    serviceDefinition: {
+      sendRequest: async ({ body }) => {
+        requests.push(JSON.parse(body))
+        return createNotBatchedResponse({ __typename: 'User', name: 'John', email: 'john@example.com' })
+      }
+    }
+  })
+
+  t.equal(requests.length, 1)
+  t.match(requests[0].query, /\.\.\. on User {\s+name\s+email\s+}/)
+  t.same(requests[0].variables, { representations })
+  t.same(result[0].json.data._entities, [{ __typename: 'User', name: 'John', email: 'john@example.com' }])
+  t.same(result[1].json.data._entities, [{ __typename: 'User', name: 'John', email: 'john@example.com' }])
+})
+
+test('it combines the queries printing the same as another query', async t => {
+  const getQuery = selection => `
+    query EntitiesQuery($representations: [_Any!]!) {
+      _entities(representations: $representations) {
+        __typename
+        ... on Product {
+          ${selection}
+        }
+      }
+    }
+  `
+  const context = {
+    gateway: {
+      preGatewayExecution: null
+    },
+    reply: {
+      request: {
+        headers: {}
+      }
+    }
+  }
+  const p1 = { __typename: 'Product', id: 'p1' }
+  const p2 = { __typename: 'Product', id: 'p2' }
+  const requests = []
+  const serviceDefinition = {
+    sendRequest: async ({ body }) => {
+      const { query, variables } = JSON.parse(body)
+      requests.push({ query, variables })
+      return createNotBatchedResponse(...variables.representations.map(({ id }) => ({ __typename: 'Product', a: id, b: id })))
+    }
+  }
+
+  // the query combining the selections of `a` and `b`
+  await getQueryResult({
+    context,
+    queries: ['a', 'b'].map(selection => ({
+      document: parse(getQuery(selection)),
+      query: getQuery(selection),
+      variables: { representations: [p1] }
+    })),
+    serviceDefinition
+  })
+  const [{ query: combinedQuery }] = requests
+  requests.length = 0
+
+  const result = await getQueryResult({
+    context,
+    queries: [
+      ...['a', 'b'].map(selection => ({
+        document: parse(getQuery(selection)),
+        query: getQuery(selection),
+        variables: { representations: [p1] }
+      })),
+      {
+        document: parse(combinedQuery),
+        query: combinedQuery,
+        variables: { representations: [p2] }
+      }
+    ],
+    serviceDefinition
+  })
+
+  t.same(requests, [
+    { query: combinedQuery, variables: { representations: [p1] } },
+    { query: combinedQuery, variables: { representations: [p2] } }
+  ])
+  t.same(result.map(({ json }) => json.data._entities), [
+    [{ __typename: 'Product', a: 'p1', b: 'p1' }],
+    [{ __typename: 'Product', a: 'p1', b: 'p1' }],
+    [{ __typename: 'Product', a: 'p2', b: 'p2' }]
+  ])
+})
+
+test('it sends the duplicated representations once', async t => {
+  const query = `
+    query EntitiesQuery($representations: [_Any!]!) {
+      _entities(representations: $representations) {
+        __typename
+        ... on User {
+          name
+        }
+      }
+    }
+  `
+  const u1 = { __typename: 'User', id: 'u1' }
+  const u2 = { __typename: 'User', id: 'u2' }
+  const requests = []
+
+  const result = await getQueryResult({
+    context: {
+      gateway: {
+        preGatewayExecution: null
+      },
+      reply: {
+        request: {
+          headers: {}
+        }
+      }
+    },
+    queries: [
+      {
+        document: parse(query),
+        query,
+        variables: { representations: [u1, u2, u1, u1, u2] }
+      }
+    ],
+    serviceDefinition: {
+      sendRequest: async ({ body }) => {
+        requests.push(JSON.parse(body))
+        return createNotBatchedResponse(
+          { __typename: 'User', name: 'John' },
+          { __typename: 'User', name: 'Jane' }
+        )
+      }
+    }
+  })
+
+  t.same(requests[0].variables, { representations: [u1, u2] })
+  t.same(result[0].json.data._entities.map(user => user.name), ['John', 'Jane', 'John', 'John', 'Jane'])
+})
+
+test('it sends the duplicated representations once with batched queries', async t => {
+  const u1 = { __typename: 'User', id: 'u1' }
+  const u2 = { __typename: 'User', id: 'u2' }
+  const requests = []
+
+  const result = await getQueryResult({
+    context: {
+      gateway: {
+        preGatewayExecution: null
+      },
+      reply: {
+        request: {
+          headers: {}
+        }
+      }
+    },
+    queries: [
+      {
+        document: parse(getQueryWithCount(1)),
+        query: getQueryWithCount(1),
+        variables: { representations: [u1, u1] }
+      },
+      {
+        document: parse(getQueryWithCount(2)),
+        query: getQueryWithCount(2),
+        variables: { representations: [u2, u1, u2] }
+      }
+    ],
+    serviceDefinition: {
+      allowBatchedQueries: true,
+      sendRequest: async ({ body }) => {
+        requests.push(JSON.parse(body))
+        return {
+          json: [
+            { data: { _entities: [createEntity('p1')] } },
+            { data: { _entities: [createEntity('p2'), createEntity('p1')] } }
+          ]
+        }
+      }
+    }
+  })
+
+  t.same(requests[0].map(query => query.variables), [
+    { representations: [u1] },
+    { representations: [u2, u1] }
+  ])
+  t.same(result[0].json.data._entities, [createEntity('p1'), createEntity('p1')])
+  t.same(result[1].json.data._entities, [createEntity('p2'), createEntity('p1'), createEntity('p2')])
+})
+
+test('it splits the representations in chunks of maxEntitiesPerRequest', async t => {
+  const query = `
+    query EntitiesQuery($representations: [_Any!]!) {
+      _entities(representations: $representations) {
+        __typename
+        ... on User {
+          name
+        }
+      }
+    }
+  `
+  const representations = ['u1', 'u2', 'u3', 'u4', 'u5'].map(id => ({ __typename: 'User', id }))
+  const requests = []
+
+  const result = await getQueryResult({
+    context: {
+      gateway: {
+        preGatewayExecution: null
+      },
+      reply: {
+        request: {
+          headers: {}
+        }
+      }
+    },
+    queries: [
+      {
+        document: parse(query),
+        query,
+        variables: { representations }
+      }
+    ],
+    serviceDefinition: {
+      maxEntitiesPerRequest: 2,
+      sendRequest: async ({ body }) => {
+        const { variables } = JSON.parse(body)
+        requests.push(variables.representations)
+        return {
+          json: {
+            data: {
+              _entities: variables.representations.map(({ id }) => ({ __typename: 'User', name: id }))
+            },
+            errors: variables.representations[0].id === 'u3'
+              ? [{ message: 'Not found', path: ['_entities', 1, 'name'] }]
+              : undefined
+          }
+        }
+      }
+    }
+  })
+
+  t.same(requests, [representations.slice(0, 2), representations.slice(2, 4), representations.slice(4)])
+  t.same(result[0].json.data._entities.map(user => user.name), ['u1', 'u2', 'u3', 'u4', 'u5'])
+  t.same(result[0].errors, [{ message: 'Not found', path: ['_entities', 3, 'name'] }])
+})
+
+test('it packs the chunks of batched queries in requests of maxEntitiesPerRequest', async t => {
+  const representations = ['u1', 'u2', 'u3'].map(id => ({ __typename: 'User', id }))
+  const requests = []
+
+  const result = await getQueryResult({
+    context: {
+      gateway: {
+        preGatewayExecution: null
+      },
+      reply: {
+        request: {
+          headers: {}
+        }
+      }
+    },
+    queries: [
+      {
+        document: parse(getQueryWithCount(1)),
+        query: getQueryWithCount(1),
+        variables: { representations }
+      },
+      {
+        document: parse(getQueryWithCount(2)),
+        query: getQueryWithCount(2),
+        variables: { representations: representations.slice(0, 1) }
+      }
+    ],
+    serviceDefinition: {
+      allowBatchedQueries: true,
+      maxEntitiesPerRequest: 2,
+      sendRequest: async ({ body }) => {
+        const batch = JSON.parse(body)
+        requests.push(batch.map(({ variables }) => variables.representations.map(({ id }) => id)))
+        return {
+          json: batch.map(({ variables }) => ({
+            data: {
+              _entities: variables.representations.map(({ id }) => createEntity(id))
+            }
+          }))
+        }
+      }
+    }
+  })
+
+  t.same(requests, [[['u1', 'u2']], [['u3'], ['u1']]])
+  t.same(result[0].json.data._entities, [createEntity('u1'), createEntity('u2'), createEntity('u3')])
+  t.same(result[1].json.data._entities, [createEntity('u1')])
+})
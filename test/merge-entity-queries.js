@@ -0,0 +1,231 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const GQL = require('mercurius')
+const plugin = require('../index')
+const { buildFederationSchema } = require('@mercuriusjs/federation')
+
+const products = {
+  p1: { upc: 'p1', name: 'Table' },
+  p2: { upc: 'p2', name: 'Chair' }
+}
+
+async function createTestService (schema, resolvers, onRequest, allowBatchedQueries = false) {
+  const service = Fastify()
+  service.addHook('preHandler', async request => onRequest(request.body))
+  service.register(GQL, {
+    schema: buildFederationSchema(schema),
+    resolvers,
+    allowBatchedQueries
+  })
+  await service.listen({ port: 0 })
+  return [service, service.server.address().port]
+}
+
+async function createTestGatewayServer (t, allowBatchedQueries = false) {
+  const inventoryRequests = []
+
+  const [productService, productServicePort] = await createTestService(`
+    extend type Query {
+      topProducts: [Product]
+      product(upc: ID!): Product
+    }
+
+    type Product @key(fields: "upc") {
+      upc: ID!
+      name: String
+    }
+  `, {
+    Query: {
+      topProducts: () => Object.values(products),
+      product: (root, { upc }) => products[upc]
+    },
+    Product: {
+      __resolveReference: product => products[product.upc]
+    }
+  }, () => {})
+
+  const [inventoryService, inventoryServicePort] = await createTestService(`
+    extend type Product @key(fields: "upc") {
+      upc: ID! @external
+      inStock: Boolean
+      shippingEstimate: Int
+      weight(unit: String!): String
+      warehouse: Warehouse
+    }
+
+    type Warehouse {
+      city: String
+      country: String
+    }
+  `, {
+    Product: {
+      inStock: product => product.upc === 'p1',
+      shippingEstimate: product => product.upc === 'p1' ? 1 : 5,
+      weight: (product, { unit }) => `${product.upc} ${unit}`,
+      warehouse: product => ({ city: `${product.upc} city`, country: 'IT' })
+    }
+  }, body => { inventoryRequests.push(body) }, allowBatchedQueries)
+
+  const gateway = Fastify()
+  t.teardown(async () => {
+    await gateway.close()
+    await productService.close()
+    await inventoryService.close()
+  })
+
+  await gateway.register(plugin, {
+    gateway: {
+      services: [
+        {
+          name: 'product',
+          url: `http://localhost:${productServicePort}/graphql`
+        },
+        {
+          name: 'inventory',
+          url: `http://localhost:${inventoryServicePort}/graphql`,
+          allowBatchedQueries
+        }
+      ]
+    }
+  })
+
+  // ignore the requests sent to initialize the gateway
+  inventoryRequests.length = 0
+
+  return { gateway, inventoryRequests }
+}
+
+function gatewayRequest (gateway, query) {
+  return gateway.inject({
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    url: '/graphql',
+    body: JSON.stringify({ query })
+  })
+}
+
+test('gateway merges the entity queries of different fields into one request', async t => {
+  const { gateway, inventoryRequests } = await createTestGatewayServer(t)
+
+  const res = await gatewayRequest(gateway, `
+    query {
+      topProducts {
+        name
+        inStock
+        shippingEstimate
+        weight(unit: "kg")
+        warehouse {
+          city
+        }
+      }
+    }
+  `)
+
+  t.same(JSON.parse(res.body), {
+    data: {
+      topProducts: [
+        { name: 'Table', inStock: true, shippingEstimate: 1, weight: 'p1 kg', warehouse: { city: 'p1 city' } },
+        { name: 'Chair', inStock: false, shippingEstimate: 5, weight: 'p2 kg', warehouse: { city: 'p2 city' } }
+      ]
+    }
+  })
+
+  t.equal(inventoryRequests.length, 1)
+  t.same(inventoryRequests[0].variables.representations, [
+    { __typename: 'Product', upc: 'p1' },
+    { __typename: 'Product', upc: 'p2' }
+  ])
+  t.match(inventoryRequests[0].query, /inStock\s+shippingEstimate\s+weight\(unit: "kg"\)\s+warehouse {\s+city\s+__typename\s+}/)
+})
+
+test('gateway merges the entity queries of a single entity', async t => {
+  const { gateway, inventoryRequests } = await createTestGatewayServer(t)
+
+  const res = await gatewayRequest(gateway, `
+    query {
+      product(upc: "p2") {
+        inStock
+        shippingEstimate
+      }
+    }
+  `)
+
+  t.same(JSON.parse(res.body), {
+    data: {
+      product: { inStock: false, shippingEstimate: 5 }
+    }
+  })
+  t.equal(inventoryRequests.length, 1)
+})
+
+test('gateway does not merge the entity queries selecting the same field with other arguments', async t => {
+  const { gateway, inventoryRequests } = await createTestGatewayServer(t)
+
+  const res = await gatewayRequest(gateway, `
+    query {
+      product(upc: "p1") {
+        kg: weight(unit: "kg")
+        lb: weight(unit: "lb")
+        inStock
+      }
+    }
+  `)
+
+  t.same(JSON.parse(res.body), {
+    data: {
+      product: { kg: 'p1 kg', lb: 'p1 lb', inStock: true }
+    }
+  })
+  t.equal(inventoryRequests.length, 2)
+  t.match(inventoryRequests[0].query, /weight\(unit: "kg"\)\s+inStock/)
+  t.match(inventoryRequests[1].query, /weight\(unit: "lb"\)/)
+})
+
+test('gateway does not merge the entity queries for different entities', async t => {
+  const { gateway, inventoryRequests } = await createTestGatewayServer(t)
+
+  const res = await gatewayRequest(gateway, `
+    query {
+      table: product(upc: "p1") {
+        inStock
+      }
+      chair: product(upc: "p2") {
+        shippingEstimate
+      }
+    }
+  `)
+
+  t.same(JSON.parse(res.body), {
+    data: {
+      table: { inStock: true },
+      chair: { shippingEstimate: 5 }
+    }
+  })
+  t.equal(inventoryRequests.length, 2)
+})
+
+test('gateway merges the entity queries with batched queries', async t => {
+  const { gateway, inventoryRequests } = await createTestGatewayServer(t, true)
+
+  const res = await gatewayRequest(gateway, `
+    query {
+      topProducts {
+        inStock
+        shippingEstimate
+      }
+    }
+  `)
+
+  t.same(JSON.parse(res.body), {
+    data: {
+      topProducts: [
+        { inStock: true, shippingEstimate: 1 },
+        { inStock: false, shippingEstimate: 5 }
+      ]
+    }
+  })
+  t.equal(inventoryRequests.length, 1)
+  t.equal(inventoryRequests[0].length, 1, 'the batch contains a single query')
+})
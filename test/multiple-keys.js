@@ -0,0 +1,226 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const GQL = require('mercurius')
+const plugin = require('../index')
+const { buildFederationSchema } = require('@mercuriusjs/federation')
+
+const users = {
+  u1: { id: 'u1', email: 'john@example.com', name: 'John' },
+  u2: { id: 'u2', email: 'jane@example.com', name: 'Jane' }
+}
+
+const posts = {
+  p1: { pid: 'p1', title: 'Post 1', authorId: 'u1' },
+  p2: { pid: 'p2', title: 'Post 2', authorId: 'u2' }
+}
+
+const accounts = {
+  'john@example.com': ['john-bank'],
+  'jane@example.com': ['jane-bank', 'jane-card']
+}
+
+async function createTestService (schema, resolvers) {
+  const service = Fastify()
+  service.register(GQL, {
+    schema: buildFederationSchema(schema),
+    resolvers
+  })
+  await service.listen({ port: 0 })
+  return [service, service.server.address().port]
+}
+
+async function createTestGatewayServer (t, { queryPlanner, userKeys }) {
+  const references = { user: [], account: [], post: [] }
+
+  const [userService, userServicePort] = await createTestService(`
+    extend type Query {
+      me: User
+    }
+
+    type User ${userKeys} {
+      id: ID!
+      email: String!
+      name: String
+    }
+  `, {
+    Query: {
+      me: () => users.u1
+    },
+    User: {
+      __resolveReference: user => {
+        references.user.push(user)
+        return user.id ? users[user.id] : Object.values(users).find(u => u.email === user.email)
+      }
+    }
+  })
+
+  const [accountService, accountServicePort] = await createTestService(`
+    extend type User @key(fields: "email") {
+      email: String! @external
+      accounts: [String]
+    }
+  `, {
+    User: {
+      __resolveReference: user => {
+        references.account.push(user)
+        return user
+      },
+      accounts: user => accounts[user.email]
+    }
+  })
+
+  const [postService, postServicePort] = await createTestService(`
+    extend type Query {
+      topPosts: [Post]
+    }
+
+    type Post @key(fields: "pid") {
+      pid: ID!
+      title: String
+      author: User
+    }
+
+    extend type User @key(fields: "id") {
+      id: ID! @external
+      posts: [Post]
+    }
+  `, {
+    Query: {
+      topPosts: () => Object.values(posts)
+    },
+    Post: {
+      author: post => ({ __typename: 'User', id: post.authorId })
+    },
+    User: {
+      __resolveReference: user => {
+        references.post.push(user)
+        return user
+      },
+      posts: user => Object.values(posts).filter(p => p.authorId === user.id)
+    }
+  })
+
+  const gateway = Fastify()
+  t.teardown(async () => {
+    await gateway.close()
+    await userService.close()
+    await accountService.close()
+    await postService.close()
+  })
+
+  await gateway.register(plugin, {
+    gateway: {
+      queryPlanner,
+      services: [
+        {
+          name: 'user',
+          url: `http://localhost:${userServicePort}/graphql`
+        },
+        {
+          name: 'account',
+          url: `http://localhost:${accountServicePort}/graphql`
+        },
+        {
+          name: 'post',
+          url: `http://localhost:${postServicePort}/graphql`
+        }
+      ]
+    }
+  })
+
+  return { gateway, references }
+}
+
+function gatewayRequest (gateway, query) {
+  return gateway.inject({
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    url: '/graphql',
+    body: JSON.stringify({ query })
+  })
+}
+
+for (const queryPlanner of [false, true]) {
+  const mode = queryPlanner ? 'with the query planner' : 'with the field resolvers'
+
+  test(`gateway uses the key each service resolves ${mode}`, async t => {
+    const { gateway, references } = await createTestGatewayServer(t, {
+      queryPlanner,
+      userKeys: '@key(fields: "id") @key(fields: "email")'
+    })
+
+    const res = await gatewayRequest(gateway, `
+      query {
+        me {
+          accounts
+          posts {
+            title
+          }
+        }
+        topPosts {
+          author {
+            name
+            accounts
+          }
+        }
+      }
+    `)
+
+    t.same(JSON.parse(res.body), {
+      data: {
+        me: {
+          accounts: ['john-bank'],
+          posts: [{ title: 'Post 1' }]
+        },
+        topPosts: [
+          { author: { name: 'John', accounts: ['john-bank'] } },
+          { author: { name: 'Jane', accounts: ['jane-bank', 'jane-card'] } }
+        ]
+      }
+    })
+
+    t.ok(references.account.length > 0)
+    for (const reference of references.account) {
+      t.same(Object.keys(reference), ['__typename', 'email'])
+    }
+    for (const reference of references.post) {
+      t.same(Object.keys(reference), ['__typename', 'id'])
+    }
+  })
+
+  test(`gateway fetches the missing key fields from the owner service ${mode}`, async t => {
+    const { gateway, references } = await createTestGatewayServer(t, {
+      queryPlanner,
+      userKeys: '@key(fields: "id")'
+    })
+
+    const res = await gatewayRequest(gateway, `
+      query {
+        topPosts {
+          title
+          author {
+            accounts
+          }
+        }
+      }
+    `)
+
+    t.same(JSON.parse(res.body), {
+      data: {
+        topPosts: [
+          { title: 'Post 1', author: { accounts: ['john-bank'] } },
+          { title: 'Post 2', author: { accounts: ['jane-bank', 'jane-card'] } }
+        ]
+      }
+    })
+    t.same(references.account, [
+      { __typename: 'User', email: 'john@example.com' },
+      { __typename: 'User', email: 'jane@example.com' }
+    ])
+    for (const reference of references.user) {
+      t.same(Object.keys(reference), ['__typename', 'id'])
+    }
+  })
+}
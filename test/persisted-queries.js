@@ -0,0 +1,212 @@
+'use strict'
+
+const { test } = require('tap')
+const { createHash } = require('crypto')
+const Fastify = require('fastify')
+const GQL = require('mercurius')
+const plugin = require('../index')
+const { buildFederationSchema } = require('@mercuriusjs/federation')
+
+const userSchema = `
+  extend type Query {
+    me: User
+  }
+
+  type User @key(fields: "id") {
+    id: ID!
+    name: String
+  }
+`
+
+const postSchema = `
+  type Post @key(fields: "pid") {
+    pid: ID!
+    title: String
+  }
+
+  extend type User @key(fields: "id") {
+    id: ID! @external
+    posts: [Post]
+  }
+`
+
+const query = 'query Me { me { id name posts { title } } }'
+const sha256Hash = createHash('sha256').update(query).digest('hex')
+const expected = {
+  data: { me: { id: 'u1', name: 'John', posts: [{ title: 'Post 1' }] } }
+}
+
+async function createTestService (t, schema, resolvers = {}) {
+  const service = Fastify()
+  service.register(GQL, {
+    schema: buildFederationSchema(schema),
+    resolvers
+  })
+  await service.listen({ port: 0 })
+  t.teardown(() => service.close())
+  return service.server.address().port
+}
+
+async function createTestGatewayServer (t, opts = {}) {
+  const userServicePort = await createTestService(t, userSchema, {
+    Query: {
+      me: () => ({ id: 'u1', name: 'John' })
+    }
+  })
+  const postServicePort = await createTestService(t, postSchema, {
+    User: {
+      posts: () => [{ pid: 'p1', title: 'Post 1' }]
+    }
+  })
+
+  const gateway = Fastify()
+  t.teardown(() => gateway.close())
+
+  await gateway.register(plugin, {
+    gateway: {
+      ...opts,
+      services: [
+        {
+          name: 'user',
+          url: `http://localhost:${userServicePort}/graphql`
+        },
+        {
+          name: 'post',
+          url: `http://localhost:${postServicePort}/graphql`
+        }
+      ]
+    }
+  })
+
+  return gateway
+}
+
+function post (gateway, body) {
+  return gateway.inject({
+    method: 'POST',
+    url: '/graphql',
+    body
+  })
+}
+
+const persistedQuery = { version: 1, sha256Hash }
+
+for (const queryPlanner of [false, true]) {
+  test(`gateway accepts automatic persisted queries${queryPlanner ? ' with the query planner' : ''}`, async t => {
+    const gateway = await createTestGatewayServer(t, {
+      queryPlanner,
+      persistedQueries: true
+    })
+
+    let res = await post(gateway, { extensions: { persistedQuery } })
+    t.same(res.json(), { data: null, errors: [{ message: 'PersistedQueryNotFound' }] })
+
+    res = await post(gateway, { query, extensions: { persistedQuery } })
+    t.same(res.json(), expected)
+
+    res = await post(gateway, { extensions: { persistedQuery } })
+    t.same(res.json(), expected)
+
+    // the full query and its hash share the cache
+    res = await post(gateway, { query })
+    t.same(res.json(), expected)
+
+    const { hits, misses } = gateway.graphqlGateway.cacheStats()
+    t.equal(hits, misses * 2)
+  })
+}
+
+test('gateway accepts automatic persisted queries with GET', async t => {
+  const gateway = await createTestGatewayServer(t, { persistedQueries: true })
+
+  const extensions = JSON.stringify({ persistedQuery })
+  let res = await gateway.inject({
+    method: 'GET',
+    url: '/graphql',
+    query: { extensions }
+  })
+  t.same(res.json(), { data: null, errors: [{ message: 'PersistedQueryNotFound' }] })
+
+  res = await gateway.inject({
+    method: 'GET',
+    url: '/graphql',
+    query: { query, extensions }
+  })
+  t.same(res.json(), expected)
+
+  res = await gateway.inject({
+    method: 'GET',
+    url: '/graphql',
+    query: { extensions }
+  })
+  t.same(res.json(), expected)
+})
+
+test('gateway refuses a persisted query whose hash does not match', async t => {
+  const gateway = await createTestGatewayServer(t, { persistedQueries: true })
+
+  const res = await post(gateway, {
+    query: '{ me { id } }',
+    extensions: { persistedQuery }
+  })
+  t.same(res.json(), { data: null, errors: [{ message: 'provided sha does not match query' }] })
+})
+
+test('gateway refuses the persisted queries of an unsupported version', async t => {
+  const gateway = await createTestGatewayServer(t, { persistedQueries: true })
+
+  const res = await post(gateway, {
+    extensions: { persistedQuery: { version: 2, sha256Hash } }
+  })
+  t.same(res.json(), { data: null, errors: [{ message: 'PersistedQueryNotSupported' }] })
+})
+
+test('gateway stores the persisted queries in a custom store', async t => {
+  const queries = new Map()
+  const gateway = await createTestGatewayServer(t, {
+    persistedQueries: {
+      store: {
+        get: async hash => queries.get(hash),
+        set: async (hash, query) => { queries.set(hash, query) }
+      }
+    }
+  })
+
+  let res = await post(gateway, { query, extensions: { persistedQuery } })
+  t.same(res.json(), expected)
+  t.same([...queries], [[sha256Hash, query]])
+
+  res = await post(gateway, { extensions: { persistedQuery } })
+  t.same(res.json(), expected)
+})
+
+test('gateway asks for the query when the store fails', async t => {
+  const gateway = await createTestGatewayServer(t, {
+    persistedQueries: {
+      store: {
+        get: async () => { throw new Error('store is down') },
+        set: async () => { throw new Error('store is down') }
+      }
+    }
+  })
+
+  let res = await post(gateway, { query, extensions: { persistedQuery } })
+  t.same(res.json(), expected)
+
+  res = await post(gateway, { extensions: { persistedQuery } })
+  t.same(res.json(), { data: null, errors: [{ message: 'PersistedQueryNotFound' }] })
+})
+
+test('gateway persisted queries cannot be used with the persisted queries of mercurius', async t => {
+  const gateway = Fastify()
+
+  await t.rejects(gateway.register(plugin, {
+    persistedQueryProvider: GQL.persistedQueryDefaults.automatic(),
+    gateway: {
+      services: [{ name: 'foo', url: 'https://foo' }],
+      persistedQueries: true
+    }
+  }), {
+    message: 'Invalid options: gateway: the "persistedQueries" cannot be used with the "persistedQueries" or "persistedQueryProvider" options of mercurius'
+  })
+})
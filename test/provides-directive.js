@@ -0,0 +1,220 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const GQL = require('mercurius')
+const plugin = require('../index')
+const { buildFederationSchema } = require('@mercuriusjs/federation')
+
+const users = {
+  u1: { id: 'u1', name: 'John', email: 'john@example.com', address: { city: 'Rome', country: 'IT' } },
+  u2: { id: 'u2', name: 'Jane', email: 'jane@example.com', address: { city: 'Paris', country: 'FR' } }
+}
+
+const posts = {
+  p1: { pid: 'p1', title: 'Post 1', authorId: 'u1' },
+  p2: { pid: 'p2', title: 'Post 2', authorId: 'u2' }
+}
+
+async function createTestService (schema, resolvers, onRequest) {
+  const service = Fastify()
+  service.addHook('onRequest', async () => onRequest())
+  service.register(GQL, {
+    schema: buildFederationSchema(schema),
+    resolvers
+  })
+  await service.listen({ port: 0 })
+  return [service, service.server.address().port]
+}
+
+async function createTestGatewayServer (t, queryPlanner) {
+  const requests = { user: 0, post: 0 }
+
+  const [userService, userServicePort] = await createTestService(`
+    extend type Query {
+      me: User
+    }
+
+    type Address {
+      city: String
+      country: String
+    }
+
+    type User @key(fields: "id") {
+      id: ID!
+      name: String
+      email: String
+      address: Address
+    }
+  `, {
+    Query: {
+      me: () => users.u1
+    },
+    User: {
+      __resolveReference: user => users[user.id]
+    }
+  }, () => { requests.user++ })
+
+  const [postService, postServicePort] = await createTestService(`
+    extend type Query {
+      topPosts: [Post]
+    }
+
+    type Address {
+      city: String
+      country: String
+    }
+
+    type Post @key(fields: "pid") {
+      pid: ID!
+      title: String
+      author: User @provides(fields: "name address { city }")
+    }
+
+    extend type User @key(fields: "id") {
+      id: ID! @external
+      name: String @external
+      address: Address @external
+      posts: [Post]
+    }
+  `, {
+    Query: {
+      topPosts: () => Object.values(posts)
+    },
+    Post: {
+      author: post => {
+        const { id, name, address } = users[post.authorId]
+        return { __typename: 'User', id, name, address: { city: address.city } }
+      }
+    },
+    User: {
+      posts: user => Object.values(posts).filter(p => p.authorId === user.id)
+    }
+  }, () => { requests.post++ })
+
+  const gateway = Fastify()
+  t.teardown(async () => {
+    await gateway.close()
+    await userService.close()
+    await postService.close()
+  })
+
+  await gateway.register(plugin, {
+    gateway: {
+      queryPlanner,
+      services: [
+        {
+          name: 'user',
+          url: `http://localhost:${userServicePort}/graphql`
+        },
+        {
+          name: 'post',
+          url: `http://localhost:${postServicePort}/graphql`
+        }
+      ]
+    }
+  })
+
+  // ignore the requests sent to initialize the gateway
+  requests.user = 0
+  requests.post = 0
+
+  return { gateway, requests }
+}
+
+function gatewayRequest (gateway, query) {
+  return gateway.inject({
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    url: '/graphql',
+    body: JSON.stringify({ query })
+  })
+}
+
+for (const queryPlanner of [false, true]) {
+  const mode = queryPlanner ? 'with the query planner' : 'with the field resolvers'
+
+  test(`gateway uses the fields provided by the parent service ${mode}`, async t => {
+    const { gateway, requests } = await createTestGatewayServer(t, queryPlanner)
+
+    const res = await gatewayRequest(gateway, `
+      query {
+        topPosts {
+          title
+          author {
+            id
+            name
+            address {
+              city
+            }
+            posts {
+              pid
+            }
+          }
+        }
+      }
+    `)
+
+    t.same(JSON.parse(res.body), {
+      data: {
+        topPosts: [
+          { title: 'Post 1', author: { id: 'u1', name: 'John', address: { city: 'Rome' }, posts: [{ pid: 'p1' }] } },
+          { title: 'Post 2', author: { id: 'u2', name: 'Jane', address: { city: 'Paris' }, posts: [{ pid: 'p2' }] } }
+        ]
+      }
+    })
+    t.equal(requests.user, 0, 'the user service is not called')
+  })
+
+  test(`gateway fetches the fields not provided by the parent service ${mode}`, async t => {
+    const { gateway, requests } = await createTestGatewayServer(t, queryPlanner)
+
+    const res = await gatewayRequest(gateway, `
+      query {
+        topPosts {
+          author {
+            name
+            email
+          }
+        }
+      }
+    `)
+
+    t.same(JSON.parse(res.body), {
+      data: {
+        topPosts: [
+          { author: { name: 'John', email: 'john@example.com' } },
+          { author: { name: 'Jane', email: 'jane@example.com' } }
+        ]
+      }
+    })
+    t.equal(requests.user, 1)
+  })
+
+  test(`gateway fetches the nested fields not provided by the parent service ${mode}`, async t => {
+    const { gateway, requests } = await createTestGatewayServer(t, queryPlanner)
+
+    const res = await gatewayRequest(gateway, `
+      query {
+        topPosts {
+          author {
+            address {
+              city
+              country
+            }
+          }
+        }
+      }
+    `)
+
+    t.same(JSON.parse(res.body), {
+      data: {
+        topPosts: [
+          { author: { address: { city: 'Rome', country: 'IT' } } },
+          { author: { address: { city: 'Paris', country: 'FR' } } }
+        ]
+      }
+    })
+    t.equal(requests.user, 1)
+  })
+}
@@ -0,0 +1,242 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const GQL = require('mercurius')
+const plugin = require('../index')
+const { buildFederationSchema } = require('@mercuriusjs/federation')
+const { users, posts } = require('./utils/mocks')
+
+async function createTestService (t, schema, resolvers = {}, onRequest) {
+  const service = Fastify()
+  service.addHook('onRequest', async () => onRequest())
+  service.register(GQL, {
+    schema: buildFederationSchema(schema),
+    resolvers
+  })
+  await service.listen({ port: 0 })
+  return [service, service.server.address().port]
+}
+
+async function createTestGatewayServer (t, queryPlanner = true) {
+  const requests = { user: 0, post: 0 }
+
+  const [userService, userServicePort] = await createTestService(t, `
+    extend type Query {
+      me: User
+      hello(greeting: String!): String
+      broken: String
+    }
+
+    type User @key(fields: "id") {
+      id: ID!
+      name: String!
+      avatar(size: Int!): String
+    }
+  `, {
+    Query: {
+      me: () => users.u1,
+      hello: (root, { greeting }) => `${greeting} world`,
+      broken: () => { throw new Error('broken field') }
+    },
+    User: {
+      __resolveReference: user => users[user.id],
+      avatar: (user, { size }) => `${user.id}-${size}.jpg`
+    }
+  }, () => { requests.user++ })
+
+  const [postService, postServicePort] = await createTestService(t, `
+    extend type Query {
+      topPosts(count: Int): [Post]
+    }
+
+    extend type Mutation {
+      createPost(title: String!): Post
+    }
+
+    type Post @key(fields: "pid") {
+      pid: ID!
+      title: String
+      author: User
+    }
+
+    extend type User @key(fields: "id") {
+      id: ID! @external
+      name: String @external
+      posts: [Post]
+      signature: String @requires(fields: "name")
+    }
+  `, {
+    Query: {
+      topPosts: (root, { count = 2 }) => Object.values(posts).slice(0, count)
+    },
+    Mutation: {
+      createPost: (root, { title }) => ({ pid: 'p5', title, authorId: 'u2' })
+    },
+    Post: {
+      __resolveReference: post => posts[post.pid],
+      author: post => ({ __typename: 'User', id: post.authorId })
+    },
+    User: {
+      posts: user => Object.values(posts).filter(p => p.authorId === user.id),
+      signature: user => `${user.name} (${user.id})`
+    }
+  }, () => { requests.post++ })
+
+  const gateway = Fastify()
+  t.teardown(async () => {
+    await gateway.close()
+    await userService.close()
+    await postService.close()
+  })
+
+  await gateway.register(plugin, {
+    gateway: {
+      queryPlanner,
+      services: [
+        {
+          name: 'user',
+          url: `http://localhost:${userServicePort}/graphql`
+        },
+        {
+          name: 'post',
+          url: `http://localhost:${postServicePort}/graphql`
+        }
+      ]
+    }
+  })
+
+  // ignore the requests sent to initialize the gateway
+  requests.user = 0
+  requests.post = 0
+
+  return { gateway, requests }
+}
+
+function gatewayRequest (gateway, body) {
+  return gateway.inject({
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    url: '/graphql',
+    body: JSON.stringify(body)
+  })
+}
+
+const query = `
+  query TopPosts($count: Int, $size: Int!) {
+    topPosts(count: $count) {
+      ...PostFields
+      author {
+        name
+        avatar(size: $size)
+        signature
+        posts {
+          pid
+        }
+      }
+    }
+    me {
+      id
+      userName: name
+    }
+  }
+
+  fragment PostFields on Post {
+    pid
+    title
+  }
+`
+
+test('query planner returns the same data as the field resolvers', async t => {
+  const { gateway: resolverGateway } = await createTestGatewayServer(t, false)
+  const { gateway: plannerGateway } = await createTestGatewayServer(t)
+
+  const body = { query, variables: { count: 3, size: 64 } }
+  const expected = await gatewayRequest(resolverGateway, body)
+  const res = await gatewayRequest(plannerGateway, body)
+
+  t.same(JSON.parse(res.body), JSON.parse(expected.body))
+  t.same(JSON.parse(res.body).data.topPosts[0], {
+    pid: 'p1',
+    title: 'Post 1',
+    author: {
+      name: 'John',
+      avatar: 'u1-64.jpg',
+      signature: 'John (u1)',
+      posts: [{ pid: 'p1' }, { pid: 'p3' }, { pid: 'p4' }]
+    }
+  })
+})
+
+test('query planner sends one request per service and level', async t => {
+  const { gateway, requests } = await createTestGatewayServer(t)
+
+  await gatewayRequest(gateway, { query, variables: { count: 3, size: 64 } })
+
+  // topPosts, then the authors, then the fields requiring the author name
+  t.same(requests, { user: 2, post: 2 })
+})
+
+test('query planner reuses the plan of an operation with other variables', async t => {
+  const { gateway } = await createTestGatewayServer(t)
+
+  const res1 = await gatewayRequest(gateway, { query, variables: { count: 1, size: 32 } })
+  const res2 = await gatewayRequest(gateway, { query, variables: { count: 2, size: 16 } })
+
+  t.same(JSON.parse(res1.body).data.topPosts.map(post => post.author.avatar), ['u1-32.jpg'])
+  t.same(JSON.parse(res2.body).data.topPosts.map(post => post.author.avatar), ['u1-16.jpg', 'u2-16.jpg'])
+})
+
+test('query planner runs mutations', async t => {
+  const { gateway } = await createTestGatewayServer(t)
+
+  const res = await gatewayRequest(gateway, {
+    query: `
+      mutation {
+        createPost(title: "New post") {
+          pid
+          title
+          author {
+            name
+          }
+        }
+      }
+    `
+  })
+
+  t.same(JSON.parse(res.body), {
+    data: {
+      createPost: {
+        pid: 'p5',
+        title: 'New post',
+        author: {
+          name: 'Jane'
+        }
+      }
+    }
+  })
+})
+
+test('query planner returns the errors of a service', async t => {
+  const { gateway } = await createTestGatewayServer(t)
+
+  const res = await gatewayRequest(gateway, {
+    query: `
+      query {
+        hello(greeting: "hello")
+        broken
+        topPosts(count: 1) {
+          pid
+        }
+      }
+    `
+  })
+
+  const body = JSON.parse(res.body)
+  t.same(body.data, {
+    hello: 'hello world',
+    broken: null,
+    topPosts: [{ pid: 'p1' }]
+  })
+  t.equal(body.errors[0].message, 'broken field')
+})
@@ -260,3 +260,40 @@ test('sendRequest method should decompress gzip bodies', async t => {
 
   t.end()
 })
+
+test('sendRequest method should send the queries with GET with useGETForQueries', async t => {
+  const app = fastify()
+  app.get('/graphql', async request => {
+    return { data: request.query }
+  })
+
+  await app.listen({ port: 0 })
+
+  const url = new URL(`http://localhost:${app.server.address().port}/graphql`)
+  const { request, close } = buildRequest({ url })
+  t.teardown(() => {
+    close()
+    return app.close()
+  })
+  const result = await sendRequest(
+    request,
+    url,
+    false,
+    { useGETForQueries: true }
+  )({
+    method: 'POST',
+    body: JSON.stringify({
+      query: 'query ($id: ID!) { user(id: $id) { name } }',
+      variables: { id: 'u1' }
+    })
+  })
+
+  t.same(result.json, {
+    data: {
+      query: 'query ($id: ID!) { user(id: $id) { name } }',
+      variables: '{"id":"u1"}'
+    }
+  })
+
+  t.end()
+})
@@ -508,6 +508,99 @@ test('gateway handles @requires directive correctly apart of other directives',
   })
 })
 
+test('gateway handles @requires directive with nested fields', async t => {
+  const products = {
+    p1: { upc: 'p1', name: 'Table', dimensions: { weight: 10, height: 2, width: 5 } },
+    p2: { upc: 'p2', name: 'Chair', dimensions: { weight: 3, height: 4, width: 1 } }
+  }
+  const references = []
+
+  const productService = await createService(
+    `
+    extend type Query {
+      topProducts: [Product]
+    }
+
+    type Dimensions {
+      weight: Int
+      height: Int
+      width: Int
+    }
+
+    type Product @key(fields: "upc") {
+      upc: ID!
+      name: String
+      dimensions: Dimensions
+    }
+  `,
+    {
+      Query: {
+        topProducts: () => Object.values(products)
+      },
+      Product: {
+        __resolveReference: product => products[product.upc]
+      }
+    }
+  )
+
+  const shippingService = await createService(
+    `
+    type Dimensions {
+      weight: Int
+      height: Int
+      width: Int
+    }
+
+    type Product @key(fields: "upc") @extends {
+      upc: ID! @external
+      dimensions: Dimensions @external
+      shippingCost: Int @requires(fields: "dimensions { weight height }")
+    }
+  `,
+    {
+      Product: {
+        __resolveReference: product => {
+          references.push(product)
+          return product
+        },
+        shippingCost: product => product.dimensions.weight * product.dimensions.height
+      }
+    }
+  )
+
+  const { gateway, teardown } = await createGatewayService(
+    productService,
+    shippingService
+  )
+  t.teardown(teardown)
+
+  const query = `
+    query {
+      topProducts {
+        name
+        dimensions {
+          width
+        }
+        shippingCost
+      }
+    }
+  `
+  const res = await gatewayRequest(gateway, query)
+
+  t.same(JSON.parse(res.body), {
+    data: {
+      topProducts: [
+        { name: 'Table', dimensions: { width: 5 }, shippingCost: 20 },
+        { name: 'Chair', dimensions: { width: 1 }, shippingCost: 12 }
+      ]
+    }
+  })
+  t.same(references, [
+    { __typename: 'Product', upc: 'p1', dimensions: { weight: 10, height: 2 } },
+    { __typename: 'Product', upc: 'p2', dimensions: { weight: 3, height: 4 } }
+  ])
+})
+
 test('gateway exposes @requires directive in list of directives', async t => {
   const users = {
     u1: {
@@ -0,0 +1,331 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const GQL = require('mercurius')
+const FakeTimers = require('@sinonjs/fake-timers')
+const plugin = require('../index')
+const { buildFederationSchema } = require('@mercuriusjs/federation')
+
+const users = {
+  u1: { id: 'u1', name: 'John' },
+  u2: { id: 'u2', name: 'Jane' }
+}
+
+const userSchema = `
+  extend type Query {
+    me: User
+    user(id: ID!): User
+  }
+
+  extend type Mutation {
+    rename(name: String!): User
+  }
+
+  type User @key(fields: "id") {
+    id: ID!
+    name: String
+  }
+`
+
+async function createTestGatewayServer (t, { cacheControl, ...gatewayOpts } = {}) {
+  const userRequests = []
+
+  const userService = Fastify()
+  userService.addHook('preHandler', async request => { userRequests.push(request.body) })
+  if (cacheControl) {
+    userService.addHook('onSend', async (request, reply) => {
+      reply.header('cache-control', cacheControl)
+    })
+  }
+  userService.register(GQL, {
+    schema: buildFederationSchema(userSchema),
+    resolvers: {
+      Query: {
+        me: () => users.u1,
+        user: (root, { id }) => users[id]
+      },
+      Mutation: {
+        rename: (root, { name }) => ({ ...users.u1, name })
+      },
+      User: {
+        __resolveReference: user => users[user.id]
+      }
+    }
+  })
+  await userService.listen({ port: 0 })
+
+  const gateway = Fastify()
+  t.teardown(async () => {
+    await gateway.close()
+    await userService.close()
+  })
+
+  await gateway.register(plugin, {
+    gateway: {
+      services: [
+        {
+          name: 'user',
+          url: `http://localhost:${userService.server.address().port}/graphql`
+        }
+      ],
+      ...gatewayOpts
+    }
+  })
+
+  // ignore the requests sent to initialize the gateway
+  userRequests.length = 0
+
+  return { gateway, userService, userRequests }
+}
+
+function gatewayInject (gateway, body, headers = {}) {
+  return gateway.inject({
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...headers },
+    url: '/graphql',
+    body: JSON.stringify(body)
+  })
+}
+
+async function gatewayRequest (gateway, body, headers = {}) {
+  const res = await gatewayInject(gateway, body, headers)
+
+  return JSON.parse(res.body)
+}
+
+test('gateway caches the responses of the queries', async t => {
+  const { gateway, userRequests } = await createTestGatewayServer(t, {
+    responseCache: { ttl: 60 }
+  })
+
+  const expected = { data: { me: { id: 'u1', name: 'John' } } }
+  t.same(await gatewayRequest(gateway, { query: '{ me { id name } }' }), expected)
+  t.same(await gatewayRequest(gateway, { query: '{\n  me {\n    id\n    name\n  }\n}' }), expected)
+  t.equal(userRequests.length, 1)
+
+  const res = await gateway.inject({
+    method: 'GET',
+    url: '/graphql',
+    query: { query: '{ me { id name } }' }
+  })
+  t.same(JSON.parse(res.body), expected)
+  t.match(res.headers['content-type'], 'application/json')
+  t.equal(userRequests.length, 1)
+})
+
+test('gateway caches the responses by variables and headers', async t => {
+  const { gateway, userRequests } = await createTestGatewayServer(t, {
+    responseCache: { ttl: 60, headers: ['Accept-Language'] }
+  })
+
+  const query = 'query ($id: ID!) { user(id: $id) { name } }'
+  t.same(await gatewayRequest(gateway, { query, variables: { id: 'u1' } }), { data: { user: { name: 'John' } } })
+  t.same(await gatewayRequest(gateway, { query, variables: { id: 'u2' } }), { data: { user: { name: 'Jane' } } })
+  t.same(await gatewayRequest(gateway, { query, variables: { id: 'u1' } }), { data: { user: { name: 'John' } } })
+  t.equal(userRequests.length, 2)
+
+  await gatewayRequest(gateway, { query, variables: { id: 'u1' } }, { 'accept-language': 'en' })
+  await gatewayRequest(gateway, { query, variables: { id: 'u1' } }, { 'accept-language': 'it' })
+  await gatewayRequest(gateway, { query, variables: { id: 'u1' } }, { 'accept-language': 'en' })
+  t.equal(userRequests.length, 4)
+})
+
+test('gateway does not cache the mutations and the authenticated requests', async t => {
+  const { gateway, userRequests } = await createTestGatewayServer(t, {
+    responseCache: { ttl: 60 }
+  })
+
+  const mutation = 'mutation { rename(name: "Jack") { name } }'
+  t.same(await gatewayRequest(gateway, { query: mutation }), { data: { rename: { name: 'Jack' } } })
+  await gatewayRequest(gateway, { query: mutation })
+  t.equal(userRequests.length, 2)
+
+  await gatewayRequest(gateway, { query: '{ me { name } }' }, { authorization: 'bearer token' })
+  await gatewayRequest(gateway, { query: '{ me { name } }' }, { authorization: 'bearer token' })
+  t.equal(userRequests.length, 4)
+
+  await gatewayRequest(gateway, { query: '{ me { name } }' }, { cookie: 'session=s1' })
+  await gatewayRequest(gateway, { query: '{ me { name } }' }, { cookie: 'session=s1' })
+  t.equal(userRequests.length, 6)
+})
+
+test('gateway caches the requests with credentials which are part of the key', async t => {
+  const { gateway, userRequests } = await createTestGatewayServer(t, {
+    responseCache: { ttl: 60, headers: ['cookie'] }
+  })
+
+  await gatewayRequest(gateway, { query: '{ me { name } }' }, { cookie: 'session=s1' })
+  await gatewayRequest(gateway, { query: '{ me { name } }' }, { cookie: 'session=s1' })
+  await gatewayRequest(gateway, { query: '{ me { name } }' }, { cookie: 'session=s2' })
+  t.equal(userRequests.length, 2)
+})
+
+test('gateway replays the Cache-Control of the cached responses', async t => {
+  const { gateway, userRequests } = await createTestGatewayServer(t, {
+    cacheControl: 's-maxage=120, max-age=60',
+    responseCache: { ttl: 60, headers: ['accept-language'] }
+  })
+
+  let res = await gatewayInject(gateway, { query: '{ me { name } }' }, { 'accept-language': 'en' })
+  t.equal(res.headers['cache-control'], 'public, max-age=60, s-maxage=120')
+  t.equal(res.headers.vary, 'accept-language')
+
+  // the max ages are capped to the time to live of the cached response
+  res = await gatewayInject(gateway, { query: '{ me { name } }' }, { 'accept-language': 'en' })
+  t.equal(res.headers['cache-control'], 'public, max-age=60, s-maxage=60')
+  t.equal(res.headers.vary, 'accept-language')
+  t.equal(userRequests.length, 1)
+})
+
+test('gateway does not make public the cached responses keyed by credentials', async t => {
+  const { gateway, userRequests } = await createTestGatewayServer(t, {
+    cacheControl: 'public, max-age=60',
+    responseCache: { ttl: 60, headers: ['authorization'] }
+  })
+
+  for (let i = 0; i < 2; i++) {
+    const res = await gatewayInject(gateway, { query: '{ me { name } }' }, { authorization: 'Bearer a' })
+    t.equal(res.headers['cache-control'], 'private, max-age=60')
+    t.equal(res.headers.vary, 'authorization')
+  }
+  t.equal(userRequests.length, 1)
+})
+
+test('gateway replays a private Cache-Control to the authorized requests', async t => {
+  const { gateway, userRequests } = await createTestGatewayServer(t, {
+    cacheControl: 'public, max-age=60',
+    responseCache: { ttl: 60, isAnonymous: () => true }
+  })
+
+  let res = await gatewayInject(gateway, { query: '{ me { name } }' })
+  t.equal(res.headers['cache-control'], 'public, max-age=60')
+
+  for (let i = 0; i < 2; i++) {
+    res = await gatewayInject(gateway, { query: '{ me { name } }' }, { authorization: 'Bearer a' })
+    t.equal(res.headers['cache-control'], 'private, max-age=60')
+  }
+  t.equal(userRequests.length, 1)
+})
+
+test('gateway replays the cached responses without Cache-Control without one', async t => {
+  const { gateway, userRequests } = await createTestGatewayServer(t, {
+    responseCache: { ttl: 60, headers: ['cookie'] }
+  })
+
+  for (let i = 0; i < 2; i++) {
+    const res = await gatewayInject(gateway, { query: '{ me { name } }' }, { cookie: 'session=s1' })
+    t.equal(res.headers['cache-control'], undefined)
+  }
+  t.equal(userRequests.length, 1)
+})
+
+test('gateway caches the requests accepted by the isAnonymous option', async t => {
+  const { gateway, userRequests } = await createTestGatewayServer(t, {
+    responseCache: {
+      ttl: 60,
+      isAnonymous: request => request.headers['x-session'] === undefined
+    }
+  })
+
+  await gatewayRequest(gateway, { query: '{ me { name } }' }, { 'x-session': 's1' })
+  await gatewayRequest(gateway, { query: '{ me { name } }' }, { 'x-session': 's1' })
+  t.equal(userRequests.length, 2)
+
+  await gatewayRequest(gateway, { query: '{ me { name } }' }, { cookie: 'theme=dark' })
+  await gatewayRequest(gateway, { query: '{ me { name } }' }, { cookie: 'theme=dark' })
+  t.equal(userRequests.length, 3)
+})
+
+test('gateway caches the responses for the minimum max-age of the services', async t => {
+  const clock = FakeTimers.install({ toFake: ['Date'] })
+  t.teardown(() => clock.uninstall())
+
+  const { gateway, userRequests } = await createTestGatewayServer(t, {
+    cacheControl: 'public, max-age=10',
+    responseCache: { ttl: 60 }
+  })
+
+  await gatewayRequest(gateway, { query: '{ me { name } }' })
+  clock.tick(5000)
+  await gatewayRequest(gateway, { query: '{ me { name } }' })
+  t.equal(userRequests.length, 1)
+
+  clock.tick(5000)
+  await gatewayRequest(gateway, { query: '{ me { name } }' })
+  t.equal(userRequests.length, 2)
+})
+
+test('gateway does not cache the responses the services do not allow to store', async t => {
+  const { gateway, userRequests } = await createTestGatewayServer(t, {
+    cacheControl: 'no-store',
+    responseCache: { ttl: 60 }
+  })
+
+  await gatewayRequest(gateway, { query: '{ me { name } }' })
+  await gatewayRequest(gateway, { query: '{ me { name } }' })
+  t.equal(userRequests.length, 2)
+})
+
+test('gateway applies the cache policies of the fields', async t => {
+  const { gateway, userRequests } = await createTestGatewayServer(t, {
+    responseCache: { policies: { 'Query.me': 0, 'Query.user': 60 } }
+  })
+
+  await gatewayRequest(gateway, { query: '{ me { name } }' })
+  await gatewayRequest(gateway, { query: '{ me { name } }' })
+  t.equal(userRequests.length, 2)
+
+  await gatewayRequest(gateway, { query: '{ user(id: "u1") { name } }' })
+  await gatewayRequest(gateway, { query: '{ user(id: "u1") { name } }' })
+  t.equal(userRequests.length, 3)
+
+  await gatewayRequest(gateway, { query: '{ user(id: "u1") { name } me { name } }' })
+  await gatewayRequest(gateway, { query: '{ user(id: "u1") { name } me { name } }' })
+  t.equal(userRequests.length, 5)
+})
+
+test('gateway invalidates the cached responses by tag', async t => {
+  const { gateway, userRequests } = await createTestGatewayServer(t, {
+    responseCache: { ttl: 60 }
+  })
+
+  await gatewayRequest(gateway, { query: '{ me { name } }' })
+  gateway.graphqlGateway.invalidateResponses('Post')
+  await gatewayRequest(gateway, { query: '{ me { name } }' })
+  t.equal(userRequests.length, 1)
+
+  gateway.graphqlGateway.invalidateResponses(['User'])
+  await gatewayRequest(gateway, { query: '{ me { name } }' })
+  t.equal(userRequests.length, 2)
+})
+
+test('gateway clears the cached responses when the schema is replaced', async t => {
+  const { gateway, userService, userRequests } = await createTestGatewayServer(t, {
+    pollingInterval: 50,
+    responseCache: { ttl: 60 }
+  })
+
+  await gatewayRequest(gateway, { query: '{ me { name } }' })
+
+  const replaced = new Promise(resolve => {
+    gateway.graphqlGateway.addHook('onGatewayReplaceSchema', async () => resolve())
+  })
+  userService.graphql.replaceSchema(buildFederationSchema(`${userSchema}
+    extend type Query {
+      users: [User]
+    }
+  `))
+  userService.graphql.defineResolvers({
+    Query: {
+      me: () => users.u1,
+      users: () => Object.values(users)
+    }
+  })
+  await replaced
+  await new Promise(resolve => setImmediate(resolve))
+
+  userRequests.length = 0
+  t.same(await gatewayRequest(gateway, { query: '{ me { name } }' }), { data: { me: { name: 'John' } } })
+  t.equal(userRequests.length, 1)
+})
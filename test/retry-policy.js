@@ -0,0 +1,215 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const GQL = require('mercurius')
+const plugin = require('../index')
+const { buildFederationSchema } = require('@mercuriusjs/federation')
+const createRetryPolicy = require('../lib/gateway/retry-policy')
+const { FederatedError } = require('../lib/errors')
+
+function networkError (code) {
+  const err = new Error('network error')
+  err.code = code
+  return err
+}
+
+function createResponse (statusCode) {
+  return { statusCode, body: { dump: async () => {} } }
+}
+
+test('retry policy retries the retryable errors up to maxAttempts', async t => {
+  const policy = createRetryPolicy({ maxAttempts: 3, minTimeout: 1 })
+
+  let attempts = 0
+  await t.rejects(policy.run(async () => {
+    attempts++
+    throw networkError('ECONNREFUSED')
+  }), { code: 'ECONNREFUSED' })
+  t.equal(attempts, 3)
+
+  attempts = 0
+  t.equal(await policy.run(async () => {
+    if (++attempts < 2) {
+      throw new FederatedError([networkError('ECONNRESET')])
+    }
+    return 'ok'
+  }), 'ok')
+  t.equal(attempts, 2)
+})
+
+test('retry policy does not retry the other errors', async t => {
+  const policy = createRetryPolicy({ minTimeout: 1, errorCodes: ['ETIMEDOUT'] })
+
+  let attempts = 0
+  await t.rejects(policy.run(async () => {
+    attempts++
+    throw networkError('ECONNREFUSED')
+  }), { code: 'ECONNREFUSED' })
+  t.equal(attempts, 1)
+})
+
+test('retry policy retries the responses with a retryable status code', async t => {
+  const policy = createRetryPolicy({ maxAttempts: 2, minTimeout: 1 })
+
+  const statusCodes = []
+  const response = await policy.run(async () => {
+    const response = createResponse(statusCodes.length ? 500 : 503)
+    statusCodes.push(response.statusCode)
+    return response
+  })
+  t.equal(response.statusCode, 500)
+  t.same(statusCodes, [503, 500])
+
+  statusCodes.length = 0
+  t.equal((await policy.run(async () => {
+    statusCodes.push(502)
+    return createResponse(502)
+  })).statusCode, 502)
+  t.same(statusCodes, [502, 502])
+})
+
+async function createTestService (t, schema, resolvers) {
+  const status = { failures: 0, requests: 0 }
+  const service = Fastify()
+  service.register(GQL, {
+    schema: buildFederationSchema(schema),
+    resolvers
+  })
+  service.addHook('onRequest', async (request, reply) => {
+    status.requests++
+    if (status.failures > 0) {
+      status.failures--
+      reply.code(503).send({ data: null, errors: [{ message: 'service is unavailable' }] })
+    }
+  })
+  await service.listen({ port: 0 })
+  t.teardown(() => service.close())
+  return { port: service.server.address().port, status }
+}
+
+async function createTestGatewayServer (t, retry, opts = {}) {
+  const user = await createTestService(t, `
+    extend type Query {
+      me: User
+    }
+
+    extend type Mutation {
+      rename(name: String!): User
+    }
+
+    type User @key(fields: "id") {
+      id: ID!
+      name: String
+    }
+  `, {
+    Query: {
+      me: () => ({ id: 'u1', name: 'John' })
+    },
+    Mutation: {
+      rename: (root, { name }) => ({ id: 'u1', name })
+    }
+  })
+  const post = await createTestService(t, `
+    type Post @key(fields: "pid") {
+      pid: ID!
+      title: String
+    }
+
+    extend type User @key(fields: "id") {
+      id: ID! @external
+      posts: [Post]
+    }
+  `, {
+    User: {
+      posts: () => [{ pid: 'p1', title: 'Post 1' }]
+    }
+  })
+
+  const gateway = Fastify()
+  t.teardown(() => gateway.close())
+
+  await gateway.register(plugin, {
+    gateway: {
+      ...opts,
+      services: [
+        {
+          name: 'user',
+          url: `http://localhost:${user.port}/graphql`,
+          retry
+        },
+        {
+          name: 'post',
+          url: `http://localhost:${post.port}/graphql`,
+          retry
+        }
+      ]
+    }
+  })
+
+  // the requests of the service schemas
+  user.status.requests = 0
+  post.status.requests = 0
+
+  return { gateway, user: user.status, post: post.status }
+}
+
+function query (gateway, query) {
+  return gateway.inject({
+    method: 'POST',
+    url: '/graphql',
+    body: { query }
+  })
+}
+
+for (const queryPlanner of [false, true]) {
+  test(`gateway retries the queries sent to the services${queryPlanner ? ' with the query planner' : ''}`, async t => {
+    const { gateway, user, post } = await createTestGatewayServer(t, { minTimeout: 1 }, { queryPlanner })
+
+    user.failures = 2
+    post.failures = 1
+    const res = await query(gateway, '{ me { id name posts { title } } }')
+    t.same(res.json(), {
+      data: { me: { id: 'u1', name: 'John', posts: [{ title: 'Post 1' }] } }
+    })
+    t.equal(user.requests, 3)
+    // the _entities query of the posts
+    t.equal(post.requests, 2)
+  })
+
+  test(`gateway does not retry the mutations sent to the services${queryPlanner ? ' with the query planner' : ''}`, async t => {
+    const { gateway, user } = await createTestGatewayServer(t, { minTimeout: 1 }, { queryPlanner })
+
+    user.failures = 1
+    const res = await query(gateway, 'mutation { rename(name: "Jane") { name } }')
+    t.same(res.json().errors.map(error => error.message), ['service is unavailable'])
+    t.equal(user.requests, 1)
+  })
+}
+
+test('gateway gives up the retries after maxAttempts', async t => {
+  const { gateway, user } = await createTestGatewayServer(t, { maxAttempts: 2, minTimeout: 1 })
+
+  user.failures = 2
+  const res = await query(gateway, '{ me { id name } }')
+  t.same(res.json().errors.map(error => error.message), ['service is unavailable'])
+  t.equal(user.requests, 2)
+})
+
+test('gateway uses the default retry options', async t => {
+  const { gateway, user } = await createTestGatewayServer(t, true)
+
+  user.failures = 2
+  const res = await query(gateway, '{ me { id name } }')
+  t.same(res.json(), { data: { me: { id: 'u1', name: 'John' } } })
+  t.equal(user.requests, 3)
+})
+
+test('gateway does not retry the queries by default', async t => {
+  const { gateway, user } = await createTestGatewayServer(t)
+
+  user.failures = 1
+  const res = await query(gateway, '{ me { id name } }')
+  t.same(res.json().errors.map(error => error.message), ['service is unavailable'])
+  t.equal(user.requests, 1)
+})
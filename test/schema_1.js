@@ -439,6 +439,116 @@ test('It support variable inside nested arguments', async t => {
   })
 })
 
+test('It support variables inside list arguments', async t => {
+  const users = {
+    u1: { id: 'u1', name: 'John', friends: ['u2', 'u3'] },
+    u2: { id: 'u2', name: 'Jane', friends: ['u1'] },
+    u3: { id: 'u3', name: 'Jack', friends: [] }
+  }
+
+  const [userService, userServicePort] = await createService(
+    t,
+    `
+    extend type Query {
+      users (ids: [ID!]!, filter: UserFilter): [User]
+    }
+
+    input UserFilter {
+      names: [String!]
+      exclude: [UserRef!]
+    }
+
+    input UserRef {
+      id: ID!
+    }
+
+    type User @key(fields: "id") {
+      id: ID!
+      name: String!
+      friends (ids: [ID!]): [User]
+    }
+  `,
+    {
+      Query: {
+        users: (root, { ids, filter = {} }) => ids
+          .map(id => users[id])
+          .filter(user => !filter.names || filter.names.includes(user.name))
+          .filter(user => !filter.exclude || !filter.exclude.some(ref => ref.id === user.id))
+      },
+      User: {
+        friends: (user, { ids }) => user.friends
+          .filter(id => !ids || ids.includes(id))
+          .map(id => users[id])
+      }
+    }
+  )
+
+  const gateway = Fastify()
+  t.teardown(async () => {
+    await gateway.close()
+    await userService.close()
+  })
+
+  await gateway.register(plugin, {
+    gateway: {
+      services: [
+        {
+          name: 'user',
+          url: `http://localhost:${userServicePort}/graphql`
+        }
+      ]
+    }
+  })
+
+  const query = `
+  query MainQuery(
+    $first: ID!
+    $second: ID!
+    $name: String!
+    $excluded: ID!
+    $friend: ID!
+  ){
+    users (
+      ids: [$first, $second, "u3"]
+      filter: {
+        names: ["John", $name]
+        exclude: [{ id: $excluded }]
+      }
+    ) {
+      id
+      friends (ids: [$friend]) {
+        name
+      }
+    }
+  }`
+
+  const res = await gateway.inject({
+    method: 'POST',
+    headers: {
+      'content-type': 'application/json'
+    },
+    url: '/graphql',
+    body: JSON.stringify({
+      query,
+      variables: {
+        first: 'u1',
+        second: 'u2',
+        name: 'Jane',
+        excluded: 'u2',
+        friend: 'u3'
+      }
+    })
+  })
+
+  t.same(JSON.parse(res.body), {
+    data: {
+      users: [
+        { id: 'u1', friends: [{ name: 'Jack' }] }
+      ]
+    }
+  })
+})
+
 test('Should not throw on nullable reference', async t => {
   const topPosts = [
     {
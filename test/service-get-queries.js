@@ -0,0 +1,161 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const GQL = require('mercurius')
+const plugin = require('../index')
+const { buildFederationSchema } = require('@mercuriusjs/federation')
+
+const userSchema = `
+  extend type Query {
+    me: User
+  }
+
+  extend type Mutation {
+    rename(name: String!): User
+  }
+
+  type User @key(fields: "id") {
+    id: ID!
+    name: String
+  }
+`
+
+const postSchema = `
+  type Post @key(fields: "pid") {
+    pid: ID!
+    title: String
+  }
+
+  extend type User @key(fields: "id") {
+    id: ID! @external
+    posts(search: String): [Post]
+  }
+`
+
+const user = { id: 'u1', name: 'John' }
+
+async function createTestService (t, schema, resolvers, persistedQueryProvider) {
+  const requests = []
+  const service = Fastify()
+  service.register(GQL, {
+    schema: buildFederationSchema(schema),
+    resolvers,
+    persistedQueryProvider
+  })
+  service.addHook('onRequest', async request => {
+    requests.push(request.method)
+  })
+  await service.listen({ port: 0 })
+  t.teardown(() => service.close())
+  return { port: service.server.address().port, requests }
+}
+
+async function createTestGatewayServer (t, serviceOpts = {}, opts = {}) {
+  const userService = await createTestService(t, userSchema, {
+    Query: {
+      me: () => user
+    },
+    Mutation: {
+      rename: (root, { name }) => ({ ...user, name })
+    }
+  }, serviceOpts.persistedQueries && GQL.persistedQueryDefaults.automatic())
+  const postService = await createTestService(t, postSchema, {
+    User: {
+      posts: (user, { search }) => [{ pid: 'p1', title: search || 'Post 1' }]
+    }
+  }, serviceOpts.persistedQueries && GQL.persistedQueryDefaults.automatic())
+
+  const gateway = Fastify()
+  t.teardown(() => gateway.close())
+
+  await gateway.register(plugin, {
+    gateway: {
+      ...opts,
+      services: [
+        {
+          ...serviceOpts,
+          name: 'user',
+          url: `http://localhost:${userService.port}/graphql`,
+          useGETForQueries: true
+        },
+        {
+          ...serviceOpts,
+          name: 'post',
+          url: `http://localhost:${postService.port}/graphql`,
+          useGETForQueries: true
+        }
+      ]
+    }
+  })
+
+  // the requests of the service schemas
+  userService.requests.length = 0
+  postService.requests.length = 0
+
+  return { gateway, userService, postService }
+}
+
+function post (gateway, query, variables) {
+  return gateway.inject({
+    method: 'POST',
+    url: '/graphql',
+    body: { query, variables }
+  })
+}
+
+for (const queryPlanner of [false, true]) {
+  test(`gateway sends the queries to the services with GET${queryPlanner ? ' with the query planner' : ''}`, async t => {
+    const { gateway, userService, postService } = await createTestGatewayServer(t, {}, { queryPlanner })
+
+    const res = await post(gateway, 'query ($search: String) { me { id name posts(search: $search) { title } } }', {
+      search: 'my post'
+    })
+    t.same(res.json(), {
+      data: { me: { id: 'u1', name: 'John', posts: [{ title: 'my post' }] } }
+    })
+    t.same(userService.requests, ['GET'])
+    t.same(postService.requests, ['GET'])
+  })
+
+  test(`gateway sends the mutations to the services with POST${queryPlanner ? ' with the query planner' : ''}`, async t => {
+    const { gateway, userService, postService } = await createTestGatewayServer(t, {}, { queryPlanner })
+
+    const res = await post(gateway, 'mutation { rename(name: "Jane") { name posts { title } } }')
+    t.same(res.json(), {
+      data: { rename: { name: 'Jane', posts: [{ title: 'Post 1' }] } }
+    })
+    t.same(userService.requests, ['POST'])
+    // the entities of a mutation are fetched with a query
+    t.same(postService.requests, ['GET'])
+  })
+}
+
+test('gateway sends the queries with POST when their URL is too long', async t => {
+  const { gateway, userService, postService } = await createTestGatewayServer(t, { maxUrlLength: 400 })
+
+  const res = await post(gateway, 'query ($search: String) { me { id name posts(search: $search) { title } } }', {
+    search: 'a'.repeat(400)
+  })
+  t.same(res.json(), {
+    data: { me: { id: 'u1', name: 'John', posts: [{ title: 'a'.repeat(400) }] } }
+  })
+  t.same(userService.requests, ['GET'])
+  t.same(postService.requests, ['POST'])
+})
+
+test('gateway sends the hash of the persisted queries with GET', async t => {
+  const { gateway, userService } = await createTestGatewayServer(t, {
+    persistedQueries: true,
+    maxUrlLength: 300
+  })
+
+  const query = `{ me { ${'id '.repeat(100)}name } }`
+  for (let i = 0; i < 2; i++) {
+    const res = await post(gateway, query)
+    t.same(res.json(), { data: { me: { id: 'u1', name: 'John' } } })
+  }
+
+  // the query is sent with POST to be stored, its hash with GET
+  t.same(userService.requests, ['GET', 'POST', 'GET'])
+})
@@ -0,0 +1,146 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const GQL = require('mercurius')
+const plugin = require('../index')
+const { buildFederationSchema } = require('@mercuriusjs/federation')
+
+const userSchema = `
+  extend type Query {
+    me: User
+  }
+
+  type User @key(fields: "id") {
+    id: ID!
+    name: String
+  }
+`
+
+const postSchema = `
+  type Post @key(fields: "pid") {
+    pid: ID!
+    title: String
+  }
+
+  extend type User @key(fields: "id") {
+    id: ID! @external
+    posts: [Post]
+  }
+`
+
+const query = '{ me { id name posts { title } } }'
+const expected = {
+  data: { me: { id: 'u1', name: 'John', posts: [{ title: 'Post 1' }] } }
+}
+
+async function createTestService (t, schema, resolvers, persistedQueryProvider) {
+  const requests = []
+  const service = Fastify()
+  service.register(GQL, {
+    schema: buildFederationSchema(schema),
+    resolvers,
+    persistedQueryProvider
+  })
+  service.addHook('preHandler', async request => {
+    requests.push({
+      query: typeof request.body.query === 'string',
+      hash: request.body.extensions ? request.body.extensions.persistedQuery.sha256Hash : null
+    })
+  })
+  await service.listen({ port: 0 })
+  t.teardown(() => service.close())
+  return { port: service.server.address().port, requests }
+}
+
+async function createTestGatewayServer (t, opts = {}, persistedQueryProvider = GQL.persistedQueryDefaults.automatic()) {
+  const userService = await createTestService(t, userSchema, {
+    Query: {
+      me: () => ({ id: 'u1', name: 'John' })
+    }
+  }, persistedQueryProvider)
+  const postService = await createTestService(t, postSchema, {
+    User: {
+      posts: () => [{ pid: 'p1', title: 'Post 1' }]
+    }
+  }, persistedQueryProvider)
+
+  const gateway = Fastify()
+  t.teardown(() => gateway.close())
+
+  await gateway.register(plugin, {
+    gateway: {
+      ...opts,
+      services: [
+        {
+          name: 'user',
+          url: `http://localhost:${userService.port}/graphql`,
+          persistedQueries: true
+        },
+        {
+          name: 'post',
+          url: `http://localhost:${postService.port}/graphql`,
+          persistedQueries: true
+        }
+      ]
+    }
+  })
+
+  // the requests of the service schemas
+  userService.requests.length = 0
+  postService.requests.length = 0
+
+  return { gateway, userService, postService }
+}
+
+function post (gateway) {
+  return gateway.inject({
+    method: 'POST',
+    url: '/graphql',
+    body: { query }
+  })
+}
+
+for (const queryPlanner of [false, true]) {
+  test(`gateway sends the hash of the queries to the services${queryPlanner ? ' with the query planner' : ''}`, async t => {
+    const { gateway, userService, postService } = await createTestGatewayServer(t, { queryPlanner })
+
+    let res = await post(gateway)
+    t.same(res.json(), expected)
+
+    res = await post(gateway)
+    t.same(res.json(), expected)
+
+    for (const { requests } of [userService, postService]) {
+      t.equal(requests.length, 3)
+      const [hash] = requests.map(request => request.hash)
+      t.ok(hash)
+      t.same(requests, [
+        { query: false, hash },
+        { query: true, hash },
+        { query: false, hash }
+      ])
+    }
+  })
+}
+
+test('gateway sends the queries to the services which do not support the persisted queries', async t => {
+  const { gateway, userService } = await createTestGatewayServer(t, {}, {
+    isPersistedQuery: request => !request.query,
+    getHash: () => false,
+    getQueryFromHash: async () => null,
+    notSupportedError: 'PersistedQueryNotSupported'
+  })
+
+  let res = await post(gateway)
+  t.same(res.json(), expected)
+
+  res = await post(gateway)
+  t.same(res.json(), expected)
+
+  // the service refused the hash of the query of its schema
+  t.same(userService.requests, [
+    { query: true, hash: null },
+    { query: true, hash: null }
+  ])
+})
@@ -1,8 +1,8 @@
-import { expectAssignable, expectError } from 'tsd'
+import { expectAssignable, expectError, expectType } from 'tsd'
 import Fastify, { FastifyInstance } from 'fastify'
 import { MercuriusContext } from 'mercurius'
 
-import mercuriusGatewayPlugin, { MercuriusServiceMetadata } from '../../index'
+import mercuriusGatewayPlugin, { CircuitState, CompositionReport, GatewayCacheStats, MercuriusServiceMetadata, QueryPlanStep, WarmupReport } from '../../index'
 import { DocumentNode, GraphQLSchema } from 'graphql'
 
 const app = Fastify()
@@ -28,6 +28,12 @@ app.register(mercuriusGatewayPlugin, {
         keepAliveMaxTimeout: 10000,
         mandatory: true,
         allowBatchedQueries: true,
+        maxEntitiesPerRequest: 100,
+        persistedQueries: true,
+        useGETForQueries: true,
+        maxUrlLength: 4096,
+        circuitBreaker: { threshold: 5, resetTimeout: 30000 },
+        retry: { maxAttempts: 3, statusCodes: [503] },
         rejectUnauthorized: true,
         rewriteHeaders: (headers, context) => {
           expectAssignable<MercuriusContext>(context)
@@ -296,6 +302,109 @@ expectError(() => app.register(mercuriusGatewayPlugin, {
   }
 }))
 
+// Gateway mode with the query planner
+app.register(mercuriusGatewayPlugin, {
+  gateway: {
+    services: [
+      {
+        name: 'user',
+        url: 'http://localhost:4001/graphql'
+      }
+    ],
+    queryPlanner: true,
+    explainHeader: 'x-explain'
+  }
+})
+
+expectType<QueryPlanStep[]>(app.graphqlGateway.explain('{ me { id } }', { size: 1 }, 'Me'))
+
+// Gateway mode refusing an invalid composition
+app.register(mercuriusGatewayPlugin, {
+  gateway: {
+    services: [
+      {
+        name: 'user',
+        url: 'http://localhost:4001/graphql'
+      }
+    ],
+    rejectInvalidComposition: true
+  }
+})
+
+expectType<CompositionReport>(app.graphqlGateway.compositionReport)
+
+// Gateway mode with an entity cache
+app.register(mercuriusGatewayPlugin, {
+  gateway: {
+    services: [
+      {
+        name: 'user',
+        url: 'http://localhost:4001/graphql'
+      }
+    ],
+    entityCache: {
+      ttl: { User: 60 },
+      max: 2048
+    }
+  }
+})
+
+const entityCacheValues = new Map()
+app.register(mercuriusGatewayPlugin, {
+  gateway: {
+    services: [
+      {
+        name: 'user',
+        url: 'http://localhost:4001/graphql'
+      }
+    ],
+    entityCache: {
+      store: {
+        get: async (key: string) => entityCacheValues.get(key),
+        set: async (key: string, value: any, ttl: number) => { entityCacheValues.set(key, value) },
+        delete: async (key: string) => { entityCacheValues.delete(key) }
+      }
+    }
+  }
+})
+
+expectType<Promise<void>>(app.graphqlGateway.invalidateEntity('User', { id: 'u1' }))
+
+// Gateway mode with a response cache
+app.register(mercuriusGatewayPlugin, {
+  gateway: {
+    services: [
+      {
+        name: 'user',
+        url: 'http://localhost:4001/graphql'
+      }
+    ],
+    responseCache: {
+      ttl: 60,
+      headers: ['accept-language'],
+      policies: { 'Query.me': 0 },
+      max: 2048,
+      isAnonymous: request => request.headers['x-session'] === undefined
+    },
+    cacheControl: false
+  }
+})
+
+expectType<void>(app.graphqlGateway.invalidateResponses('User'))
+expectType<void>(app.graphqlGateway.invalidateResponses(['User', 'Post']))
+
+expectError(() => app.register(mercuriusGatewayPlugin, {
+  gateway: {
+    services: [
+      {
+        name: 'user',
+        url: 'http://localhost:4001/graphql'
+      }
+    ],
+    queryPlanner: 'true'
+  }
+}))
+
 app.graphqlGateway.addHook('preGatewayExecution', async function (schema, document, context) {
   expectAssignable<GraphQLSchema>(schema)
   expectAssignable<DocumentNode>(document)
@@ -363,3 +472,89 @@ app.graphqlGateway.addHook('onGatewayReplaceSchema', function (instance, schema)
   expectAssignable<FastifyInstance>(instance)
   expectAssignable<GraphQLSchema>(schema)
 })
+
+// Gateway mode with a cache limited in bytes
+app.register(mercuriusGatewayPlugin, {
+  gateway: {
+    services: [
+      {
+        name: 'user',
+        url: 'http://localhost:4001/graphql'
+      }
+    ],
+    cache: { maxBytes: 10 * 1024 * 1024, max: 2048 }
+  }
+})
+
+// Gateway mode with a custom cache store
+const gatewayCacheValues = new Map()
+app.register(mercuriusGatewayPlugin, {
+  gateway: {
+    services: [
+      {
+        name: 'user',
+        url: 'http://localhost:4001/graphql'
+      }
+    ],
+    cache: {
+      get: (key: string) => gatewayCacheValues.get(key),
+      set: (key: string, value: any) => { gatewayCacheValues.set(key, value) },
+      clear: () => gatewayCacheValues.clear()
+    }
+  }
+})
+
+expectType<GatewayCacheStats>(app.graphqlGateway.cacheStats())
+
+// Gateway mode planning the known operations before serving the schema
+app.register(mercuriusGatewayPlugin, {
+  gateway: {
+    services: [
+      {
+        name: 'user',
+        url: 'http://localhost:4001/graphql'
+      }
+    ],
+    queryPlanner: true,
+    warmupOperations: ['query Me { me { id name } }']
+  }
+})
+
+expectType<WarmupReport>(app.graphqlGateway.warmupReport)
+
+// Gateway mode with automatic persisted queries
+app.register(mercuriusGatewayPlugin, {
+  gateway: {
+    services: [
+      {
+        name: 'user',
+        url: 'http://localhost:4001/graphql'
+      }
+    ],
+    persistedQueries: true
+  }
+})
+
+const persistedQueries = new Map<string, string>()
+app.register(mercuriusGatewayPlugin, {
+  gateway: {
+    services: [
+      {
+        name: 'user',
+        url: 'http://localhost:4001/graphql'
+      }
+    ],
+    persistedQueries: {
+      store: {
+        get: async (hash: string) => persistedQueries.get(hash),
+        set: async (hash: string, query: string) => { persistedQueries.set(hash, query) }
+      }
+    }
+  }
+})
+
+app.graphqlGateway.addHook('onServiceCircuitChange', async function (instance, service, state) {
+  expectAssignable<FastifyInstance>(instance)
+  expectAssignable<MercuriusServiceMetadata>(service)
+  expectType<CircuitState>(state)
+})
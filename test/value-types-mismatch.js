@@ -0,0 +1,204 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const GQL = require('mercurius')
+const plugin = require('../index')
+const { buildFederationSchema } = require('@mercuriusjs/federation')
+
+const userSchema = `
+  extend type Query {
+    users(status: Status): UserConnection
+  }
+
+  enum Status {
+    ACTIVE
+    ARCHIVED
+  }
+
+  type PageInfo {
+    hasNextPage: Boolean!
+    cursor(format: String): String
+  }
+
+  type UserConnection {
+    pageInfo: PageInfo
+  }
+`
+
+const postSchema = `
+  extend type Query {
+    posts(status: Status): PostConnection
+  }
+
+  enum Status {
+    ACTIVE
+    ARCHIVED
+  }
+
+  type PageInfo {
+    hasNextPage: Boolean!
+    cursor(format: String): String
+  }
+
+  type PostConnection {
+    pageInfo: PageInfo
+  }
+`
+
+const driftedPostSchema = `
+  extend type Query {
+    posts(status: Status): PostConnection
+  }
+
+  enum Status {
+    ACTIVE
+  }
+
+  type PageInfo {
+    hasNextPage: Boolean
+    cursor(format: Int): String
+    total: Int
+  }
+
+  type PostConnection {
+    pageInfo: PageInfo
+  }
+`
+
+const pageInfo = { hasNextPage: true, cursor: 'c1' }
+
+const userResolvers = {
+  Query: {
+    users: () => ({ pageInfo })
+  }
+}
+
+const postResolvers = {
+  Query: {
+    posts: () => ({ pageInfo })
+  }
+}
+
+async function createTestService (t, schema, resolvers) {
+  const service = Fastify()
+  service.register(GQL, {
+    schema: buildFederationSchema(schema),
+    resolvers
+  })
+  await service.listen({ port: 0 })
+  t.teardown(() => service.close())
+  return [service, service.server.address().port]
+}
+
+const expectedMismatches = [
+  {
+    code: 'VALUE_TYPE_MISMATCH',
+    message: 'Value type "Status.ARCHIVED" is defined differently (user: ARCHIVED, post: missing)',
+    type: 'Status',
+    value: 'ARCHIVED',
+    services: ['user', 'post'],
+    definitions: { user: 'ARCHIVED', post: null }
+  },
+  {
+    code: 'VALUE_TYPE_MISMATCH',
+    message: 'Value type "PageInfo.hasNextPage" is defined differently (user: Boolean!, post: Boolean)',
+    type: 'PageInfo',
+    field: 'hasNextPage',
+    services: ['user', 'post'],
+    definitions: { user: 'Boolean!', post: 'Boolean' }
+  },
+  {
+    code: 'VALUE_TYPE_MISMATCH',
+    message: 'Value type "PageInfo.cursor(format)" is defined differently (user: String, post: Int)',
+    type: 'PageInfo',
+    field: 'cursor',
+    argument: 'format',
+    services: ['user', 'post'],
+    definitions: { user: 'String', post: 'Int' }
+  },
+  {
+    code: 'VALUE_TYPE_MISMATCH',
+    message: 'Value type "PageInfo.total" is defined differently (user: missing, post: Int)',
+    type: 'PageInfo',
+    field: 'total',
+    services: ['user', 'post'],
+    definitions: { user: null, post: 'Int' }
+  }
+]
+
+function createGateway (t, userServicePort, postServicePort, opts = {}) {
+  const gateway = Fastify()
+  t.teardown(() => gateway.close())
+
+  return gateway.register(plugin, {
+    gateway: {
+      ...opts,
+      services: [
+        {
+          name: 'user',
+          url: `http://localhost:${userServicePort}/graphql`
+        },
+        {
+          name: 'post',
+          url: `http://localhost:${postServicePort}/graphql`
+        }
+      ]
+    }
+  })
+}
+
+test('gateway reports the value types defined differently', async t => {
+  const [, userServicePort] = await createTestService(t, userSchema, userResolvers)
+  const [, postServicePort] = await createTestService(t, driftedPostSchema, postResolvers)
+
+  const gateway = await createGateway(t, userServicePort, postServicePort)
+
+  t.same(gateway.graphqlGateway.compositionReport, {
+    valid: false,
+    errors: expectedMismatches
+  })
+})
+
+test('gateway refuses the value types defined differently with rejectInvalidComposition', async t => {
+  const [, userServicePort] = await createTestService(t, userSchema, userResolvers)
+  const [, postServicePort] = await createTestService(t, driftedPostSchema, postResolvers)
+
+  try {
+    await createGateway(t, userServicePort, postServicePort, { rejectInvalidComposition: true })
+    t.fail('should throw')
+  } catch (err) {
+    t.equal(err.code, 'MER_ERR_GQL_GATEWAY_INVALID_COMPOSITION')
+    t.equal(
+      err.message,
+      'Invalid schema composition: ' +
+      expectedMismatches.map(mismatch => mismatch.message).join('; ')
+    )
+    t.same(err.report.errors, expectedMismatches)
+  }
+})
+
+test('gateway keeps the schema when the refreshed value types are defined differently', async t => {
+  const [, userServicePort] = await createTestService(t, userSchema, userResolvers)
+  const [postService, postServicePort] = await createTestService(t, postSchema, postResolvers)
+
+  const gateway = await createGateway(t, userServicePort, postServicePort, { rejectInvalidComposition: true })
+  t.same(gateway.graphqlGateway.compositionReport, { valid: true, errors: [] })
+
+  postService.graphql.replaceSchema(buildFederationSchema(driftedPostSchema))
+  postService.graphql.defineResolvers(postResolvers)
+
+  await t.rejects(gateway.graphqlGateway.refresh(), {
+    code: 'MER_ERR_GQL_GATEWAY_INVALID_COMPOSITION',
+    report: { valid: false, errors: expectedMismatches }
+  })
+
+  const res = await gateway.inject({
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    url: '/graphql',
+    body: JSON.stringify({ query: '{ users { pageInfo { hasNextPage } } }' })
+  })
+
+  t.same(res.json(), { data: { users: { pageInfo: { hasNextPage: true } } } })
+})
@@ -0,0 +1,225 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const GQL = require('mercurius')
+const plugin = require('../index')
+const { buildFederationSchema } = require('@mercuriusjs/federation')
+
+const userSchema = `
+  extend type Query {
+    me: User
+  }
+
+  type User @key(fields: "id") {
+    id: ID!
+    name: String
+  }
+`
+
+const postSchema = `
+  type Post @key(fields: "pid") {
+    pid: ID!
+    title: String
+  }
+
+  extend type User @key(fields: "id") {
+    id: ID! @external
+    posts: [Post]
+  }
+`
+
+const postSchemaWithoutTitle = `
+  type Post @key(fields: "pid") {
+    pid: ID!
+  }
+
+  extend type User @key(fields: "id") {
+    id: ID! @external
+    posts: [Post]
+  }
+`
+
+const meQuery = 'query Me { me { id name posts { title } } }'
+const postsQuery = 'query Posts { me { posts { pid } } }'
+
+async function createTestService (t, schema, resolvers = {}) {
+  const service = Fastify()
+  service.register(GQL, {
+    schema: buildFederationSchema(schema),
+    resolvers
+  })
+  await service.listen({ port: 0 })
+  t.teardown(() => service.close())
+  return [service, service.server.address().port]
+}
+
+async function createTestGatewayServer (t, opts = {}) {
+  const [, userServicePort] = await createTestService(t, userSchema, {
+    Query: {
+      me: () => ({ id: 'u1', name: 'John' })
+    }
+  })
+  const [postService, postServicePort] = await createTestService(t, postSchema, {
+    User: {
+      posts: () => [{ pid: 'p1', title: 'Post 1' }]
+    }
+  })
+
+  const warnings = []
+  const gateway = Fastify()
+  gateway.log.warn = message => warnings.push(message)
+  t.teardown(() => gateway.close())
+
+  await gateway.register(plugin, {
+    gateway: {
+      ...opts,
+      services: [
+        {
+          name: 'user',
+          url: `http://localhost:${userServicePort}/graphql`
+        },
+        {
+          name: 'post',
+          url: `http://localhost:${postServicePort}/graphql`
+        }
+      ]
+    }
+  })
+
+  return { gateway, postService, warnings }
+}
+
+function query (gateway, query) {
+  return gateway.inject({
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    url: '/graphql',
+    body: JSON.stringify({ query })
+  })
+}
+
+test('gateway plans the known operations on start', async t => {
+  const { gateway, warnings } = await createTestGatewayServer(t, {
+    queryPlanner: true,
+    warmupOperations: [meQuery, postsQuery]
+  })
+
+  t.same(gateway.graphqlGateway.warmupReport, { valid: true, errors: [] })
+  t.same(warnings, [])
+
+  const res = await query(gateway, meQuery)
+  t.same(res.json(), {
+    data: { me: { id: 'u1', name: 'John', posts: [{ title: 'Post 1' }] } }
+  })
+  t.same(gateway.graphqlGateway.cacheStats(), { hits: 1, misses: 0 })
+})
+
+test('gateway plans each operation of a known document', async t => {
+  const document = `${meQuery} ${postsQuery}`
+  const { gateway } = await createTestGatewayServer(t, {
+    queryPlanner: true,
+    warmupOperations: [document]
+  })
+
+  const res = await gateway.inject({
+    method: 'POST',
+    url: '/graphql',
+    body: { query: document, operationName: 'Posts' }
+  })
+  t.same(res.json(), { data: { me: { posts: [{ pid: 'p1' }] } } })
+  t.same(gateway.graphqlGateway.cacheStats(), { hits: 1, misses: 0 })
+})
+
+test('gateway reports and logs the known operations that do not validate', async t => {
+  const { gateway, warnings } = await createTestGatewayServer(t, {
+    queryPlanner: true,
+    warmupOperations: [
+      meQuery,
+      'query Reviews { me { reviews } }',
+      '{ me { id'
+    ]
+  })
+
+  const errors = [
+    {
+      operationName: 'Reviews',
+      message: 'Cannot query field "reviews" on type "User".'
+    },
+    {
+      operationName: null,
+      message: 'Syntax Error: Expected Name, found <EOF>.'
+    }
+  ]
+  t.same(gateway.graphqlGateway.warmupReport, { valid: false, errors })
+  t.same(warnings, [
+    'Warmup operation "Reviews" issue: Cannot query field "reviews" on type "User".',
+    'Warmup operation issue: Syntax Error: Expected Name, found <EOF>.'
+  ])
+
+  const res = await query(gateway, meQuery)
+  t.same(res.json(), {
+    data: { me: { id: 'u1', name: 'John', posts: [{ title: 'Post 1' }] } }
+  })
+})
+
+test('gateway plans the known operations with the refreshed schema', async t => {
+  const { gateway, postService, warnings } = await createTestGatewayServer(t, {
+    queryPlanner: true,
+    warmupOperations: [meQuery, postsQuery]
+  })
+
+  postService.graphql.replaceSchema(buildFederationSchema(postSchemaWithoutTitle))
+  postService.graphql.defineResolvers({
+    User: {
+      posts: () => [{ pid: 'p1' }]
+    }
+  })
+
+  const schema = await gateway.graphqlGateway.refresh()
+  t.ok(schema)
+
+  t.same(gateway.graphqlGateway.warmupReport, {
+    valid: false,
+    errors: [{
+      operationName: 'Me',
+      message: 'Cannot query field "title" on type "Post".'
+    }]
+  })
+  t.same(warnings, ['Warmup operation "Me" issue: Cannot query field "title" on type "Post".'])
+
+  const res = await query(gateway, postsQuery)
+  t.same(res.json(), { data: { me: { posts: [{ pid: 'p1' }] } } })
+  t.same(gateway.graphqlGateway.cacheStats(), { hits: 1, misses: 0 })
+})
+
+test('gateway prepares the root fields of the known operations without the query planner', async t => {
+  const { gateway, warnings } = await createTestGatewayServer(t, {
+    warmupOperations: [meQuery, 'query Reviews { me { reviews } }']
+  })
+
+  t.same(warnings, ['Warmup operation "Reviews" issue: Cannot query field "reviews" on type "User".'])
+  t.same(gateway.graphqlGateway.cacheStats(), { hits: 0, misses: 0 })
+
+  const res = await query(gateway, meQuery)
+  t.same(res.json(), {
+    data: { me: { id: 'u1', name: 'John', posts: [{ title: 'Post 1' }] } }
+  })
+  // the request of `me` is prepared, the one of `posts` is built from its result
+  t.same(gateway.graphqlGateway.cacheStats(), { hits: 1, misses: 1 })
+})
+
+test('gateway does not plan the known operations without cache', async t => {
+  const { gateway } = await createTestGatewayServer(t, {
+    queryPlanner: true,
+    cache: false,
+    warmupOperations: [meQuery]
+  })
+
+  t.same(gateway.graphqlGateway.warmupReport, { valid: true, errors: [] })
+
+  const res = await query(gateway, meQuery)
+  t.same(res.json(), {
+    data: { me: { id: 'u1', name: 'John', posts: [{ title: 'Post 1' }] } }
+  })
+})